@@ -0,0 +1,135 @@
+/**
+ * Ability text parsing
+ * Shared icon maps for the overlay text walker, the Priming / Limit Break
+ * clean-up regexes, and a parser that splits bracketed ability text
+ * ("[F][1][Dull]: Choose 1 Forward...") into structured abilities.
+ */
+
+// Icon CSS classes -> bracketed notation (used inside page.$eval, keep serializable)
+const ABILITY_ICONS = {
+    elements: {
+        'fire': 'F', 'ice': 'I', 'wind': 'W', 'earth': 'E',
+        'lightning': 'L', 'water': 'A', 'light': 'Lt',
+        'dark': 'D', 'darkness': 'D'
+    },
+    special: {
+        'down': 'Dull', 'special': 'S', 'exburst': 'EX',
+        'c': 'C', 'ability': '', 's': 'S'
+    }
+};
+
+// Bracketed notation -> element name
+const ELEMENT_CODES = {
+    'F': 'Fire', 'I': 'Ice', 'W': 'Wind', 'E': 'Earth',
+    'L': 'Lightning', 'A': 'Water', 'Lt': 'Light', 'D': 'Dark',
+};
+
+const COST = '((?:\\[[^\\]]+\\])+)';
+
+const PATTERNS = {
+    exBurst: /^\[EX\]\s*(.*)$/,
+    priming: new RegExp(`^\\*Priming "?([^"*]+?)"? ${COST}\\*\\s*(.*)$`),
+    limitBreak: /^\*Limit Break (\d+)\*\s*(.*)$/,
+    warp: new RegExp(`^\\*?Warp\\s*(?:--\\s*)?(\\d+)\\*?\\s*(?:--\\s*)?${COST}?\\s*(.*)$`),
+    action: new RegExp(`^(?:([^.:\\[\\]*]{1,40}?)\\s+)?${COST}\\s*:\\s*(.*)$`),
+    keywords: /^(?:\*[^*]+\*\s*)+$/,
+    auto: /^(?:When|Whenever|Each time|At the (?:beginning|end)|Once per turn, when)\b/i,
+};
+
+/**
+ * Apply the Priming / Limit Break clean-ups to flattened ability text.
+ * "*Priming "X"* -- [F][3]" -> "*Priming "X" [F][3]*", "*Limit Break -- 2*" -> "*Limit Break 2*"
+ */
+function normalizeAbilityText(text) {
+    return text
+        .replace(/(\*Priming [^*]+)\*\s*(?:--\s*)?((?:\[[^\]]+\])+)/g, '$1 $2*')
+        .replace(/\*Limit Break\s*--\s*(\d+)\*/g, '*Limit Break $1*')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Break a run of bracketed icons into its components.
+ * @param {string} raw - e.g. "[S][F][F][2][Dull]"
+ * @returns {{raw: string, elements: Object<string, number>, generic: number, crystal: number, dull: boolean, special: boolean}}
+ */
+function parseCost(raw) {
+    const cost = { raw, elements: {}, generic: 0, crystal: 0, dull: false, special: false };
+
+    for (const [, token] of raw.matchAll(/\[([^\]]+)\]/g)) {
+        if (/^\d+$/.test(token)) {
+            cost.generic += parseInt(token);
+        } else if (ELEMENT_CODES[token]) {
+            const element = ELEMENT_CODES[token];
+            cost.elements[element] = (cost.elements[element] || 0) + 1;
+        } else if (token === 'Dull') {
+            cost.dull = true;
+        } else if (token === 'S') {
+            cost.special = true;
+        } else if (token === 'C') {
+            cost.crystal++;
+        }
+    }
+
+    return cost;
+}
+
+/**
+ * Classify a single ability line.
+ * @param {string} text - One ability in bracketed notation
+ * @returns {Object} { kind, name, cost, effect, text } plus kind-specific fields
+ */
+function parseAbility(text) {
+    let m;
+
+    if ((m = text.match(PATTERNS.exBurst))) {
+        return { kind: 'exBurst', name: null, cost: null, effect: m[1], text };
+    }
+
+    if ((m = text.match(PATTERNS.priming))) {
+        return { kind: 'priming', name: null, target: m[1], cost: parseCost(m[2]), effect: m[3], text };
+    }
+
+    if ((m = text.match(PATTERNS.limitBreak))) {
+        return { kind: 'limitBreak', name: null, limit: parseInt(m[1]), cost: null, effect: m[2], text };
+    }
+
+    if ((m = text.match(PATTERNS.warp))) {
+        return { kind: 'warp', name: null, warp: parseInt(m[1]), cost: m[2] ? parseCost(m[2]) : null, effect: m[3], text };
+    }
+
+    if ((m = text.match(PATTERNS.action))) {
+        const cost = parseCost(m[2]);
+        return { kind: cost.special ? 'special' : 'action', name: m[1]?.trim() || null, cost, effect: m[3], text };
+    }
+
+    if (PATTERNS.keywords.test(text)) {
+        const keywords = Array.from(text.matchAll(/\*([^*]+)\*/g), k => k[1].trim());
+        return { kind: 'keyword', name: null, keywords, cost: null, effect: '', text };
+    }
+
+    const kind = PATTERNS.auto.test(text) ? 'auto' : 'field';
+    return { kind, name: null, cost: null, effect: text, text };
+}
+
+/**
+ * Split card text into structured abilities.
+ * @param {string|string[]} text - Ability lines, or one string with lines separated by "\n"
+ * @returns {Object[]} One entry per ability (see parseAbility)
+ */
+function parseAbilities(text) {
+    const lines = Array.isArray(text) ? text : (text || '').split('\n');
+    return lines
+        .map(line => normalizeAbilityText(line))
+        .filter(line => line)
+        .map(line => parseAbility(line));
+}
+
+module.exports = {
+    ABILITY_ICONS,
+    ELEMENT_CODES,
+    normalizeAbilityText,
+    parseCost,
+    parseAbility,
+    parseAbilities,
+};
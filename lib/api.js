@@ -0,0 +1,71 @@
+/**
+ * Card browser search API
+ * The card browser front end POSTs its filters to /<lang>/get-cards and renders
+ * the JSON it gets back. These helpers turn that raw card text markup into the
+ * same bracketed notation the DOM walker produces.
+ */
+
+const API_SEARCH_PATH = '/get-cards';
+
+// Element icons in API text and the `element` array, keyed to the CSS classes the DOM uses
+const ELEMENT_KANJI = {
+    '火': 'fire', '氷': 'ice', '風': 'wind', '土': 'earth',
+    '雷': 'lightning', '水': 'water', '光': 'light', '闇': 'darkness',
+};
+
+// Non-element 《icons》 -> bracketed notation
+const TEXT_ICONS = {
+    'ダル': 'Dull', 'S': 'S', 'C': 'C',
+};
+
+/**
+ * Convert API text markup to bracketed ability lines.
+ * "《火》《1》《ダル》: Choose..." -> ["[F][1][Dull]: Choose..."]
+ * @param {string} text - Raw `text_en` value
+ * @param {Object} elementIcons - CSS class -> notation map (ABILITY_ICONS.elements)
+ * @returns {string[]} One entry per [[br]]-separated ability
+ */
+function apiTextToLines(text, elementIcons) {
+    if (!text) return [];
+
+    return text
+        .replace(/\[\[ex\]\]EX BURST\[\[\/\]\]/g, '[EX]')
+        .replace(/\[\[i\]\](.*?)\[\[\/\]\]/g, (m, inner) => `*${inner.trim()}*`)
+        .replace(/\[\[s\]\](.*?)\[\[\/\]\]/g, '$1')
+        .replace(/《(\d+)》/g, '[$1]')
+        .replace(/《([^》]+)》/g, (m, icon) => {
+            const cls = ELEMENT_KANJI[icon];
+            return `[${cls ? elementIcons[cls] : (TEXT_ICONS[icon] || icon)}]`;
+        })
+        .split('[[br]]')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(line => line);
+}
+
+/**
+ * Element names for a raw `element` array, matching the DOM scraper ("Fire/Ice").
+ */
+function apiElements(elements) {
+    const names = (elements || [])
+        .map(el => ELEMENT_KANJI[el] || el)
+        .map(cls => cls.charAt(0).toUpperCase() + cls.slice(1));
+    return names.length > 0 ? names.join('/') : null;
+}
+
+/**
+ * A "1"/"0" flag field (multicard, ex_burst) as a boolean; null when absent or unreadable.
+ */
+function apiFlag(value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text === '1' || text === 'true') return true;
+    if (text === '0' || text === 'false') return false;
+    return null;
+}
+
+module.exports = {
+    API_SEARCH_PATH,
+    ELEMENT_KANJI,
+    apiTextToLines,
+    apiElements,
+    apiFlag,
+};
@@ -0,0 +1,87 @@
+/**
+ * Canonical card identities
+ * Groups reprints, promos and boss deck versions that share name, type, cost,
+ * element, power and ability text. Each group is one card with its rules text
+ * stored once and a `printings` list; its id is the code of the earliest printing.
+ */
+
+const { parseElements } = require('./normalize');
+
+// Fields that belong to a printing rather than the card
+const PRINTING_FIELDS = ['code', 'set', 'rarity', 'rarityCode', 'imageUrl', 'imageHash', 'raw', 'canonicalId'];
+
+const normalizeText = value => String(value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * The fields two printings of the same card agree on, as one string.
+ * Multi-element cards compare regardless of element order (and Dark/Darkness).
+ * A card without a name or type (codes-only scrape, failed details) can't be
+ * matched to anything, so it is its own identity.
+ */
+function identityKey(card) {
+    if (!normalizeText(card.name) || !normalizeText(card.type)) {
+        return JSON.stringify(['code', String(card.code).toUpperCase()]);
+    }
+    const elements = parseElements(card.element).sort();
+    return JSON.stringify([
+        normalizeText(card.name),
+        normalizeText(card.type),
+        normalizeText(card.cost),
+        elements.join('/'),
+        normalizeText(card.power),
+        normalizeText(card.abilities),
+    ]);
+}
+
+function toPrinting(card) {
+    const printing = { code: card.code, set: card.set ?? null, rarity: card.rarity ?? null, image: card.imageUrl ?? null };
+    if (card.rarityCode) printing.rarityCode = card.rarityCode;
+    if (card.imageHash) printing.imageHash = card.imageHash;
+    return printing;
+}
+
+/**
+ * Group cards into canonical identities.
+ * A code seen twice (a card listed under several set filters) is one printing.
+ * @param {Object[]} cards - Scraped cards
+ * @param {Object} options
+ * @param {string[]} options.setOrder - Release order; the earliest printing's code becomes the id
+ * @returns {{cards: Object[], byCode: Map<string, Object>, printings: number}}
+ *          cards: { id, ...rules fields, printings: [{ code, set, rarity, image, rarityCode?, imageHash? }] };
+ *          byCode: upper-cased printing code -> canonical card
+ */
+function canonicalize(cards, { setOrder = [] } = {}) {
+    const rank = card => {
+        const sets = String(card.set || '').split(',').map(s => s.trim());
+        const ranks = sets.map(set => setOrder.includes(set) ? setOrder.indexOf(set) : setOrder.length);
+        return Math.min(...ranks);
+    };
+
+    const seen = new Set();
+    const ordered = cards
+        .filter(card => card.code && !seen.has(card.code.toUpperCase()) && seen.add(card.code.toUpperCase()))
+        .map((card, index) => ({ card, index, rank: rank(card) }))
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .map(entry => entry.card);
+
+    const groups = new Map();
+    for (const card of ordered) {
+        const key = identityKey(card);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(card);
+    }
+
+    const canonical = [];
+    const byCode = new Map();
+    for (const printings of groups.values()) {
+        const [first] = printings;
+        const rules = Object.fromEntries(Object.entries(first).filter(([field]) => !PRINTING_FIELDS.includes(field)));
+        const entry = { id: first.code, ...rules, printings: printings.map(toPrinting) };
+        canonical.push(entry);
+        for (const card of printings) byCode.set(card.code.toUpperCase(), entry);
+    }
+
+    return { cards: canonical, byCode, printings: ordered.length };
+}
+
+module.exports = { PRINTING_FIELDS, identityKey, canonicalize };
@@ -0,0 +1,372 @@
+/**
+ * Command-line interface
+ * Subcommands (scrape, all, combine, ...) and their options on top of
+ * util.parseArgs, plus the layered configuration a run resolves to:
+ * defaults < command defaults < --config file < FFTCG_* environment < flags.
+ * The flag-style commands (--all, --combine, --query ...) still work as aliases.
+ */
+
+const { parseArgs } = require('util');
+const { LOCALES } = require('./locales');
+const { QUALITY_PRESETS } = require('./images');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+const { parseColumns } = require('./csv');
+
+const EXPORT_FORMATS = ['sqlite', 'csv', 'tsv', 'tts', 'cockatrice', 'images'];
+
+/**
+ * Every option. path: the config key it sets (flags with `value` write that
+ * value); list: comma-separated and repeatable; choices / integer + min: checked
+ * when parsing; parse: turns the joined list into the value and throws on bad input.
+ */
+const OPTIONS = {
+    config: { type: 'string', arg: '<file>', description: 'Load settings from a JSON config file' },
+    output: { type: 'string', arg: '<dir>', path: 'output.directory', description: 'Output directory (scrape), card files root (validate, history)' },
+    set: { type: 'string', arg: '<name>', list: true, path: 'filters.sets', description: 'Set name, e.g. "Opus I"' },
+    element: { type: 'string', arg: '<name>', list: true, path: 'filters.elements', description: 'Element: Fire, Ice, Wind, Earth, Lightning, Water, Light, Dark' },
+    type: { type: 'string', arg: '<name>', list: true, path: 'filters.types', description: 'Card type: Forward, Backup, Summon, Monster, Crystal' },
+    rarity: { type: 'string', arg: '<code>', list: true, path: 'filters.rarities', description: 'Rarity: C, R, H, L, S, B, PR' },
+    category: { type: 'string', arg: '<name>', list: true, path: 'filters.categories', description: 'Category: VII, X, FFT, ...' },
+    cost: { type: 'string', arg: '<n>', list: true, path: 'filters.costs', description: 'Cost' },
+    flag: { type: 'string', arg: '<name>', list: true, path: 'filters.flags', description: 'Flag: special, exburst, multi' },
+    keyword: { type: 'string', arg: '<text>', path: 'filters.keyword', description: 'Keyword search' },
+    code: { type: 'string', arg: '<code>', path: 'filters.code', description: 'Card code, e.g. 1-003C' },
+    mode: { type: 'string', arg: '<mode>', choices: ['dom', 'api'], path: 'scraping.mode', description: 'Click every card or read the search endpoint JSON' },
+    lang: { type: 'string', arg: '<code>', choices: Object.keys(LOCALES), path: 'scraping.language', description: 'Site language (only verified locales scrape, see lib/locales.js)' },
+    images: { type: 'boolean', path: 'output.downloadImages', value: true, description: 'Download card images' },
+    'no-images': { type: 'boolean', path: 'output.downloadImages', value: false, description: 'Skip card images' },
+    'image-quality': { type: 'string', arg: '<preset>', choices: Object.keys(QUALITY_PRESETS), path: 'images.quality', description: 'Image pipeline preset' },
+    headless: { type: 'boolean', path: 'scraping.headless', value: true, description: 'Run the browser headless' },
+    visible: { type: 'boolean', path: 'scraping.headless', value: false, description: 'Show the browser window' },
+    details: { type: 'boolean', path: 'scraping.includeCardDetails', value: true, description: 'Scrape card details' },
+    'no-details': { type: 'boolean', path: 'scraping.includeCardDetails', value: false, description: 'Only collect card codes' },
+    resume: { type: 'boolean', path: 'scraping.resume', value: true, description: 'Pick up *_partial.json files' },
+    'no-resume': { type: 'boolean', path: 'scraping.resume', value: false, description: 'Ignore *_partial.json files' },
+    update: { type: 'boolean', path: 'scraping.update', value: true, description: 'Reuse existing set data, scrape only new codes' },
+    'verify-sample': { type: 'string', arg: '<n>', integer: true, min: 0, path: 'scraping.verifySample', description: 'With --update, re-scrape n existing cards per set' },
+    export: { type: 'string', arg: '<formats>', list: true, choices: EXPORT_FORMATS, description: 'Also write these formats, comma-separated' },
+    columns: { type: 'string', arg: '<list>', list: true, parse: parseColumns, path: 'output.exportColumns', description: 'CSV/TSV columns in order' },
+    'card-back': { type: 'string', arg: '<url>', description: 'Card back image for Tabletop Simulator exports' },
+    publish: { type: 'boolean', description: 'Upload outputs to the S3-compatible bucket in .env' },
+    'max-requests': { type: 'string', arg: '<n>', integer: true, min: 1, path: 'rateLimit.maxRequests', description: 'Stop after n requests to the site and CDN this run' },
+    force: { type: 'boolean', description: 'Re-scrape sets that already exist' },
+    start: { type: 'string', arg: '<name>', description: 'Start from the first set matching name' },
+    concurrency: { type: 'string', arg: '<n>', integer: true, min: 1, description: 'Scrape n sets in parallel (default 1)' },
+    'no-discover': { type: 'boolean', description: 'Use the cached sets manifest instead of reading the site' },
+    json: { type: 'boolean', description: 'Print matching cards as JSON' },
+    port: { type: 'string', arg: '<n>', integer: true, min: 0, description: 'Port (default 3000)' },
+    host: { type: 'string', arg: '<host>', description: 'Address (default 127.0.0.1)' },
+    'no-repair': { type: 'boolean', description: 'Only report bad images' },
+    'log-level': { type: 'string', arg: '<level>', choices: LOG_LEVELS, path: 'logging.level', description: 'Lowest level printed to the console' },
+    'log-format': { type: 'string', arg: '<format>', choices: LOG_FORMATS, path: 'logging.format', description: 'Console output as emoji lines or JSON lines' },
+    'dry-run': { type: 'boolean', description: 'Print the resolved configuration and exit' },
+    help: { type: 'boolean', short: 'h', description: 'Show help' },
+};
+
+const GLOBAL_OPTIONS = ['config', 'log-level', 'log-format', 'dry-run', 'help'];
+const FILTER_OPTIONS = ['set', 'element', 'type', 'rarity', 'category', 'cost', 'flag', 'keyword', 'code'];
+const SCRAPE_OPTIONS = [
+    'mode', 'lang', 'images', 'no-images', 'image-quality', 'headless', 'visible', 'details', 'no-details',
+    'resume', 'no-resume', 'update', 'verify-sample', 'export', 'columns', 'publish', 'max-requests',
+];
+
+/**
+ * Subcommands. args: [min, max] positionals; defaults: config layered over
+ * DEFAULT_CONFIG before the config file.
+ */
+const COMMANDS = {
+    scrape: {
+        usage: 'scrape [options]',
+        description: 'Scrape the cards matching the filters (the default command)',
+        options: [...FILTER_OPTIONS, 'output', ...SCRAPE_OPTIONS],
+    },
+    all: {
+        usage: 'all [options]',
+        description: 'Scrape every set into card_results/<Set>/, then combine',
+        options: [...FILTER_OPTIONS.filter(name => name !== 'set'), ...SCRAPE_OPTIONS,
+            'force', 'start', 'concurrency', 'no-discover', 'card-back'],
+        defaults: { output: { downloadImages: false }, scraping: { headless: true, includeCardDetails: true } },
+    },
+    combine: {
+        usage: 'combine [options]',
+        description: 'Combine the set JSONs into card_results/all_cards_combined.json',
+        options: ['export', 'columns', 'card-back', 'publish'],
+    },
+    query: {
+        usage: 'query [file] [filters]',
+        description: 'Filter the combined JSON offline',
+        options: [...FILTER_OPTIONS, 'json'],
+        args: [0, 1],
+    },
+    serve: {
+        usage: 'serve [path] [options]',
+        description: 'REST API over card_results/ or a card JSON file',
+        options: ['port', 'host'],
+        args: [0, 1],
+    },
+    validate: {
+        usage: 'validate [files...]',
+        description: 'Check scraped JSON against the card schema',
+        options: ['output'],
+        args: [0, Infinity],
+    },
+    'verify-images': {
+        usage: 'verify-images [path] [options]',
+        description: 'Check downloaded images and re-download bad ones',
+        options: ['no-repair', 'image-quality', 'max-requests'],
+        args: [0, 1],
+    },
+    history: {
+        usage: 'history <code>',
+        description: 'Print the recorded change timeline for one card',
+        options: ['output'],
+        args: [1, 1],
+    },
+    'import-deck': {
+        usage: 'import-deck <file> [options]',
+        description: 'Resolve a decklist against the combined database',
+        options: ['export', 'card-back'],
+        args: [1, 1],
+    },
+    'discover-sets': {
+        usage: 'discover-sets [options]',
+        description: 'Refresh sets_manifest.json from the site and list the sets',
+        options: ['lang', 'headless', 'visible', 'max-requests'],
+        defaults: { scraping: { headless: true } },
+    },
+    'merge-translations': {
+        usage: 'merge-translations [options]',
+        description: 'Write all_cards_multilang.json from every scraped language',
+        options: ['publish'],
+    },
+};
+
+// FFTCG_* environment variables (also read from .env) -> config key
+const ENV_VARS = {
+    FFTCG_OUTPUT: { path: 'output.directory' },
+    FFTCG_IMAGES: { path: 'output.downloadImages', type: 'boolean' },
+    FFTCG_IMAGE_QUALITY: { path: 'images.quality', choices: OPTIONS['image-quality'].choices },
+    FFTCG_IMAGE_CONCURRENCY: { path: 'images.concurrent', integer: true, min: 1 },
+    FFTCG_MODE: { path: 'scraping.mode', choices: OPTIONS.mode.choices },
+    FFTCG_LANG: { path: 'scraping.language', choices: OPTIONS.lang.choices },
+    FFTCG_HEADLESS: { path: 'scraping.headless', type: 'boolean' },
+    FFTCG_BASE_URL: { path: 'scraping.baseUrl' },
+    FFTCG_IMAGE_BASE_URL: { path: 'scraping.imageBaseUrl' },
+    FFTCG_TIMEOUT: { path: 'scraping.timeout', integer: true, min: 1 },
+    FFTCG_RETRIES: { path: 'scraping.retries', integer: true, min: 0 },
+    FFTCG_MAX_REQUESTS: { path: 'rateLimit.maxRequests', integer: true, min: 1 },
+    FFTCG_LOG_LEVEL: { path: 'logging.level', choices: LOG_LEVELS },
+    FFTCG_LOG_FORMAT: { path: 'logging.format', choices: LOG_FORMATS },
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function setPath(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) node = node[key] = node[key] || {};
+    node[keys[keys.length - 1]] = value;
+}
+
+function checkValue(label, spec, text) {
+    if (spec.choices && !spec.choices.includes(text)) {
+        throw new Error(`${label}: unknown value "${text}" (expected ${spec.choices.join(', ')})`);
+    }
+    if (spec.integer) {
+        if (!/^\d+$/.test(text) || Number(text) < spec.min) {
+            throw new Error(`${label}: expected a whole number${spec.min > 0 ? ` >= ${spec.min}` : ''}, got "${text}"`);
+        }
+        return Number(text);
+    }
+    return text;
+}
+
+/**
+ * Parse command-line arguments (process.argv.slice(2)).
+ * The first argument names the command; without one, a flag-style alias
+ * (--all, --query ...) or else `scrape`.
+ * @returns {{command: string, explicit: boolean, help: boolean, args: string[], options: Object, config: Object}}
+ *          options: option name -> value (lists as arrays); config: the flags' config keys
+ * @throws {Error} Unknown or misplaced options, bad values, conflicting flags
+ */
+function parseCli(argv) {
+    const rest = [...argv];
+    let command = 'scrape';
+    let explicit = false;
+
+    if (COMMANDS[rest[0]]) {
+        command = rest.shift();
+        explicit = true;
+    } else {
+        const alias = rest.findIndex(arg => arg.startsWith('--') && COMMANDS[arg.slice(2)] && arg !== '--scrape');
+        if (alias !== -1) {
+            command = rest.splice(alias, 1)[0].slice(2);
+            explicit = true;
+        }
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: rest,
+            options: Object.fromEntries(Object.entries(OPTIONS).map(([name, { type, short }]) =>
+                [name, { type, multiple: true, ...(short && { short }) }])),
+            allowPositionals: true,
+        });
+    } catch (e) {
+        // Drop parseArgs' hint about positionals that start with '-'
+        throw new Error(e.message.split('. ')[0]);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) return { command, explicit, help: true, args: positionals, options: {}, config: {} };
+
+    const spec = COMMANDS[command];
+    const options = {};
+    for (const [name, raw] of Object.entries(values)) {
+        if (!GLOBAL_OPTIONS.includes(name) && !spec.options.includes(name)) {
+            throw new Error(`--${name} doesn't apply to "${command}"`);
+        }
+        const option = OPTIONS[name];
+        if (option.type === 'boolean') {
+            options[name] = true;
+        } else if (option.parse) {
+            let value;
+            try {
+                value = option.parse(raw.join(','));
+            } catch (e) {
+                throw new Error(`--${name}: ${e.message}`);
+            }
+            if (!value) throw new Error(`--${name} needs a value`);
+            options[name] = value;
+        } else if (option.list) {
+            const list = raw.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+            if (list.length === 0) throw new Error(`--${name} needs a value`);
+            options[name] = list.map(v => checkValue(`--${name}`, option, v));
+        } else {
+            options[name] = checkValue(`--${name}`, option, raw[raw.length - 1]);
+        }
+    }
+
+    // Opposite flags (--images / --no-images) can't both be given
+    const flags = Object.keys(options).filter(name => 'value' in OPTIONS[name]);
+    for (const name of flags) {
+        const opposite = flags.find(other => OPTIONS[other].path === OPTIONS[name].path && OPTIONS[other].value !== OPTIONS[name].value);
+        if (opposite) throw new Error(`--${name} and --${opposite} can't be combined`);
+    }
+
+    const [min, max] = spec.args || [0, 0];
+    if (positionals.length < min) throw new Error(`Usage: ${spec.usage}`);
+    if (positionals.length > max) throw new Error(`Unexpected argument "${positionals[max]}" for "${command}"`);
+
+    const config = {};
+    for (const [name, value] of Object.entries(options)) {
+        const option = OPTIONS[name];
+        if (option.path) setPath(config, option.path, 'value' in option ? option.value : value);
+    }
+
+    return { command, explicit, help: false, args: positionals, options, config };
+}
+
+/**
+ * Config overrides from FFTCG_* environment variables.
+ * @throws {Error} Invalid values
+ */
+function envConfig(env = process.env) {
+    const config = {};
+    for (const [name, spec] of Object.entries(ENV_VARS)) {
+        const text = env[name]?.trim();
+        if (!text) continue;
+        if (spec.type === 'boolean') {
+            if (!/^(true|false|1|0|yes|no)$/i.test(text)) throw new Error(`${name}: expected true or false, got "${text}"`);
+            setPath(config, spec.path, /^(true|1|yes)$/i.test(text));
+        } else {
+            setPath(config, spec.path, checkValue(name, spec, text));
+        }
+    }
+    return config;
+}
+
+/**
+ * Merge config layers, later layers winning. Objects merge key by key; arrays,
+ * strings and other values are replaced (an object images.quality replaces the preset name).
+ * @param {Array<[string, Object]>} layers - [source name, partial config], lowest precedence first
+ * @returns {{config: Object, sources: Object}} sources: dotted key -> name of the layer it came from
+ */
+function resolveConfig(layers) {
+    const sources = {};
+
+    const merge = (base, layer, source, prefix) => {
+        const result = { ...base };
+        for (const [key, value] of Object.entries(layer)) {
+            if (value === undefined) continue;
+            const keyPath = prefix + key;
+            if (isPlainObject(value)) {
+                if (!isPlainObject(base[key])) delete sources[keyPath];
+                result[key] = merge(isPlainObject(base[key]) ? base[key] : {}, value, source, `${keyPath}.`);
+            } else {
+                result[key] = value;
+                sources[keyPath] = source;
+            }
+        }
+        return result;
+    };
+
+    let config = {};
+    for (const [source, layer] of layers) config = merge(config, layer || {}, source, '');
+    return { config, sources };
+}
+
+function formatRows(rows) {
+    const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+    return rows.map(([left, right]) => `  ${left.padEnd(width)}${right}`).join('\n');
+}
+
+function optionRow(name) {
+    const { arg, short, description, choices } = OPTIONS[name];
+    const flag = `${short ? `-${short}, ` : ''}--${name}${arg ? ` ${arg}` : ''}`;
+    return [flag, choices ? `${description} (${choices.join(', ')})` : description];
+}
+
+/**
+ * Help text: the command list, or one command's usage and options.
+ * @param {string} command - Omit for the overview
+ * @param {string} program - How the script is invoked
+ */
+function formatHelp(command = null, program = 'node se_card_browser.js') {
+    const precedence = 'Settings: defaults < command defaults < --config file < FFTCG_* environment (.env) < flags';
+
+    if (!command) {
+        return [
+            `Usage: ${program} <command> [options]`,
+            '',
+            'Commands:',
+            formatRows(Object.entries(COMMANDS).map(([name, { description }]) => [name, description])),
+            '',
+            'Options for every command:',
+            formatRows(GLOBAL_OPTIONS.map(optionRow)),
+            '',
+            'Environment:',
+            formatRows(Object.entries(ENV_VARS).map(([name, { path }]) => [name, path])),
+            '',
+            precedence,
+            `Run "${program} <command> --help" for a command's options.`,
+        ].join('\n');
+    }
+
+    const spec = COMMANDS[command];
+    return [
+        `Usage: ${program} ${spec.usage}`,
+        '',
+        spec.description,
+        '',
+        'Options:',
+        formatRows([...spec.options, ...GLOBAL_OPTIONS].map(optionRow)),
+        '',
+        precedence,
+    ].join('\n');
+}
+
+module.exports = {
+    EXPORT_FORMATS, OPTIONS, COMMANDS, ENV_VARS, parseCli, envConfig, resolveConfig, formatHelp,
+};
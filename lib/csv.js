@@ -0,0 +1,114 @@
+/**
+ * CSV / TSV export
+ * Flattens cards into one row each for spreadsheets. Multi-valued fields
+ * (element, set, category, arrays) become a single cell with values joined
+ * by "; ", and objects are written as JSON. Cells are quoted per RFC 4180.
+ */
+
+const fs = require('fs').promises;
+const CARD_SCHEMA = require('../schema/card.schema.json');
+
+const DEFAULT_COLUMNS = [
+    'code', 'name', 'type', 'job', 'element', 'cost', 'power',
+    'rarity', 'category', 'set', 'abilities', 'imageUrl',
+];
+
+// Every card field, the names --columns accepts
+const CARD_COLUMNS = Object.keys(CARD_SCHEMA.properties);
+
+const DELIMITERS = { csv: ',', tsv: '\t' };
+
+const MULTI_VALUE_SEPARATOR = '; ';
+
+// How each multi-valued string field is split in the JSON (element and category only for older records)
+const MULTI_VALUE_FIELDS = {
+    element: /\s*\/\s*/,
+    set: /\s*,\s*/,
+    category: /\s*·\s*/,
+};
+
+// Typed lists from lib/normalize.js, used for the column when a card has them
+const LIST_FIELDS = { element: 'elements', category: 'categories' };
+
+/**
+ * The value a card has for a column: the typed list for element/category,
+ * the display string only for older records without one.
+ */
+function cardValue(card, column) {
+    const list = card[LIST_FIELDS[column]];
+    return Array.isArray(list) ? list : card[column];
+}
+
+/**
+ * One card field as a cell string.
+ */
+function flattenValue(field, value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        return value.every(v => v === null || typeof v !== 'object')
+            ? value.filter(v => v !== null && v !== undefined).join(MULTI_VALUE_SEPARATOR)
+            : JSON.stringify(value);
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'string' && MULTI_VALUE_FIELDS[field]) {
+        return value.split(MULTI_VALUE_FIELDS[field]).filter(Boolean).join(MULTI_VALUE_SEPARATOR);
+    }
+    return String(value);
+}
+
+function quoteCell(cell, delimiter) {
+    if (cell.includes(delimiter) || /["\r\n]/.test(cell) || cell !== cell.trim()) {
+        return `"${cell.replace(/"/g, '""')}"`;
+    }
+    return cell;
+}
+
+/**
+ * Render cards as delimited text (header row first, CRLF line endings).
+ * @param {Object[]} cards
+ * @param {Object} options
+ * @param {string[]} options.columns - Card fields to write, in order (default DEFAULT_COLUMNS)
+ * @param {'csv'|'tsv'} options.format
+ * @returns {string}
+ */
+function toDelimited(cards, { columns = DEFAULT_COLUMNS, format = 'csv' } = {}) {
+    const delimiter = DELIMITERS[format];
+    if (!delimiter) throw new Error(`Unknown format "${format}" (expected ${Object.keys(DELIMITERS).join(', ')})`);
+
+    const lines = [columns.map(c => quoteCell(c, delimiter)).join(delimiter)];
+    for (const card of cards) {
+        lines.push(columns.map(c => quoteCell(flattenValue(c, cardValue(card, c)), delimiter)).join(delimiter));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Write cards to a CSV or TSV file. A UTF-8 BOM is added so Excel detects the encoding.
+ * @returns {Promise<string>} The file path
+ */
+async function writeDelimited(filepath, cards, options = {}) {
+    await fs.writeFile(filepath, '\ufeff' + toDelimited(cards, options));
+    return filepath;
+}
+
+/**
+ * Parse a --columns value ("code,name,cost").
+ * @throws {Error} A name that isn't a card field
+ */
+function parseColumns(value) {
+    const columns = String(value || '').split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = columns.find(c => !CARD_COLUMNS.includes(c));
+    if (unknown) throw new Error(`unknown column "${unknown}" (expected ${CARD_COLUMNS.join(', ')})`);
+    return columns.length > 0 ? columns : null;
+}
+
+module.exports = {
+    DEFAULT_COLUMNS,
+    CARD_COLUMNS,
+    DELIMITERS,
+    MULTI_VALUE_SEPARATOR,
+    flattenValue,
+    toDelimited,
+    writeDelimited,
+    parseColumns,
+};
@@ -0,0 +1,247 @@
+/**
+ * Deck-builder and simulator exports
+ * Turns the combined card list into formats other tools import:
+ *   tts        - Tabletop Simulator saved object (one custom deck per card image)
+ *   cockatrice - Cockatrice card database (v4 XML)
+ *   images     - Image sheet manifest: code -> local image path and 10x7 sheet slot
+ * and reads plain-text decklists ("3x 1-003C") back against the database.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Tabletop Simulator's largest custom deck sheet
+const SHEET_COLUMNS = 10;
+const SHEET_ROWS = 7;
+
+const setFolder = setName => setName.replace(/[^a-zA-Z0-9]/g, '');
+
+const cardSets = card => String(card.set || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Map each card to the image the scraper downloaded for it.
+ * @param {Object[]} cards - Combined cards (reprints may repeat a code)
+ * @param {Object} options
+ * @param {string} options.rootDir - Results root holding the set folders (paths are relative to it)
+ * @param {string} options.imageSubdir
+ * @returns {Promise<Object>} { sheet, total, missing, sheets: [[codes]], cards: { code: {...} } }
+ */
+async function imageManifest(cards, { rootDir = './card_results', imageSubdir = 'images' } = {}) {
+    const entries = {};
+    const sheets = [];
+    let missing = 0;
+
+    for (const card of cards) {
+        if (!card.code || entries[card.code]) continue;
+
+        // The image sits in whichever listed set's folder downloaded it
+        const candidates = cardSets(card).map(s => path.posix.join(setFolder(s), imageSubdir, `${card.code}.jpg`));
+        let image = null;
+        for (const candidate of candidates) {
+            try {
+                await fs.access(path.join(rootDir, candidate));
+                image = candidate;
+                break;
+            } catch (e) {}
+        }
+        if (!image) missing++;
+
+        const index = Object.keys(entries).length;
+        const sheet = Math.floor(index / (SHEET_COLUMNS * SHEET_ROWS));
+        const slot = index % (SHEET_COLUMNS * SHEET_ROWS);
+        (sheets[sheet] || (sheets[sheet] = [])).push(card.code);
+
+        entries[card.code] = {
+            name: card.name ?? null,
+            image: image || candidates[0] || null,
+            exists: Boolean(image),
+            imageUrl: card.imageUrl ?? null,
+            sheet,
+            slot,
+            row: Math.floor(slot / SHEET_COLUMNS),
+            column: slot % SHEET_COLUMNS,
+        };
+    }
+
+    return {
+        sheet: { columns: SHEET_COLUMNS, rows: SHEET_ROWS },
+        total: Object.keys(entries).length,
+        missing,
+        sheets,
+        cards: entries,
+    };
+}
+
+/**
+ * Build a Tabletop Simulator saved object holding one deck.
+ * Each distinct card gets its own single-image CustomDeck, so no sheet stitching is needed.
+ * @param {{count: number, card: Object}[]} entries
+ * @param {Object} options
+ * @param {string} options.name - Deck nickname
+ * @param {string} options.backUrl - Card back image URL
+ * @returns {Object}
+ */
+function toTabletopSimulator(entries, { name = 'FFTCG', backUrl = '' } = {}) {
+    const transform = { posX: 0, posY: 1, posZ: 0, rotX: 0, rotY: 180, rotZ: 180, scaleX: 1, scaleY: 1, scaleZ: 1 };
+    const customDeck = {};
+    const deckIds = [];
+    const contained = [];
+
+    entries.forEach(({ count, card }, i) => {
+        const deckId = i + 1;
+        customDeck[deckId] = {
+            FaceURL: card.imageUrl || '',
+            BackURL: backUrl,
+            NumWidth: 1,
+            NumHeight: 1,
+            BackIsHidden: true,
+            UniqueBack: false,
+        };
+        for (let n = 0; n < count; n++) {
+            deckIds.push(deckId * 100);
+            contained.push({
+                Name: 'Card',
+                Transform: transform,
+                Nickname: card.name || card.code,
+                Description: card.code,
+                CardID: deckId * 100,
+                CustomDeck: { [deckId]: customDeck[deckId] },
+            });
+        }
+    });
+
+    return {
+        SaveName: name,
+        ObjectStates: [{
+            Name: 'DeckCustom',
+            Transform: transform,
+            Nickname: name,
+            DeckIDs: deckIds,
+            CustomDeck: customDeck,
+            ContainedObjects: contained,
+        }],
+    };
+}
+
+const escapeXml = value => String(value ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+/**
+ * Build a Cockatrice card database (version 4 XML).
+ * Card names repeat across FFTCG sets, so each entry is named "Name (code)".
+ * @param {Object[]} cards
+ * @returns {string}
+ */
+function toCockatrice(cards) {
+    const seen = new Set();
+    const unique = cards.filter(c => c.code && !seen.has(c.code) && seen.add(c.code));
+    const sets = [...new Set(unique.flatMap(cardSets))];
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<cockatrice_carddatabase version="4">',
+        '  <sets>',
+    ];
+    for (const set of sets) {
+        lines.push('    <set>',
+            `      <name>${escapeXml(setFolder(set))}</name>`,
+            `      <longname>${escapeXml(set)}</longname>`,
+            '      <settype>Custom</settype>',
+            '    </set>');
+    }
+    lines.push('  </sets>', '  <cards>');
+
+    for (const card of unique) {
+        const props = {
+            type: card.type,
+            maintype: card.type,
+            manacost: card.cost,
+            cmc: card.cost,
+            colors: card.element,
+            pt: card.power,
+            job: card.job,
+            category: card.category,
+        };
+        lines.push('    <card>',
+            `      <name>${escapeXml(`${card.name || card.code} (${card.code})`)}</name>`,
+            `      <text>${escapeXml(card.abilities)}</text>`,
+            '      <prop>',
+            ...Object.entries(props)
+                .filter(([, value]) => value !== null && value !== undefined && value !== '')
+                .map(([key, value]) => `        <${key}>${escapeXml(value)}</${key}>`),
+            '      </prop>');
+        for (const set of cardSets(card)) {
+            lines.push(`      <set rarity="${escapeXml(card.rarity)}" num="${escapeXml(card.code)}" ` +
+                `picurl="${escapeXml(card.imageUrl)}">${escapeXml(setFolder(set))}</set>`);
+        }
+        lines.push(`      <tablerow>${card.type === 'Backup' ? 1 : 2}</tablerow>`, '    </card>');
+    }
+
+    lines.push('  </cards>', '</cockatrice_carddatabase>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Parse a plain-text decklist. Accepts "3x 1-003C", "3 1-003C" and "1-003C",
+ * optionally followed by the card name; "#" and "//" start comments.
+ * @param {string} text
+ * @returns {{entries: {count: number, code: string, line: number}[], errors: {line: number, text: string}[]}}
+ */
+function parseDecklist(text) {
+    const entries = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.replace(/(#|\/\/).*$/, '').trim();
+        if (!line) return;
+
+        const match = line.match(/^(?:(\d+)\s*[xX]?\s+)?([0-9A-Za-z]+-[0-9]{2,3}[A-Za-z]*)\b/);
+        if (!match) {
+            errors.push({ line: i + 1, text: raw.trim() });
+            return;
+        }
+        entries.push({ count: parseInt(match[1] || '1'), code: match[2].toUpperCase(), line: i + 1 });
+    });
+
+    return { entries, errors };
+}
+
+/**
+ * Resolve decklist entries against the card database.
+ * Repeated lines for one code are summed.
+ * @returns {{cards: {count: number, code: string, card: Object}[], unknown: Object[], total: number}}
+ */
+function resolveDecklist(entries, cards) {
+    const byCode = new Map();
+    for (const card of cards) {
+        if (card.code && !byCode.has(card.code.toUpperCase())) byCode.set(card.code.toUpperCase(), card);
+    }
+
+    const resolved = new Map();
+    const unknown = [];
+
+    for (const entry of entries) {
+        const card = byCode.get(entry.code);
+        if (!card) {
+            unknown.push(entry);
+            continue;
+        }
+        const existing = resolved.get(card.code);
+        if (existing) existing.count += entry.count;
+        else resolved.set(card.code, { count: entry.count, code: card.code, card });
+    }
+
+    const list = [...resolved.values()];
+    return { cards: list, unknown, total: list.reduce((sum, e) => sum + e.count, 0) };
+}
+
+module.exports = {
+    SHEET_COLUMNS,
+    SHEET_ROWS,
+    imageManifest,
+    toTabletopSimulator,
+    toCockatrice,
+    parseDecklist,
+    resolveDecklist,
+};
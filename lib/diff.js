@@ -0,0 +1,61 @@
+/**
+ * Card diffing
+ * Field-by-field comparison of scraped cards, used by --update changelogs.
+ */
+
+// Derived from other fields - comparing them would only repeat the same change
+// (lib/normalize.js lists and codes, and the strings they were parsed from)
+const IGNORED_FIELDS = ['abilitiesParsed', 'jobs', 'elements', 'rarityCode', 'categories', 'raw'];
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Compare two versions of a card.
+ * @param {Object} before - Previously scraped card
+ * @param {Object} after - Newly scraped card
+ * @returns {{field: string, old: *, new: *}[]} One entry per changed field
+ */
+function diffCard(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        if (!sameValue(before?.[field], after?.[field])) {
+            changes.push({ field, old: before?.[field] ?? null, new: after?.[field] ?? null });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Compare two card lists by code.
+ * @param {Object[]} previous - Cards from the last run
+ * @param {Object[]} current - Cards from this run
+ * @param {Object} options
+ * @param {Set<string>} options.compare - Only diff these codes (default: every code in both lists)
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}}
+ */
+function diffCards(previous, current, { compare = null } = {}) {
+    const before = new Map(previous.map(c => [c.code, c]));
+    const after = new Map(current.map(c => [c.code, c]));
+
+    const added = current.filter(c => !before.has(c.code));
+    const removed = previous.filter(c => !after.has(c.code));
+    const changed = [];
+
+    for (const card of current) {
+        if (!before.has(card.code) || (compare && !compare.has(card.code))) continue;
+        const changes = diffCard(before.get(card.code), card);
+        if (changes.length > 0) {
+            changed.push({ code: card.code, name: card.name ?? null, changes });
+        }
+    }
+
+    return { added, removed, changed };
+}
+
+module.exports = { IGNORED_FIELDS, diffCard, diffCards };
@@ -0,0 +1,103 @@
+/**
+ * Card history
+ * Every time a set file is overwritten, field-level differences against the
+ * previous version are appended to card_history.json next to it. --history
+ * reads those files back into a per-card timeline.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HISTORY_FILENAME = 'card_history.json';
+
+async function readHistory(filepath) {
+    try {
+        return JSON.parse(await fs.readFile(filepath, 'utf8'));
+    } catch (e) {
+        return { cards: {} };
+    }
+}
+
+/**
+ * Append changed fields to a history file.
+ * @param {string} filepath - card_history.json path
+ * @param {Object[]} changed - diffCards().changed entries
+ * @param {string} timestamp - ISO time of the scrape
+ * @returns {Promise<number>} Number of field changes recorded
+ */
+async function appendHistory(filepath, changed, timestamp) {
+    if (changed.length === 0) return 0;
+
+    const history = await readHistory(filepath);
+    let recorded = 0;
+
+    for (const { code, name, changes } of changed) {
+        const timeline = history.cards[code] || (history.cards[code] = []);
+        for (const change of changes) {
+            timeline.push({ timestamp, name, field: change.field, old: change.old, new: change.new });
+            recorded++;
+        }
+    }
+
+    await fs.writeFile(filepath, JSON.stringify(history, null, 2));
+    return recorded;
+}
+
+/**
+ * Collect a card's timeline from every history file under a results directory.
+ * @param {string} code - Card code (case-insensitive)
+ * @param {string} rootDir - e.g. ./card_results (the root itself and one level of set folders)
+ * @returns {Promise<Object[]>} Entries sorted oldest first, each with its `source` file
+ */
+async function cardTimeline(code, rootDir) {
+    const dirs = [rootDir];
+    try {
+        const entries = await fs.readdir(rootDir, { withFileTypes: true });
+        dirs.push(...entries.filter(e => e.isDirectory()).map(e => path.join(rootDir, e.name)));
+    } catch (e) {
+        return [];
+    }
+
+    const wanted = code.toUpperCase();
+    const timeline = [];
+
+    for (const dir of dirs) {
+        const filepath = path.join(dir, HISTORY_FILENAME);
+        const history = await readHistory(filepath);
+        for (const [cardCode, entries] of Object.entries(history.cards || {})) {
+            if (cardCode.toUpperCase() !== wanted) continue;
+            timeline.push(...entries.map(entry => ({ ...entry, code: cardCode, source: filepath })));
+        }
+    }
+
+    return timeline.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) return '(none)';
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Print a card's timeline to the console.
+ */
+function printTimeline(code, timeline) {
+    if (timeline.length === 0) {
+        console.log(`📜 No recorded changes for ${code}`);
+        return;
+    }
+
+    const name = timeline[timeline.length - 1].name;
+    console.log(`\n📜 History for ${timeline[0].code}${name ? ` (${name})` : ''}: ${timeline.length} change(s)\n`);
+
+    let lastTimestamp = null;
+    for (const entry of timeline) {
+        if (entry.timestamp !== lastTimestamp) {
+            console.log(`🕒 ${entry.timestamp.replace('T', ' ').slice(0, 19)}  (${path.dirname(entry.source)})`);
+            lastTimestamp = entry.timestamp;
+        }
+        console.log(`   ${entry.field}: ${formatValue(entry.old)} → ${formatValue(entry.new)}`);
+    }
+}
+
+module.exports = { HISTORY_FILENAME, appendHistory, cardTimeline, printTimeline };
@@ -0,0 +1,181 @@
+/**
+ * Image post-processing and integrity checks
+ * Runs after each card image download (images.quality): resized copies,
+ * WebP/AVIF conversions and a perceptual hash (dHash) that is stored on the
+ * card as `imageHash`, so a replaced image shows up in changelogs and history.
+ * The hash is of the JPG on disk: an existing file is never re-downloaded, so
+ * artwork the CDN replaces later is only seen once that file is deleted.
+ * inspectImage() backs --verify-images: signature, full decode, dimensions and
+ * the size/SHA-256 recorded in images/checksums.json at download time.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+
+// images.quality presets; an object with the same keys configures the pipeline directly
+const QUALITY_PRESETS = {
+    full: null,     // Keep the downloaded JPG only
+    web: { sizes: { thumb: 120, medium: 300 }, formats: ['webp'], hash: true },
+    all: { sizes: { thumb: 120, medium: 300 }, formats: ['webp', 'avif'], hash: true },
+};
+
+const FORMAT_DEFAULTS = { webpQuality: 80, avifQuality: 50, jpegQuality: 85 };
+
+/**
+ * Resolve images.quality into pipeline options (null = no processing).
+ * @param {string|Object} quality - Preset name or { sizes, formats, hash, webpQuality, avifQuality, jpegQuality }
+ * @returns {Object|null}
+ */
+function imagePipeline(quality) {
+    if (quality === undefined || quality === null) return null;
+    if (typeof quality === 'string') {
+        if (!(quality in QUALITY_PRESETS)) {
+            throw new Error(`Unknown images.quality "${quality}" (expected ${Object.keys(QUALITY_PRESETS).join(', ')} or an object)`);
+        }
+        return QUALITY_PRESETS[quality] && { ...FORMAT_DEFAULTS, ...QUALITY_PRESETS[quality] };
+    }
+
+    const pipeline = { sizes: {}, formats: [], hash: false, ...FORMAT_DEFAULTS, ...quality };
+    const unknown = pipeline.formats.filter(f => !['jpg', 'webp', 'avif'].includes(f));
+    if (unknown.length > 0) throw new Error(`Unknown image format(s): ${unknown.join(', ')}`);
+    return pipeline;
+}
+
+/**
+ * 64-bit difference hash: grey 9x8 thumbnail, one bit per horizontal neighbour pair.
+ * Robust to re-encoding and resizing, changes when the artwork changes.
+ * @returns {Promise<string>} 16 hex characters
+ */
+async function perceptualHash(input) {
+    const pixels = await sharp(input).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+function encode(image, format, pipeline) {
+    if (format === 'webp') return image.webp({ quality: pipeline.webpQuality });
+    if (format === 'avif') return image.avif({ quality: pipeline.avifQuality });
+    return image.jpeg({ quality: pipeline.jpegQuality, mozjpeg: true });
+}
+
+/**
+ * Generate the configured variants of one downloaded image.
+ * Variants go to <imageDir>/<size>/<name>.<format>; full-size conversions sit next to the JPG.
+ * Variants newer than the JPG are kept; a re-downloaded JPG regenerates them.
+ * @param {string} filepath - The downloaded JPG
+ * @param {Object} pipeline - imagePipeline() result
+ * @returns {Promise<{hash: string|null, outputs: string[]}>} Hash and the files written this time
+ */
+async function processImage(filepath, pipeline) {
+    const dir = path.dirname(filepath);
+    const name = path.basename(filepath, path.extname(filepath));
+    const source = await fs.stat(filepath);
+    const outputs = [];
+
+    const targets = [
+        ...pipeline.formats.filter(f => f !== 'jpg').map(format => ({ width: null, format, dir })),
+        ...Object.entries(pipeline.sizes).flatMap(([size, width]) =>
+            (pipeline.formats.length > 0 ? pipeline.formats : ['jpg'])
+                .map(format => ({ width, format, dir: path.join(dir, size) }))),
+    ];
+
+    for (const target of targets) {
+        const output = path.join(target.dir, `${name}.${target.format}`);
+        const existing = await fs.stat(output).catch(() => null);
+        if (existing && existing.mtimeMs >= source.mtimeMs) continue;
+
+        await fs.mkdir(target.dir, { recursive: true });
+        let image = sharp(filepath);
+        if (target.width) image = image.resize({ width: target.width, withoutEnlargement: true });
+        await encode(image, target.format, pipeline).toFile(output);
+        outputs.push(output);
+    }
+
+    return { hash: pipeline.hash ? await perceptualHash(filepath) : null, outputs };
+}
+
+const CHECKSUMS_FILENAME = 'checksums.json';
+
+// Card scans are 429x600; anything far off is a placeholder or a broken file
+const PLAUSIBLE_SIZE = { minWidth: 100, minHeight: 140, minAspect: 1.2, maxAspect: 1.6 };
+
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+function imageChecksum(buffer) {
+    return { bytes: buffer.length, sha256: crypto.createHash('sha256').update(buffer).digest('hex') };
+}
+
+/**
+ * Check one downloaded JPG.
+ * @param {string} filepath
+ * @param {Object} recorded - { bytes, sha256 } from checksums.json, if any
+ * @returns {Promise<{ok: boolean, problems: {check: string, message: string}[], bytes: number, sha256: string, width: number|null, height: number|null}>}
+ *          check is one of empty, signature, decode, dimensions, checksum
+ */
+async function inspectImage(filepath, recorded = null) {
+    const buffer = await fs.readFile(filepath);
+    const result = { ok: false, problems: [], ...imageChecksum(buffer), width: null, height: null };
+    const fail = (check, message) => {
+        result.problems.push({ check, message });
+        return result;
+    };
+
+    if (buffer.length === 0) return fail('empty', 'zero-byte file');
+    if (!buffer.subarray(0, 3).equals(JPEG_SIGNATURE)) {
+        const text = buffer.subarray(0, 64).toString('utf8').trimStart().toLowerCase();
+        return fail('signature', text.startsWith('<') ? 'HTML/XML page saved as .jpg' : 'no JPEG signature');
+    }
+
+    try {
+        const { info } = await sharp(buffer, { failOn: 'truncated' }).raw().toBuffer({ resolveWithObject: true });
+        result.width = info.width;
+        result.height = info.height;
+    } catch (e) {
+        return fail('decode', e.message.split('\n')[0]);
+    }
+
+    const { minWidth, minHeight, minAspect, maxAspect } = PLAUSIBLE_SIZE;
+    const aspect = result.height / result.width;
+    if (result.width < minWidth || result.height < minHeight || aspect < minAspect || aspect > maxAspect) {
+        fail('dimensions', `${result.width}x${result.height} is not a card image`);
+    }
+
+    if (recorded && (recorded.bytes !== result.bytes || recorded.sha256 !== result.sha256)) {
+        fail('checksum', `${result.bytes} bytes, recorded ${recorded.bytes}` +
+            (recorded.bytes === result.bytes ? ' (content differs)' : ''));
+    }
+
+    result.ok = result.problems.length === 0;
+    return result;
+}
+
+async function readChecksums(imageDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(imageDir, CHECKSUMS_FILENAME), 'utf8')).files || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Merge { filename: { bytes, sha256 } } into images/checksums.json.
+ */
+async function writeChecksums(imageDir, updates) {
+    const files = { ...await readChecksums(imageDir), ...updates };
+    const sorted = Object.fromEntries(Object.keys(files).sort().map(name => [name, files[name]]));
+    await fs.writeFile(path.join(imageDir, CHECKSUMS_FILENAME),
+        JSON.stringify({ updated_at: new Date().toISOString(), files: sorted }, null, 2));
+}
+
+module.exports = {
+    QUALITY_PRESETS, imagePipeline, perceptualHash, processImage,
+    CHECKSUMS_FILENAME, PLAUSIBLE_SIZE, imageChecksum, inspectImage, readChecksums, writeChecksums,
+};
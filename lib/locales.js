@@ -0,0 +1,195 @@
+/**
+ * Card browser locales
+ * Per-language site path, card image suffix and the attribute-table labels
+ * the overlay shows, plus the merge that stores each language's text side by
+ * side under one card code.
+ */
+
+// Image suffixes follow the CDN's <code>_<suffix>.jpg naming; set
+// scraping.imageSuffix to override one. Labels are lower-case, without the colon.
+// types/rarities map localized names (lower-case) to the English type and the
+// rarity code. verified: the strings were checked against the live site. Only
+// English is; the others are best guesses until they are compared with captured
+// pages, and scrapes refuse them (see scrapeLocale).
+const LOCALES = {
+    en: {
+        name: 'English',
+        verified: true,
+        imageSuffix: 'eg',
+        labels: {
+            type: ['type'], job: ['job'], element: ['element'], cost: ['cost'], power: ['power'],
+            rarity: ['serial type', 'rarity'], category: ['category'], set: ['set'], code: ['code'],
+        },
+        types: { forward: 'Forward', backup: 'Backup', summon: 'Summon', monster: 'Monster', crystal: 'Crystal' },
+        rarities: { common: 'C', rare: 'R', hero: 'H', legend: 'L', starter: 'S', boss: 'B', promo: 'PR' },
+    },
+    de: {
+        name: 'Deutsch',
+        verified: false,
+        imageSuffix: 'de',
+        labels: {
+            type: ['typ', 'kartentyp'], job: ['job', 'beruf'], element: ['element'], cost: ['kosten'],
+            power: ['stärke', 'kraft'], rarity: ['seltenheit', 'serientyp'], category: ['kategorie'],
+            set: ['set', 'edition', 'erweiterung'], code: ['code', 'kartennummer'],
+        },
+        types: { 'vorwärts': 'Forward', 'unterstützer': 'Backup', 'beschwörung': 'Summon', monster: 'Monster', kristall: 'Crystal' },
+        rarities: { 'gewöhnlich': 'C', selten: 'R', held: 'H', legende: 'L', starter: 'S', boss: 'B', promo: 'PR' },
+    },
+    fr: {
+        name: 'Français',
+        verified: false,
+        imageSuffix: 'fr',
+        labels: {
+            type: ['type'], job: ['job', 'métier', 'classe'], element: ['élément'], cost: ['coût', 'cout'],
+            power: ['puissance', 'force'], rarity: ['rareté', 'type de série'], category: ['catégorie'],
+            set: ['set', 'extension', 'série'], code: ['code', 'numéro'],
+        },
+        types: { avant: 'Forward', soutien: 'Backup', invocation: 'Summon', monstre: 'Monster', cristal: 'Crystal' },
+        rarities: { commune: 'C', rare: 'R', 'héros': 'H', 'légende': 'L', starter: 'S', boss: 'B', promo: 'PR' },
+    },
+    es: {
+        name: 'Español',
+        verified: false,
+        imageSuffix: 'es',
+        labels: {
+            type: ['tipo'], job: ['job', 'trabajo', 'oficio'], element: ['elemento'], cost: ['coste', 'costo'],
+            power: ['poder', 'fuerza'], rarity: ['rareza', 'tipo de serie'], category: ['categoría'],
+            set: ['set', 'expansión', 'colección'], code: ['código'],
+        },
+        types: { delantero: 'Forward', apoyo: 'Backup', 'invocación': 'Summon', monstruo: 'Monster', cristal: 'Crystal' },
+        rarities: { 'común': 'C', rara: 'R', 'héroe': 'H', leyenda: 'L', starter: 'S', jefe: 'B', promo: 'PR' },
+    },
+    it: {
+        name: 'Italiano',
+        verified: false,
+        imageSuffix: 'it',
+        labels: {
+            type: ['tipo'], job: ['job', 'lavoro', 'classe'], element: ['elemento'], cost: ['costo'],
+            power: ['forza', 'potenza'], rarity: ['rarità', 'tipo di serie'], category: ['categoria'],
+            set: ['set', 'espansione'], code: ['codice'],
+        },
+        types: { attaccante: 'Forward', supporto: 'Backup', evocazione: 'Summon', mostro: 'Monster', cristallo: 'Crystal' },
+        rarities: { comune: 'C', rara: 'R', eroe: 'H', leggenda: 'L', starter: 'S', boss: 'B', promo: 'PR' },
+    },
+    ja: {
+        name: '日本語',
+        verified: false,
+        imageSuffix: 'jp',
+        labels: {
+            type: ['種類', 'タイプ', 'カードタイプ'], job: ['ジョブ'], element: ['属性'], cost: ['コスト'],
+            power: ['パワー'], rarity: ['レアリティ'], category: ['カテゴリ', 'カテゴリー', '作品'],
+            set: ['セット', '収録弾'], code: ['カード番号', 'コード'],
+        },
+        types: { 'フォワード': 'Forward', 'バックアップ': 'Backup', '召喚獣': 'Summon', 'モンスター': 'Monster', 'クリスタル': 'Crystal' },
+        rarities: { 'コモン': 'C', 'レア': 'R', 'ヒーロー': 'H', 'レジェンド': 'L', 'スターター': 'S', 'ボス': 'B', 'プロモ': 'PR' },
+    },
+};
+
+// Fields that differ between languages (the rest - cost, power, element, set - are shared)
+const TRANSLATED_FIELDS = ['name', 'type', 'job', 'abilities', 'imageUrl'];
+
+// Languages a scrape may use
+const VERIFIED_LANGUAGES = Object.keys(LOCALES).filter(language => LOCALES[language].verified);
+
+function getLocale(language) {
+    const locale = LOCALES[language];
+    if (!locale) {
+        throw new Error(`Unknown language "${language}" (expected ${Object.keys(LOCALES).join(', ')})`);
+    }
+    return locale;
+}
+
+/**
+ * Locale for a scrape: unverified labels would be dropped silently, so only
+ * verified languages are allowed.
+ * @throws {Error} Unknown or unverified language
+ */
+function scrapeLocale(language) {
+    const locale = getLocale(language);
+    if (!locale.verified) {
+        throw new Error(`Language "${language}" hasn't been checked against the live site yet (supported: ${VERIFIED_LANGUAGES.join(', ')})`);
+    }
+    return locale;
+}
+
+/**
+ * Map an attribute-table label ("Kosten:", "コスト：") to a card field.
+ * English labels are always accepted as a fallback.
+ * @returns {string|null}
+ */
+function attributeField(labelText, language = 'en') {
+    const label = String(labelText || '').toLowerCase().replace(/[:：]\s*$/, '').trim();
+    for (const locale of [LOCALES[language], LOCALES.en].filter(Boolean)) {
+        for (const [field, aliases] of Object.entries(locale.labels)) {
+            if (aliases.includes(label)) return field;
+        }
+    }
+    return null;
+}
+
+const lookup = (table, value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    for (const locale of Object.values(LOCALES)) {
+        if (locale[table][text]) return locale[table][text];
+    }
+    return null;
+};
+
+/**
+ * English card type for a type name in any locale ("Unterstützer" -> "Backup"), or null.
+ */
+function canonicalType(value) {
+    return lookup('types', value);
+}
+
+/**
+ * Rarity code for a rarity name in any locale ("Legende" -> "L"), or null.
+ */
+function rarityCodeFor(value) {
+    return lookup('rarities', value);
+}
+
+/**
+ * Localized value of a raw search API field (name_de, text_ja, ...), falling back to English.
+ */
+function apiText(raw, field, language = 'en') {
+    const value = raw[`${field}_${language}`];
+    return value !== undefined && value !== null && value !== '' ? value : raw[`${field}_en`];
+}
+
+/**
+ * Add each language's text to the base cards under `translations`.
+ * @param {Object[]} baseCards - Cards in the base language (usually English)
+ * @param {Object} translated - { de: cards[], ja: cards[] }
+ * @returns {Object[]} Base cards with translations: { de: { name, type, job, abilities, imageUrl } }
+ *                     (cards only present in a translation are appended)
+ */
+function mergeTranslations(baseCards, translated) {
+    const merged = new Map();
+    for (const card of baseCards) {
+        if (card.code && !merged.has(card.code)) merged.set(card.code, { ...card, translations: {} });
+    }
+
+    for (const [language, cards] of Object.entries(translated)) {
+        for (const card of cards) {
+            if (!card.code) continue;
+            if (!merged.has(card.code)) merged.set(card.code, { ...card, translations: {} });
+
+            const text = {};
+            for (const field of TRANSLATED_FIELDS) {
+                // type itself is stored in English; the localized name is typeLocalized
+                const value = field === 'type' && card.typeLocalized !== undefined ? card.typeLocalized : card[field];
+                if (value !== undefined) text[field] = value;
+            }
+            merged.get(card.code).translations[language] = text;
+        }
+    }
+
+    return [...merged.values()];
+}
+
+module.exports = {
+    LOCALES, VERIFIED_LANGUAGES, TRANSLATED_FIELDS, getLocale, scrapeLocale, attributeField,
+    canonicalType, rarityCodeFor, apiText, mergeTranslations,
+};
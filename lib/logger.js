@@ -0,0 +1,128 @@
+/**
+ * Structured logging
+ * Leveled messages with context fields (runId, set, code, phase ...). The
+ * console gets the usual emoji lines or, with format 'json', one JSON object per
+ * line; log files always get JSON lines. Child loggers add fields and files, so
+ * a set's scraper writes its own log next to its output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, success: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const LOG_FORMATS = ['pretty', 'json'];
+const LOG_FILENAME = 'scrape_log.jsonl';
+
+const ICONS = { info: 'ℹ️ ', debug: '🔍', warn: '⚠️ ', error: '❌', success: '✅' };
+
+/**
+ * Sortable, unique enough for one machine: 20260412T081530Z-3fa9c1
+ */
+function createRunId(now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Console decoration (emoji, blank lines, ==== rules) doesn't belong in JSON
+function plainMessage(message) {
+    return String(message)
+        .split('\n')
+        .filter(line => !/^\s*=+\s*$/.test(line))
+        .join('\n')
+        .replace(/^[\s\p{Extended_Pictographic}\uFE0F]+/u, '')
+        .trimEnd();
+}
+
+function checkLevel(level) {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+    return level;
+}
+
+// Appends JSON lines; the directory is created on the first write
+function fileSink(filepath, level) {
+    let ready = false;
+    return {
+        path: filepath,
+        level: checkLevel(level),
+        write(entry) {
+            try {
+                if (!ready) fs.mkdirSync(path.dirname(filepath), { recursive: true });
+                ready = true;
+                fs.appendFileSync(filepath, JSON.stringify(entry) + '\n');
+            } catch (e) {
+                // A log file that can't be written must not fail the run
+            }
+        },
+    };
+}
+
+function build(root, context, files, { prefix, plain }) {
+    const write = (level, message, fields = {}) => {
+        const entry = { time: new Date().toISOString(), level, message: plainMessage(message) };
+        for (const [key, value] of Object.entries({ ...context, ...fields })) {
+            if (value !== undefined && value !== null) entry[key] = value;
+        }
+
+        if (LEVELS[level] >= LEVELS[root.level]) {
+            if (root.format === 'json') {
+                root.stream.write(JSON.stringify(entry) + '\n');
+            } else if (plain) {
+                (level === 'error' ? root.errorStream : root.stream).write(`${message}\n`);
+            } else {
+                const timestamp = entry.time.split('T')[1].slice(0, 12);
+                root.stream.write(`[${timestamp}] ${ICONS[level] || ''} ${prefix ? `[${prefix}] ` : ''}${message}\n`);
+            }
+        }
+        for (const file of files) {
+            if (LEVELS[level] >= LEVELS[file.level]) file.write(entry);
+        }
+    };
+
+    return {
+        runId: context.runId,
+        context,
+        files: files.map(file => file.path),
+        log: (level, message, fields) => write(checkLevel(level), message, fields),
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        success: (message, fields) => write('success', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        enabled: level => LEVELS[checkLevel(level)] >= LEVELS[root.level],
+
+        /**
+         * @param {Object} fields - Context added to every entry
+         * @param {Object} options
+         * @param {string} options.prefix - Shown in brackets on pretty console lines
+         * @param {boolean} options.plain - Pretty console lines without timestamp and icon
+         * @param {string} options.file - Also append this logger's entries to this file
+         * @param {string} options.fileLevel - Lowest level written to the file (default info)
+         */
+        child(fields = {}, { prefix: childPrefix = prefix, plain: childPlain = plain, file = null, fileLevel = 'info' } = {}) {
+            const childFiles = file ? [...files, fileSink(file, fileLevel)] : files;
+            return build(root, { ...context, ...fields }, childFiles, { prefix: childPrefix, plain: childPlain });
+        },
+    };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.level - Lowest level printed: debug, info, warn, error or silent
+ * @param {string} options.format - 'pretty' (emoji lines) or 'json' (JSON lines)
+ * @param {string} options.runId - Added to every entry (default: a new createRunId())
+ * @param {boolean} options.plain - Pretty lines without timestamp and icon (CLI status output)
+ * @param {Writable} options.stream - Console output (default stdout)
+ * @param {Writable} options.errorStream - Plain error lines (default stderr)
+ */
+function createLogger({
+    level = 'info', format = 'pretty', runId = createRunId(), plain = false,
+    stream = process.stdout, errorStream = process.stderr,
+} = {}) {
+    if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (expected ${LOG_FORMATS.join(', ')})`);
+    const root = { level: checkLevel(level), format, stream, errorStream };
+    return build(root, { runId }, [], { prefix: '', plain });
+}
+
+module.exports = { LEVELS, LOG_LEVELS, LOG_FORMATS, LOG_FILENAME, createRunId, createLogger };
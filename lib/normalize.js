@@ -0,0 +1,94 @@
+/**
+ * Card attribute normalization
+ * Turns the attribute strings read from the overlay or the search endpoint
+ * into typed values: an element list from a fixed set of names, numeric
+ * cost/power, rarity code and name, category and job lists. The strings as
+ * read are kept under `raw`.
+ */
+
+const { rarityCodeFor } = require('./locales');
+
+const ELEMENTS = ['Fire', 'Ice', 'Wind', 'Earth', 'Lightning', 'Water', 'Light', 'Dark'];
+
+// Lower-cased element names and CSS classes -> ELEMENTS entry
+const ELEMENT_NAMES = {
+    ...Object.fromEntries(ELEMENTS.map(name => [name.toLowerCase(), name])),
+    darkness: 'Dark',
+};
+
+const RARITIES = { C: 'Common', R: 'Rare', H: 'Hero', L: 'Legend', S: 'Starter', B: 'Boss', PR: 'Promo' };
+const RARITY_ALIASES = { P: 'PR' };
+
+// Attributes normalizeCard rewrites; their strings go to `raw`
+const RAW_FIELDS = ['job', 'element', 'cost', 'power', 'rarity', 'category'];
+
+const rawString = value => (value === null || value === undefined ? null : String(value).trim());
+
+const splitList = (value, separator) => (value ? value.split(separator).map(s => s.trim()).filter(Boolean) : []);
+
+/**
+ * "Fire/Darkness" -> ['Fire', 'Dark']. Unknown names are dropped.
+ */
+function parseElements(value) {
+    const elements = splitList(value, '/').map(name => ELEMENT_NAMES[name.toLowerCase()]).filter(Boolean);
+    return [...new Set(elements)];
+}
+
+/**
+ * "9000", "9,000", 9000 -> 9000; "", "-", null -> null.
+ */
+function parseNumber(value) {
+    const text = rawString(value)?.replace(/[\s,]/g, '');
+    return text && /^\d+$/.test(text) ? parseInt(text, 10) : null;
+}
+
+/**
+ * A rarity code or name (in any locale) -> { code, name }. Unknown values keep their text as the name.
+ */
+function parseRarity(value) {
+    const text = rawString(value);
+    if (!text) return { code: null, name: null };
+    const upper = text.toUpperCase();
+    const code = RARITY_ALIASES[upper] || upper;
+    if (RARITIES[code]) return { code, name: RARITIES[code] };
+    const byName = rarityCodeFor(text);
+    return byName ? { code: byName, name: RARITIES[byName] } : { code: null, name: text };
+}
+
+/**
+ * Normalize a card's attributes.
+ * Cards that already have `raw` are normalized from it again, so the result is stable.
+ * @param {Object} card - Card with attribute strings (job, element, cost, power, rarity, category)
+ * @returns {Object} The card with typed job/jobs, element/elements, cost, power,
+ *          rarity/rarityCode, category/categories and the original strings in raw
+ */
+function normalizeCard(card) {
+    const raw = card.raw || Object.fromEntries(RAW_FIELDS.map(field => [field, rawString(card[field])]));
+    const jobs = splitList(raw.job, /[/／]/);
+    const elements = parseElements(raw.element);
+    const rarity = parseRarity(raw.rarity);
+    const categories = splitList(raw.category, /[·・,]/);
+
+    const { code, name, type, ...rest } = card;
+    for (const field of [...RAW_FIELDS, 'jobs', 'elements', 'rarityCode', 'categories', 'raw']) delete rest[field];
+
+    return {
+        code,
+        name,
+        type,
+        job: jobs.length > 0 ? jobs.join('/') : null,
+        jobs,
+        element: elements.length > 0 ? elements.join('/') : null,
+        elements,
+        cost: parseNumber(raw.cost),
+        power: parseNumber(raw.power),
+        rarity: rarity.name,
+        rarityCode: rarity.code,
+        category: categories.length > 0 ? categories.join(' · ') : null,
+        categories,
+        ...rest,
+        raw,
+    };
+}
+
+module.exports = { ELEMENTS, RARITIES, RAW_FIELDS, parseElements, parseNumber, parseRarity, normalizeCard };
@@ -0,0 +1,226 @@
+/**
+ * Batch progress
+ * Counts sets, cards and images during `all`, derives throughput and ETA from
+ * the most recent card timings, and shows them as a live dashboard on a
+ * terminal or as a periodic status line anywhere else. summary() is the
+ * `totals` block of batch_summary.json.
+ */
+
+const WINDOW = 50;          // Recent card timings the rate is computed from
+const REDRAW_MS = 250;
+
+function formatDuration(seconds) {
+    if (seconds === null || !Number.isFinite(seconds)) return '?';
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`;
+    return `${Math.floor(s / 3600)}h ${String(Math.floor(s / 60) % 60).padStart(2, '0')}m`;
+}
+
+function bar(done, total, width = 20) {
+    const filled = total > 0 ? Math.min(width, Math.round(done / total * width)) : 0;
+    return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.sets - Sets that will be scraped, in order
+ * @param {number} options.skipped - Sets left out because they already exist
+ * @param {Writable} options.stream - Where the dashboard is drawn (default stdout)
+ * @param {boolean} options.live - Redraw a dashboard (default: the stream is a TTY)
+ * @param {number} options.interval - ms between status lines when not live (0 = none)
+ * @param {Function} options.log - (message, fields) for status lines
+ * @param {Function} options.now - Clock, for tests
+ */
+function createProgress({
+    sets = [], skipped = 0, stream = process.stdout, live = Boolean(stream.isTTY),
+    interval = 30000, log = () => {}, now = Date.now,
+} = {}) {
+    const started = now();
+    const entries = new Map(sets.map(name => [name, { name, status: 'pending', total: null, cards: 0 }]));
+    const images = { ok: 0, failed: 0 };
+    const timings = [];
+    let timer = null;
+    let drawn = 0;
+    let dirty = false;
+
+    const entry = name => {
+        if (!entries.has(name)) entries.set(name, { name, status: 'pending', total: null, cards: 0 });
+        return entries.get(name);
+    };
+
+    function snapshot() {
+        const list = [...entries.values()];
+        const done = list.reduce((sum, e) => sum + e.cards, 0);
+
+        // A failed set is done at what it got; sets without a known size count
+        // as the average of those with one
+        const sizes = list.map(e => (e.status === 'failed' ? e.cards : e.total));
+        const totals = list.filter(e => e.total !== null).map(e => e.total);
+        const average = totals.length > 0 ? totals.reduce((sum, n) => sum + n, 0) / totals.length : null;
+        const unknown = sizes.filter(n => n === null).length;
+        const expected = unknown > 0 && average === null
+            ? null
+            : Math.round(sizes.reduce((sum, n) => sum + (n ?? average), 0));
+
+        const elapsed = (now() - started) / 1000;
+        let rate = null;
+        if (timings.length >= 2 && now() > timings[0]) {
+            rate = (timings.length - 1) / ((now() - timings[0]) / 60000);
+        } else if (done > 0 && elapsed > 0) {
+            rate = done / (elapsed / 60);
+        }
+        const eta = expected !== null && rate ? Math.max(0, expected - done) / rate * 60 : null;
+
+        return {
+            elapsed,
+            sets: {
+                total: list.length + skipped,
+                done: list.filter(e => e.status === 'scraped' || e.status === 'failed').length + skipped,
+                scraped: list.filter(e => e.status === 'scraped').length,
+                failed: list.filter(e => e.status === 'failed').length,
+                skipped,
+                running: list.filter(e => e.status === 'running'),
+            },
+            cards: { done, expected },
+            images: { ...images },
+            rate,
+            eta,
+        };
+    }
+
+    function line() {
+        const { sets: s, cards, images: img, rate, elapsed, eta } = snapshot();
+        const imageText = img.ok + img.failed > 0 ? `, ${img.ok} images${img.failed ? ` (${img.failed} failed)` : ''}` : '';
+        return `📈 ${s.done}/${s.total} sets, ${cards.done}/${cards.expected === null ? '?' : `~${cards.expected}`} cards${imageText}` +
+            ` | ${rate ? rate.toFixed(1) : '-'} cards/min | elapsed ${formatDuration(elapsed)} | ETA ${formatDuration(eta)}`;
+    }
+
+    function render() {
+        const { sets: s, cards, images: img, rate, elapsed, eta } = snapshot();
+        const width = Math.max(40, Math.min(stream.columns || 80, 100) - 1);
+        const notes = [s.failed && `${s.failed} failed`, s.skipped && `${s.skipped} skipped`].filter(Boolean);
+        const lines = [
+            '─'.repeat(width),
+            ` Sets    ${bar(s.done, s.total)}  ${s.done}/${s.total}${notes.length ? `  (${notes.join(', ')})` : ''}`,
+            ` Cards   ${bar(cards.done, cards.expected || 0)}  ${cards.done}/${cards.expected === null ? '?' : `~${cards.expected}`}`,
+            ` Images  ${img.ok} ok, ${img.failed} failed`,
+            ` Rate    ${rate ? rate.toFixed(1) : '-'} cards/min   Elapsed ${formatDuration(elapsed)}   ETA ${formatDuration(eta)}`,
+            ...s.running.map(e => ` ▸ ${e.name.padEnd(24)} ${bar(e.cards, e.total || 0, 16)}  ${e.cards}/${e.total ?? '?'}`),
+            '─'.repeat(width),
+        ];
+        // A wrapped line would throw off the cursor movement on the next redraw
+        return lines.map(text => (text.length > width ? text.slice(0, width) : text));
+    }
+
+    const clear = () => {
+        if (drawn > 0) stream.write(`\x1b[${drawn}F\x1b[0J`);
+        drawn = 0;
+    };
+    const draw = () => {
+        const lines = render();
+        stream.write(lines.join('\n') + '\n');
+        drawn = lines.length;
+        dirty = false;
+    };
+    const changed = () => {
+        dirty = true;
+    };
+
+    return {
+        live,
+
+        // Log output goes through this while the dashboard is up, so it scrolls above it
+        stream: {
+            write(text) {
+                if (!timer || !live) return stream.write(text);
+                clear();
+                stream.write(text);
+                draw();
+                return true;
+            },
+        },
+
+        start() {
+            if (live) {
+                draw();
+                timer = setInterval(() => dirty && (clear(), draw()), REDRAW_MS);
+            } else if (interval > 0) {
+                timer = setInterval(() => this.report(), interval);
+            }
+            timer?.unref?.();
+            return this;
+        },
+
+        stop() {
+            if (timer) clearInterval(timer);
+            if (live && timer) clear();
+            timer = null;
+            drawn = 0;
+        },
+
+        // One status line with the numbers as fields
+        report() {
+            const { sets: s, cards, rate, eta } = snapshot();
+            log(line(), {
+                setsDone: s.done, setsTotal: s.total, cards: cards.done, cardsExpected: cards.expected,
+                cardsPerMinute: rate === null ? null : Number(rate.toFixed(1)), etaSeconds: eta === null ? null : Math.round(eta),
+            });
+        },
+
+        /**
+         * A set is being scraped. The tracker goes to its FFTCGScraper (options.progress).
+         * @returns {{total: Function, card: Function, image: Function}}
+         */
+        startSet(name) {
+            const set = entry(name);
+            set.status = 'running';
+            changed();
+            return {
+                // Number of cards in the set, once the codes are known
+                total(count) {
+                    set.total = count;
+                    changed();
+                },
+                // Cards finished; timed: false for cards that took no scraping (resumed, reused, API mode)
+                card(count = 1, { timed = true } = {}) {
+                    set.cards += count;
+                    if (timed) {
+                        for (let i = 0; i < count; i++) timings.push(now());
+                        timings.splice(0, Math.max(0, timings.length - WINDOW));
+                    }
+                    changed();
+                },
+                image(ok) {
+                    images[ok ? 'ok' : 'failed']++;
+                    changed();
+                },
+            };
+        },
+
+        finishSet(name, status) {
+            const set = entry(name);
+            set.status = status;
+            if (status === 'scraped' && set.total === null) set.total = set.cards;
+            changed();
+        },
+
+        snapshot,
+        line,
+        render,
+
+        // Totals for batch_summary.json
+        summary() {
+            const { sets: s, cards, images: img, elapsed } = snapshot();
+            return {
+                sets: { total: s.total, scraped: s.scraped, failed: s.failed, skipped: s.skipped },
+                cards: cards.done,
+                images: img,
+                elapsed_seconds: parseFloat(elapsed.toFixed(1)),
+                cards_per_minute: elapsed > 0 ? parseFloat((cards.done / (elapsed / 60)).toFixed(1)) : null,
+            };
+        },
+    };
+}
+
+module.exports = { createProgress, formatDuration };
@@ -0,0 +1,181 @@
+/**
+ * Object storage publishing
+ * Uploads scraped JSON and images to an S3-compatible bucket (AWS S3, MinIO,
+ * R2, ...). The public manifest.json doubles as the upload index: a file whose
+ * SHA-256 matches its manifest entry is skipped, so re-publishing a run only
+ * sends what changed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+const MANIFEST_KEY = 'manifest.json';
+
+const CONTENT_TYPES = {
+    '.json': 'application/json',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.csv': 'text/csv; charset=utf-8',
+    '.tsv': 'text/tab-separated-values; charset=utf-8',
+    '.xml': 'application/xml',
+    '.sqlite': 'application/vnd.sqlite3',
+};
+
+// Working files and run logs that never belong in the bucket
+const PRIVATE_FILES = [/_partial\.json$/, /\.part$/, /^\.env/, /\.jsonl$/];
+
+/**
+ * Read the bucket settings from the environment (.env is loaded by the CLI).
+ * @returns {Object} createPublisher() options
+ */
+function publishConfigFromEnv(env = process.env) {
+    if (!env.S3_BUCKET) {
+        throw new Error('S3_BUCKET is not set (see .env.example)');
+    }
+    const endpoint = env.S3_ENDPOINT || undefined;
+    return {
+        bucket: env.S3_BUCKET,
+        endpoint,
+        region: env.S3_REGION || 'us-east-1',
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        // MinIO and most self-hosted stores only route bucket-in-path URLs
+        forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint),
+        prefix: env.S3_PREFIX || '',
+        publicUrl: env.S3_PUBLIC_URL || undefined,
+        acl: env.S3_ACL || undefined,
+    };
+}
+
+function contentType(filepath) {
+    return CONTENT_TYPES[path.extname(filepath).toLowerCase()] || 'application/octet-stream';
+}
+
+async function listFiles(dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const filepath = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await listFiles(filepath));
+        else if (entry.isFile() && !PRIVATE_FILES.some(re => re.test(entry.name))) files.push(filepath);
+    }
+    return files.sort();
+}
+
+/**
+ * Create a publisher for one bucket/prefix. Share one instance per run so the
+ * manifest is loaded once and written once, however many sets publish.
+ * @param {Object} options - publishConfigFromEnv() result, plus `concurrent` uploads (default 5)
+ * @param {Object} deps
+ * @param {S3Client} deps.client - Preconfigured client (default: built from options)
+ * @param {Function} deps.log - (message) => void
+ * @returns {{publishFile: Function, publishDirectory: Function, writeManifest: Function, url: Function, stats: Object}}
+ */
+function createPublisher(options, { client = null, log = () => {} } = {}) {
+    const { bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, acl, concurrent = 5 } = options;
+    const prefix = options.prefix && !options.prefix.endsWith('/') ? `${options.prefix}/` : (options.prefix || '');
+
+    const s3 = client || new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+    });
+
+    const stats = { uploaded: 0, skipped: 0, bytes: 0 };
+    let manifestFiles = null;
+
+    const url = key => {
+        if (options.publicUrl) return `${options.publicUrl.replace(/\/$/, '')}/${prefix}${key}`;
+        if (endpoint && forcePathStyle) return `${endpoint.replace(/\/$/, '')}/${bucket}/${prefix}${key}`;
+        if (endpoint) return `${endpoint.replace(/\/$/, '').replace('://', `://${bucket}.`)}/${prefix}${key}`;
+        return `https://${bucket}.s3.${region}.amazonaws.com/${prefix}${key}`;
+    };
+
+    // The previous run's manifest; a missing one just means everything is new
+    function loadManifest() {
+        if (!manifestFiles) {
+            manifestFiles = s3.send(new GetObjectCommand({ Bucket: bucket, Key: `${prefix}${MANIFEST_KEY}` }))
+                .then(async res => JSON.parse(await res.Body.transformToString()).files || {})
+                .catch(e => {
+                    if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) return {};
+                    throw e;
+                });
+        }
+        return manifestFiles;
+    }
+
+    async function put(key, body, type, extra = {}) {
+        await s3.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: `${prefix}${key}`,
+            Body: body,
+            ContentType: type,
+            ...(acl && { ACL: acl }),
+            ...extra,
+        }));
+    }
+
+    /**
+     * Upload one file unless the manifest already has the same content under this key.
+     * @returns {Promise<boolean>} true if uploaded, false if unchanged
+     */
+    async function publishFile(filepath, key) {
+        const files = await loadManifest();
+        const body = await fs.readFile(filepath);
+        const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+
+        if (files[key]?.sha256 === sha256) {
+            stats.skipped++;
+            return false;
+        }
+
+        const type = contentType(filepath);
+        await put(key, body, type, { Metadata: { sha256 } });
+        files[key] = { sha256, bytes: body.length, contentType: type, uploaded_at: new Date().toISOString() };
+        stats.uploaded++;
+        stats.bytes += body.length;
+        log(`Uploaded ${key} (${body.length} bytes)`);
+        return true;
+    }
+
+    /**
+     * Upload every file below dir as <keyPrefix><relative path>, `concurrent` at a time.
+     * @returns {Promise<{uploaded: number, skipped: number}>}
+     */
+    async function publishDirectory(dir, keyPrefix = '') {
+        const files = await listFiles(dir);
+        let uploaded = 0;
+        for (let i = 0; i < files.length; i += concurrent) {
+            const batch = files.slice(i, i + concurrent);
+            const results = await Promise.all(batch.map(file =>
+                publishFile(file, keyPrefix + path.relative(dir, file).split(path.sep).join('/'))));
+            uploaded += results.filter(Boolean).length;
+        }
+        return { uploaded, skipped: files.length - uploaded };
+    }
+
+    /**
+     * Write the public index of everything published under this prefix.
+     * @returns {Promise<{key: string, url: string, total: number}>}
+     */
+    async function writeManifest() {
+        const files = await loadManifest();
+        const keys = Object.keys(files).sort();
+        const manifest = {
+            generated_at: new Date().toISOString(),
+            base_url: url(''),
+            total: keys.length,
+            files: Object.fromEntries(keys.map(key => [key, { ...files[key], url: url(key) }])),
+        };
+        await put(MANIFEST_KEY, JSON.stringify(manifest, null, 2), 'application/json', { CacheControl: 'no-cache' });
+        return { key: `${prefix}${MANIFEST_KEY}`, url: url(MANIFEST_KEY), total: keys.length };
+    }
+
+    return { publishFile, publishDirectory, writeManifest, url, stats };
+}
+
+module.exports = { MANIFEST_KEY, CONTENT_TYPES, publishConfigFromEnv, createPublisher };
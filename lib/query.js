@@ -0,0 +1,149 @@
+/**
+ * Offline card filtering
+ * Evaluates a `filters` config object against scraped cards with the card
+ * browser's semantics: values within one filter are OR'd, filters are AND'd,
+ * and names are resolved through FILTER_SELECTORS `values` aliases
+ * ("Dark"/"Darkness", "L"/"Legend", "EX Burst"/"exburst").
+ */
+
+// filters key -> FILTER_SELECTORS key
+const FILTER_DIMENSIONS = {
+    sets: 'set',
+    elements: 'element',
+    types: 'type',
+    rarities: 'rarity',
+    categories: 'category',
+    costs: 'cost',
+    flags: 'flag',
+};
+
+const splitList = (value, separator) =>
+    String(value || '').split(separator).map(s => s.trim()).filter(Boolean);
+
+/**
+ * Resolve a filter value or card value to the site's data-value.
+ * Unaliased dimensions (set, category) compare case-insensitively by name.
+ */
+function filterValue(dimension, value, selectors) {
+    const values = selectors[dimension]?.values;
+    const text = String(value).trim();
+    if (!values) return text.toLowerCase();
+
+    const key = Object.keys(values).find(k => k.toLowerCase() === text.toLowerCase());
+    if (key) return values[key];
+    const dataValue = Object.values(values).find(v => v === text.toLowerCase());
+    return dataValue || null;
+}
+
+/**
+ * List filter values that can't match anything (unknown aliases, non-numeric costs).
+ * @returns {string[]} Human-readable problems, empty when the filters are usable
+ */
+function validateFilters(filters, selectors) {
+    const problems = [];
+    for (const [key, dimension] of Object.entries(FILTER_DIMENSIONS)) {
+        for (const value of filters[key] || []) {
+            if (dimension === 'cost') {
+                if (!/^\d+$/.test(String(value).trim())) problems.push(`${key}: "${value}" is not a number`);
+            } else if (selectors[dimension]?.values && !filterValue(dimension, value, selectors)) {
+                const known = [...new Set(Object.keys(selectors[dimension].values))].join(', ');
+                problems.push(`${key}: unknown value "${value}" (expected one of ${known})`);
+            }
+        }
+    }
+    return problems;
+}
+
+function cardFlags(card) {
+    const flags = [];
+    const text = card.abilities || '';
+    if (text.includes('[S]')) flags.push('special');
+    if (text.includes('[EX]') || (card.abilitiesParsed || []).some(a => a.kind === 'exBurst')) flags.push('exburst');
+    // From the search response's multicard field; null/absent on older scrapes
+    if (card.multicard === true) flags.push('multi');
+    return flags;
+}
+
+/**
+ * The values a card offers for each filter dimension, as data-values.
+ */
+function cardValues(card, selectors) {
+    const resolve = (dimension, list) => list.map(v => filterValue(dimension, v, selectors)).filter(Boolean);
+    return {
+        set: resolve('set', splitList(card.set, ',')),
+        element: resolve('element', card.elements ?? splitList(card.element, '/')),
+        type: resolve('type', card.type ? [card.type] : []),
+        rarity: resolve('rarity', card.rarity ? [card.rarity] : []),
+        category: resolve('category', card.categories ?? splitList(card.category, '·')),
+        cost: card.cost === null || card.cost === undefined ? [] : [String(card.cost)],
+        flag: cardFlags(card),
+    };
+}
+
+/**
+ * Build a predicate for one filters object.
+ * @param {Object} filters - Same shape as DEFAULT_CONFIG.filters
+ * @param {Object} selectors - FILTER_SELECTORS (for value aliases)
+ * @returns {Function} card => boolean
+ */
+function createCardMatcher(filters, selectors) {
+    const wanted = {};
+    for (const [key, dimension] of Object.entries(FILTER_DIMENSIONS)) {
+        if (filters[key]?.length > 0) {
+            wanted[dimension] = filters[key].map(v => dimension === 'cost'
+                ? String(parseInt(v))
+                : filterValue(dimension, v, selectors));
+        }
+    }
+    const keyword = filters.keyword?.trim().toLowerCase();
+    const code = filters.code?.trim().toLowerCase();
+
+    return card => {
+        const values = cardValues(card, selectors);
+        for (const [dimension, accepted] of Object.entries(wanted)) {
+            if (!values[dimension].some(v => accepted.includes(v))) return false;
+        }
+        if (keyword && !(card.name || '').toLowerCase().includes(keyword) &&
+            !(card.abilities || '').toLowerCase().includes(keyword)) return false;
+        if (code && !(card.code || '').toLowerCase().includes(code)) return false;
+        return true;
+    };
+}
+
+/**
+ * Filter cards the way the card browser would.
+ */
+function queryCards(cards, filters, selectors) {
+    return cards.filter(createCardMatcher(filters, selectors));
+}
+
+const TABLE_COLUMNS = [
+    { field: 'code', title: 'Code', width: 9 },
+    { field: 'name', title: 'Name', width: 28 },
+    { field: 'type', title: 'Type', width: 8 },
+    { field: 'element', title: 'Element', width: 16 },
+    { field: 'cost', title: 'Cost', width: 4 },
+    { field: 'power', title: 'Power', width: 5 },
+    { field: 'rarity', title: 'Rarity', width: 7 },
+    { field: 'set', title: 'Set', width: 24 },
+];
+
+/**
+ * Render cards as a fixed-width text table.
+ * @returns {string}
+ */
+function formatTable(cards, columns = TABLE_COLUMNS) {
+    const cell = (value, width) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+    };
+    const row = values => values.map((v, i) => cell(v, columns[i].width)).join('  ').trimEnd();
+
+    return [
+        row(columns.map(c => c.title)),
+        columns.map(c => '-'.repeat(c.width)).join('  '),
+        ...cards.map(card => row(columns.map(c => card[c.field]))),
+    ].join('\n');
+}
+
+module.exports = { FILTER_DIMENSIONS, filterValue, validateFilters, createCardMatcher, queryCards, formatTable };
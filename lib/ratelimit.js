@@ -0,0 +1,153 @@
+/**
+ * Rate limiting
+ * Token buckets for the two kinds of traffic a run sends: `site` (page
+ * navigations, search requests and card clicks on the official site) and `cdn`
+ * (image downloads). Every wait gets some jitter, a 429/503 pauses the whole
+ * bucket for the response's Retry-After (or a doubling backoff), and a per-run
+ * cap stops the run once it has sent that many requests.
+ */
+
+const { ScrapeError } = require('./retry');
+
+const KINDS = ['site', 'cdn'];
+const MAX_BACKOFF = 5 * 60 * 1000;
+const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Retry-After as ms: delay-seconds or an HTTP date. null when absent or unreadable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) * 1000;
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * @param {Object} options - config.rateLimit
+ * @param {{rate: number, burst: number}} options.site - Requests/actions per second and how many may go at once
+ * @param {{rate: number, burst: number}} options.cdn
+ * @param {number} options.jitter - Up to this fraction of a token's interval is added to each request
+ * @param {number} options.backoff - Pause in ms after a 429/503 without Retry-After, doubled while they repeat
+ * @param {number} options.maxRequests - Requests per run across both buckets (null = no cap)
+ * @param {Function} options.log - (message, level) for pauses and the cap
+ * @param {Function} options.sleep - async (ms) => void
+ * @param {Function} options.now - Clock, for tests
+ * @param {Function} options.random - () => [0, 1), for tests
+ */
+function createRateLimiter({
+    site = { rate: 2, burst: 5 }, cdn = { rate: 5, burst: 10 }, jitter = 0.3, backoff = 5000, maxRequests = null,
+    log = () => {}, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)), now = Date.now, random = Math.random,
+} = {}) {
+    const buckets = {};
+    for (const [kind, { rate, burst }] of Object.entries({ site, cdn })) {
+        if (!(rate > 0) || !(burst >= 1)) throw new Error(`rateLimit.${kind}: rate must be > 0 and burst >= 1`);
+        buckets[kind] = {
+            rate, burst, tokens: burst, refilled: now(),
+            pausedUntil: 0, penalty: 0, chain: Promise.resolve(),
+            requests: 0, actions: 0, throttled: 0, waited: 0,
+        };
+    }
+    let requests = 0;
+    let exhausted = false;
+
+    const bucketFor = kind => {
+        if (!buckets[kind]) throw new Error(`Unknown traffic kind "${kind}" (expected ${KINDS.join(', ')})`);
+        return buckets[kind];
+    };
+
+    const refill = bucket => {
+        const time = now();
+        bucket.tokens = Math.min(bucket.burst, bucket.tokens + (time - bucket.refilled) / 1000 * bucket.rate);
+        bucket.refilled = time;
+    };
+
+    const wait = async (bucket, ms) => {
+        bucket.waited += ms;
+        await sleep(ms);
+    };
+
+    async function acquire(bucket, request) {
+        for (;;) {
+            if (request && maxRequests !== null && requests >= maxRequests) {
+                if (!exhausted) log(`Request cap of ${maxRequests} reached - no further requests this run`, 'error');
+                exhausted = true;
+                throw new ScrapeError(`Request cap of ${maxRequests} reached`, 'budget');
+            }
+            refill(bucket);
+            const paused = bucket.pausedUntil - now();
+            if (paused <= 0 && bucket.tokens >= 1) break;
+            await wait(bucket, Math.max(paused, (1 - bucket.tokens) / bucket.rate * 1000));
+        }
+        bucket.tokens -= 1;
+        if (request) {
+            requests++;
+            bucket.requests++;
+        } else {
+            bucket.actions++;
+        }
+        // Jitter spaces out requests that would otherwise go in lockstep
+        const extra = Math.round(random() * jitter * 1000 / bucket.rate);
+        if (extra > 0) await wait(bucket, extra);
+    }
+
+    return {
+        /**
+         * Wait for a token. Callers of one bucket are served in order.
+         * @param {string} kind - 'site' or 'cdn'
+         * @param {Object} options
+         * @param {boolean} options.request - false for page actions that send nothing (card clicks): paced, not counted
+         * @throws {ScrapeError} kind 'budget' once the run's request cap is used up
+         */
+        take(kind, { request = true } = {}) {
+            const bucket = bucketFor(kind);
+            const turn = bucket.chain.then(() => acquire(bucket, request));
+            bucket.chain = turn.catch(() => {});
+            return turn;
+        },
+
+        /**
+         * Tell the limiter how a request went. 429/503 pause the bucket for
+         * Retry-After, else for a backoff that doubles until a request succeeds.
+         * @returns {number} The pause in ms (0 if none)
+         */
+        record(kind, status, retryAfter = null) {
+            const bucket = bucketFor(kind);
+            if (!THROTTLE_STATUSES.includes(status)) {
+                if (status < 400) bucket.penalty = 0;
+                return 0;
+            }
+            let pause = parseRetryAfter(retryAfter, now());
+            if (pause === null) {
+                bucket.penalty = Math.min(MAX_BACKOFF, bucket.penalty ? bucket.penalty * 2 : backoff);
+                pause = bucket.penalty;
+            }
+            bucket.pausedUntil = Math.max(bucket.pausedUntil, now() + pause);
+            bucket.throttled++;
+            log(`HTTP ${status} from the ${kind === 'cdn' ? 'image CDN' : 'site'} - pausing ${kind} requests for ${(pause / 1000).toFixed(1)}s` +
+                (retryAfter ? ` (Retry-After: ${retryAfter})` : ''), 'warn');
+            return pause;
+        },
+
+        get exhausted() {
+            return exhausted;
+        },
+
+        // Request counts for logs and batch_summary.json
+        stats() {
+            const stats = { requests, max_requests: maxRequests };
+            for (const [kind, bucket] of Object.entries(buckets)) {
+                stats[kind] = {
+                    requests: bucket.requests,
+                    actions: bucket.actions,
+                    throttled: bucket.throttled,
+                    waited_seconds: parseFloat((bucket.waited / 1000).toFixed(1)),
+                };
+            }
+            return stats;
+        },
+    };
+}
+
+module.exports = { KINDS, parseRetryAfter, createRateLimiter };
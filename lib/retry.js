@@ -0,0 +1,70 @@
+/**
+ * Retry and error classification
+ * Failures are sorted into these kinds:
+ *   transient - timeouts, network errors, HTTP 429/5xx: worth retrying with backoff
+ *   missing   - the page answered but an expected element/field was absent
+ *   permanent - anything else (HTTP 404, bad data): retrying won't help
+ *   budget    - the run's request cap (lib/ratelimit.js) is used up: nothing more is sent
+ */
+
+class ScrapeError extends Error {
+    /**
+     * @param {string} message
+     * @param {'transient'|'missing'|'permanent'|'budget'} kind
+     * @param {Object} details - Extra context, e.g. { status: 503 }
+     */
+    constructor(message, kind, details = {}) {
+        super(message);
+        this.name = 'ScrapeError';
+        this.kind = kind;
+        Object.assign(this, details);
+    }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET'];
+
+function classifyStatus(status) {
+    if (status === 429 || status >= 500) return 'transient';
+    return 'permanent';
+}
+
+function classifyError(error) {
+    if (error?.kind) return error.kind;
+    if (error?.name === 'TimeoutError' || /timeout/i.test(error?.message || '')) return 'transient';
+
+    const code = error?.code || error?.cause?.code;
+    if (NETWORK_ERROR_CODES.includes(code) || error?.message === 'fetch failed') return 'transient';
+
+    return 'permanent';
+}
+
+/**
+ * Run fn until it succeeds, retrying transient and missing failures with exponential backoff.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options
+ * @param {number} options.retries - Extra attempts after the first
+ * @param {number} options.baseDelay - First backoff in ms (doubled on each retry)
+ * @param {Function} options.sleep - async (ms) => void
+ * @param {Function} options.onRetry - (error, attempt, delay) => void
+ * @returns {Promise<*>} fn's result; otherwise throws the last error with `kind` and `attempts` set
+ */
+async function withRetry(fn, { retries = 3, baseDelay = 1000, sleep, onRetry = () => {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const kind = classifyError(error);
+            if (kind === 'permanent' || kind === 'budget' || attempt >= retries) {
+                error.kind = kind;
+                error.attempts = attempt + 1;
+                throw error;
+            }
+
+            const delay = baseDelay * 2 ** attempt;
+            onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = { ScrapeError, classifyStatus, classifyError, withRetry };
@@ -0,0 +1,242 @@
+/**
+ * Local REST API over scraped cards
+ * Loads the per-set outputs (or the combined file) and serves:
+ *   GET /cards          - filtered like the card browser (see lib/query.js), plus limit/offset
+ *   GET /cards/:code    - one card, with its canonicalId and every printing
+ *   GET /sets           - sets with card counts
+ *   GET /images/:code   - the downloaded JPG
+ * Card files are watched and reloaded when a scrape writes new output.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { FILTER_DIMENSIONS, validateFilters, queryCards } = require('./query');
+const { findCardFiles } = require('./validate');
+const { canonicalize } = require('./canonical');
+
+const setFolder = setName => setName.replace(/[^a-zA-Z0-9]/g, '');
+
+const isCardFile = filename => /(^|[\\/])[^\\/]+_cards\.json$/.test(filename) || filename.endsWith('all_cards_combined.json');
+
+/**
+ * Load cards from a results directory or a single JSON file.
+ * Per-set files win over the combined file; a reprinted code keeps its first occurrence.
+ * @param {string} source - e.g. ./card_results, or a *_cards.json / all_cards_combined.json path
+ * @param {Object} options
+ * @param {string[]} options.setOrder - Set names in display order (e.g. ALL_SETS)
+ * @param {string} options.imageSubdir
+ * @returns {Promise<Object>} { cards, byCode, canonical (code -> lib/canonical card), sets, files, loadedAt, imagePaths(code) }
+ */
+async function loadCardDatabase(source, { setOrder = [], imageSubdir = 'images' } = {}) {
+    let files;
+    let rootDir;
+    if (fs.statSync(source).isDirectory()) {
+        rootDir = source;
+        const found = await findCardFiles(source);
+        const setFiles = found.filter(f => !f.endsWith('all_cards_combined.json'));
+        files = setFiles.length > 0 ? setFiles : found;
+    } else {
+        rootDir = path.dirname(source);
+        files = [source];
+    }
+
+    const cards = [];
+    const byCode = new Map();
+    const imageDirs = new Map();
+
+    for (const file of files) {
+        const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        for (const card of data.cards || []) {
+            const code = card.code?.toUpperCase();
+            if (!code || byCode.has(code)) continue;
+            byCode.set(code, card);
+            cards.push(card);
+            imageDirs.set(code, path.join(path.dirname(file), imageSubdir));
+        }
+    }
+
+    const counts = new Map();
+    for (const card of cards) {
+        for (const set of String(card.set || '').split(',').map(s => s.trim()).filter(Boolean)) {
+            counts.set(set, (counts.get(set) || 0) + 1);
+        }
+    }
+    const rank = set => setOrder.includes(set) ? setOrder.indexOf(set) : setOrder.length;
+    const sets = [...counts.entries()]
+        .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+        .map(([set, count]) => ({ set, count }));
+
+    // The loading folder first, then each listed set's folder (combined-file case)
+    const imagePaths = code => {
+        const card = byCode.get(code.toUpperCase());
+        if (!card) return [];
+        const dirs = [imageDirs.get(card.code.toUpperCase()),
+            ...String(card.set || '').split(',').map(s => s.trim()).filter(Boolean)
+                .map(s => path.join(rootDir, setFolder(s), imageSubdir))];
+        return [...new Set(dirs)].map(dir => path.join(dir, `${card.code}.jpg`));
+    };
+
+    const canonical = canonicalize(cards, { setOrder }).byCode;
+
+    return { cards, byCode, canonical, sets, files, loadedAt: new Date().toISOString(), imagePaths };
+}
+
+/**
+ * Read /cards query parameters into a filters object.
+ * Each filter accepts its FILTER_SELECTORS name or the filters key (element / elements),
+ * repeated or comma-separated.
+ */
+function filtersFromQuery(searchParams) {
+    const filters = {};
+    for (const [key, dimension] of Object.entries(FILTER_DIMENSIONS)) {
+        const values = [...searchParams.getAll(dimension), ...searchParams.getAll(key)]
+            .flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+        if (values.length > 0) filters[key] = values;
+    }
+    const keyword = searchParams.get('keyword') || searchParams.get('q');
+    if (keyword) filters.keyword = keyword;
+    if (searchParams.get('code')) filters.code = searchParams.get('code');
+    return filters;
+}
+
+/**
+ * Start the API server.
+ * @param {Object} options
+ * @param {string} options.source - Results directory or card JSON file
+ * @param {Object} options.selectors - FILTER_SELECTORS
+ * @param {string[]} options.setOrder
+ * @param {number} options.port - 0 picks a free port
+ * @param {string} options.host
+ * @param {boolean} options.watch - Reload when card files change
+ * @param {Function} options.log - (message, level) => void
+ * @returns {Promise<{url: string, reload: Function, close: Function, database: Function}>}
+ */
+async function startCardServer(options) {
+    const {
+        source, selectors, setOrder = [], imageSubdir = 'images',
+        port = 3000, host = '127.0.0.1', watch = true, log = () => {},
+    } = options;
+
+    let database = await loadCardDatabase(source, { setOrder, imageSubdir });
+    log(`Loaded ${database.cards.length} cards from ${database.files.length} file(s)`, 'success');
+
+    const reload = async () => {
+        try {
+            database = await loadCardDatabase(source, { setOrder, imageSubdir });
+            log(`Reloaded ${database.cards.length} cards from ${database.files.length} file(s)`, 'success');
+        } catch (e) {
+            // A half-written file - keep serving the previous data until the next change
+            log(`Reload failed, keeping previous data: ${e.message}`, 'warn');
+        }
+        return database;
+    };
+
+    const send = (res, status, body) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+        });
+        res.end(JSON.stringify(body, null, 2));
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let parts;
+        try {
+            parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (e) {
+            return send(res, 400, { error: 'Malformed path' });
+        }
+
+        if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+
+        if (parts.length === 0) {
+            return send(res, 200, {
+                total: database.cards.length,
+                loaded_at: database.loadedAt,
+                endpoints: ['/cards', '/cards/:code', '/sets', '/images/:code'],
+            });
+        }
+
+        if (parts[0] === 'cards' && parts.length === 1) {
+            const filters = filtersFromQuery(url.searchParams);
+            const problems = validateFilters(filters, selectors);
+            if (problems.length > 0) return send(res, 400, { error: 'Invalid filters', problems });
+
+            const matched = queryCards(database.cards, filters, selectors);
+            const offset = Math.max(0, parseInt(url.searchParams.get('offset')) || 0);
+            const limit = parseInt(url.searchParams.get('limit'));
+            const page = limit >= 0 ? matched.slice(offset, offset + limit) : matched.slice(offset);
+            return send(res, 200, { total: matched.length, offset, count: page.length, filters, cards: page });
+        }
+
+        if (parts[0] === 'cards' && parts.length === 2) {
+            const code = parts[1].toUpperCase();
+            const card = database.byCode.get(code);
+            if (!card) return send(res, 404, { error: `Card ${parts[1]} not found` });
+            const { id, printings } = database.canonical.get(code);
+            return send(res, 200, { ...card, canonicalId: id, printings });
+        }
+
+        if (parts[0] === 'sets' && parts.length === 1) {
+            return send(res, 200, { total: database.sets.length, sets: database.sets });
+        }
+
+        if (parts[0] === 'images' && parts.length === 2) {
+            const code = parts[1].replace(/\.jpg$/i, '');
+            const image = database.imagePaths(code).find(p => fs.existsSync(p));
+            if (!image) return send(res, 404, { error: `No image for ${code}` });
+
+            // The file can go away or turn out unreadable after the check (a re-download, --verify-images)
+            const stream = fs.createReadStream(image);
+            stream.on('error', e => {
+                if (!res.headersSent) return send(res, e.code === 'ENOENT' ? 404 : 500, { error: `Cannot read image for ${code}` });
+                log(`Image ${image} failed mid-response: ${e.message}`, 'warn');
+                res.destroy(e);
+            });
+            stream.once('open', fd => {
+                res.writeHead(200, {
+                    'Content-Type': 'image/jpeg',
+                    'Content-Length': fs.fstatSync(fd).size,
+                    'Access-Control-Allow-Origin': '*',
+                });
+                stream.pipe(res);
+            });
+            return;
+        }
+
+        send(res, 404, { error: 'Not found' });
+    });
+
+    let watcher = null;
+    let timer = null;
+    if (watch) {
+        const isDir = fs.statSync(source).isDirectory();
+        watcher = fs.watch(isDir ? source : path.dirname(source), { recursive: isDir }, (event, filename) => {
+            if (!filename || !isCardFile(filename)) return;
+            if (!isDir && path.basename(filename) !== path.basename(source)) return;
+            // saveJson writes in one go, but wait for a burst of events to settle
+            clearTimeout(timer);
+            timer = setTimeout(reload, 500);
+        });
+    }
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    return {
+        url: `http://${host}:${server.address().port}`,
+        reload,
+        database: () => database,
+        close: () => new Promise(resolve => {
+            clearTimeout(timer);
+            watcher?.close();
+            server.close(resolve);
+        }),
+    };
+}
+
+module.exports = { loadCardDatabase, filtersFromQuery, startCardServer };
@@ -0,0 +1,144 @@
+/**
+ * Set discovery
+ * Keeps the card browser's set and category lists in a versioned manifest
+ * (card_results/sets_manifest.json). Sets keep their release order across
+ * runs; sets that disappear from the site stay listed as unavailable so their
+ * scraped data is still combined.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SETS_MANIFEST_FILENAME = 'sets_manifest.json';
+
+function setFolder(name) {
+    return name.replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Merge one discovered option list ({ value, name }[]) into the previous entries.
+ * @returns {{entries: Object[], added: string[], removed: string[], returned: string[], renamed: string[]}}
+ */
+function mergeOptions(previous, discovered, now) {
+    const known = new Map(previous.map(entry => [entry.value, { ...entry }]));
+    const seen = new Set();
+    const changes = { added: [], removed: [], returned: [], renamed: [] };
+    const fresh = [];
+
+    for (const { value, name } of discovered) {
+        if (seen.has(value)) continue;
+        seen.add(value);
+
+        const entry = known.get(value);
+        if (!entry) {
+            fresh.push({ value, name, first_seen: now, last_seen: now, available: true });
+            changes.added.push(value);
+            continue;
+        }
+        if (!entry.available) {
+            changes.returned.push(value);
+            delete entry.removed_at;
+        }
+        if (entry.name !== name) changes.renamed.push(value);
+        Object.assign(entry, { name, first_seen: entry.first_seen || now, last_seen: now, available: true });
+    }
+
+    for (const entry of known.values()) {
+        if (entry.available && !seen.has(entry.value)) {
+            Object.assign(entry, { available: false, removed_at: now });
+            changes.removed.push(entry.value);
+        }
+    }
+
+    return { entries: [...known.values(), ...fresh], ...changes };
+}
+
+/**
+ * Fold a discovered set/category list into the manifest.
+ * Known sets keep their order, new ones are appended in site order. Without a
+ * previous manifest the sets are ordered (and changes reported) against seedOrder,
+ * and seed sets missing from the site are listed as unavailable.
+ * @param {Object|null} previous - Last manifest
+ * @param {{sets: {value: string, name: string}[], categories: {value: string, name: string}[]}} discovered
+ * @param {Object} options
+ * @param {string[]} options.seedOrder - Known release order (ALL_SETS)
+ * @param {string} options.source - Card browser URL, recorded in the manifest
+ * @param {string} options.now - Timestamp (default: now)
+ * @returns {{manifest: Object, changed: boolean, sets: Object, categories: Object}} sets/categories: { added, removed, returned, renamed }
+ */
+function updateSetsManifest(previous, discovered, { seedOrder = [], source = null, now = new Date().toISOString() } = {}) {
+    const sets = mergeOptions(previous?.sets || [], discovered.sets, now);
+    const categories = mergeOptions(previous?.categories || [], discovered.categories, now);
+
+    if (!previous) {
+        sets.added = sets.added.filter(value => !seedOrder.includes(value));
+        sets.removed = seedOrder.filter(value => !sets.entries.some(e => e.value === value));
+        // Seed sets the site no longer lists may still have scraped data, so they are kept as unavailable
+        for (const value of sets.removed) {
+            sets.entries.push({ value, name: value, first_seen: null, last_seen: null, available: false, removed_at: now });
+        }
+        const rank = value => (seedOrder.includes(value) ? seedOrder.indexOf(value) : seedOrder.length);
+        sets.entries.sort((a, b) => rank(a.value) - rank(b.value));
+    }
+    sets.entries.forEach((entry, i) => {
+        entry.order = i + 1;
+        entry.folder = setFolder(entry.value);
+    });
+
+    const changed = !previous || [sets, categories].some(c =>
+        c.added.length + c.removed.length + c.returned.length + c.renamed.length > 0);
+    const version = (previous?.version || 0) + (changed ? 1 : 0);
+
+    const history = [...(previous?.history || [])];
+    if (changed) {
+        history.push({
+            version,
+            at: now,
+            sets: { added: sets.added, removed: sets.removed, returned: sets.returned },
+            categories: { added: categories.added, removed: categories.removed, returned: categories.returned },
+        });
+    }
+
+    const manifest = {
+        version,
+        updated_at: changed ? now : previous.updated_at,
+        checked_at: now,
+        source: source || previous?.source || null,
+        sets: sets.entries,
+        categories: categories.entries,
+        history,
+    };
+    const summary = ({ added, removed, returned, renamed }) => ({ added, removed, returned, renamed });
+    return { manifest, changed, sets: summary(sets), categories: summary(categories) };
+}
+
+/**
+ * Set values in release order.
+ * @param {Object} manifest
+ * @param {Object} options
+ * @param {boolean} options.includeRemoved - Include sets no longer on the site (default false)
+ */
+function manifestSetNames(manifest, { includeRemoved = false } = {}) {
+    return [...manifest.sets]
+        .filter(entry => includeRemoved || entry.available)
+        .sort((a, b) => a.order - b.order)
+        .map(entry => entry.value);
+}
+
+async function loadSetsManifest(filepath) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        return Array.isArray(manifest.sets) ? manifest : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+async function saveSetsManifest(filepath, manifest) {
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, JSON.stringify(manifest, null, 2));
+}
+
+module.exports = {
+    SETS_MANIFEST_FILENAME, setFolder, updateSetsManifest, manifestSetNames, loadSetsManifest, saveSetsManifest,
+};
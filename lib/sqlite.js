@@ -0,0 +1,166 @@
+/**
+ * SQLite export
+ * Writes the combined card list to a normalized database: cards, sets,
+ * elements and categories (each linked many-to-many), parsed abilities, and
+ * an FTS4 index over names and ability text. Uses sql.js (SQLite compiled to
+ * WebAssembly), so no native build is needed.
+ */
+
+const fs = require('fs').promises;
+const initSqlJs = require('sql.js');
+
+const SCHEMA = `
+CREATE TABLE sets (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE
+);
+
+CREATE TABLE elements (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE
+);
+
+CREATE TABLE categories (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE
+);
+
+CREATE TABLE cards (
+    code TEXT PRIMARY KEY,
+    name TEXT,
+    type TEXT,
+    job TEXT,
+    cost INTEGER,
+    power INTEGER,
+    rarity TEXT,
+    abilities TEXT,
+    image_url TEXT
+);
+
+CREATE TABLE card_sets (
+    card_code TEXT NOT NULL REFERENCES cards(code),
+    set_id INTEGER NOT NULL REFERENCES sets(id),
+    PRIMARY KEY (card_code, set_id)
+);
+
+CREATE TABLE card_elements (
+    card_code TEXT NOT NULL REFERENCES cards(code),
+    element_id INTEGER NOT NULL REFERENCES elements(id),
+    PRIMARY KEY (card_code, element_id)
+);
+
+CREATE TABLE card_categories (
+    card_code TEXT NOT NULL REFERENCES cards(code),
+    category_id INTEGER NOT NULL REFERENCES categories(id),
+    PRIMARY KEY (card_code, category_id)
+);
+
+CREATE TABLE abilities (
+    id INTEGER PRIMARY KEY,
+    card_code TEXT NOT NULL REFERENCES cards(code),
+    position INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    name TEXT,
+    cost TEXT,
+    effect TEXT,
+    text TEXT
+);
+
+CREATE INDEX idx_cards_name ON cards(name);
+CREATE INDEX idx_card_sets_set ON card_sets(set_id);
+CREATE INDEX idx_card_elements_element ON card_elements(element_id);
+CREATE INDEX idx_card_categories_category ON card_categories(category_id);
+CREATE INDEX idx_abilities_card ON abilities(card_code);
+
+CREATE VIRTUAL TABLE cards_fts USING fts4(code, name, abilities, notindexed=code);
+`;
+
+const splitList = (value, separator) =>
+    String(value || '').split(separator).map(s => s.trim()).filter(Boolean);
+
+/**
+ * Build the database in memory.
+ * @param {Object[]} cards - Cards as written to *_cards.json (reprints may repeat a code)
+ * @param {Object} options
+ * @param {string[]} options.sets - Set names in display order (sets only seen on cards are appended)
+ * @returns {Promise<Uint8Array>} SQLite file contents
+ */
+async function buildDatabase(cards, { sets = [] } = {}) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+
+    try {
+        db.run(SCHEMA);
+        db.run('BEGIN');
+
+        const lookups = {};
+        for (const table of ['sets', 'elements', 'categories']) {
+            const ids = new Map();
+            const insert = db.prepare(`INSERT INTO ${table} (name) VALUES (?)`);
+            lookups[table] = name => {
+                if (!ids.has(name)) {
+                    insert.run([name]);
+                    ids.set(name, db.exec('SELECT last_insert_rowid()')[0].values[0][0]);
+                }
+                return ids.get(name);
+            };
+            lookups[table].statement = insert;
+        }
+        sets.forEach(name => lookups.sets(name));
+
+        const insertCard = db.prepare(`INSERT OR IGNORE INTO cards
+            (code, name, type, job, cost, power, rarity, abilities, image_url)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+        const insertSet = db.prepare('INSERT OR IGNORE INTO card_sets (card_code, set_id) VALUES (?, ?)');
+        const insertElement = db.prepare('INSERT OR IGNORE INTO card_elements (card_code, element_id) VALUES (?, ?)');
+        const insertCategory = db.prepare('INSERT OR IGNORE INTO card_categories (card_code, category_id) VALUES (?, ?)');
+        const insertAbility = db.prepare(`INSERT INTO abilities
+            (card_code, position, kind, name, cost, effect, text) VALUES (?, ?, ?, ?, ?, ?, ?)`);
+        const insertFts = db.prepare('INSERT INTO cards_fts (code, name, abilities) VALUES (?, ?, ?)');
+
+        for (const card of cards) {
+            if (!card.code) continue;
+
+            insertCard.run([card.code, card.name ?? null, card.type ?? null, card.job ?? null,
+                card.cost ?? null, card.power ?? null, card.rarity ?? null, card.abilities ?? null,
+                card.imageUrl ?? null]);
+            const isNew = db.getRowsModified() > 0;
+
+            for (const name of splitList(card.set, ',')) insertSet.run([card.code, lookups.sets(name)]);
+            // Older records without the typed lists fall back to splitting the display strings
+            for (const name of card.elements ?? splitList(card.element, '/')) insertElement.run([card.code, lookups.elements(name)]);
+            for (const name of card.categories ?? splitList(card.category, '·')) insertCategory.run([card.code, lookups.categories(name)]);
+
+            // A reprint in a later set only adds links - details come from the first file
+            if (!isNew) continue;
+
+            (card.abilitiesParsed || []).forEach((ability, i) => {
+                insertAbility.run([card.code, i, ability.kind, ability.name ?? null,
+                    ability.cost?.raw ?? null, ability.effect ?? null, ability.text ?? null]);
+            });
+            insertFts.run([card.code, card.name ?? '', card.abilities ?? '']);
+        }
+
+        for (const statement of [insertCard, insertSet, insertElement, insertCategory, insertAbility, insertFts,
+            ...Object.values(lookups).map(l => l.statement)]) {
+            statement.free();
+        }
+
+        db.run('COMMIT');
+        return db.export();
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Write the combined cards to a SQLite file.
+ * @returns {Promise<{path: string, cards: number}>}
+ */
+async function exportSqlite(cards, outputPath, options = {}) {
+    const data = await buildDatabase(cards, options);
+    await fs.writeFile(outputPath, data);
+    return { path: outputPath, cards: new Set(cards.map(c => c.code).filter(Boolean)).size };
+}
+
+module.exports = { SCHEMA, buildDatabase, exportSqlite };
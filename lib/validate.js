@@ -0,0 +1,224 @@
+/**
+ * Card data validation
+ * Checks scraped cards against schema/card.schema.json plus domain rules the
+ * schema can't express (power by card type, code prefix by set, duplicates),
+ * and renders the result as a text and a JSON report.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Ajv = require('ajv');
+const CARD_SCHEMA = require('../schema/card.schema.json');
+
+// Only these types have a printed power
+const POWER_TYPES = ['Forward', 'Monster'];
+
+// Named sets -> code prefix (Opus sets are derived from their numeral)
+const SET_CODE_PREFIXES = {
+    'Crystal Dominion': '15',
+    'Emissaries of Light': '16',
+    "Rebellion's Call": '17',
+    'Resurgence of Power': '18',
+    'From Nightmares': '19',
+    'Dawn of Heroes': '20',
+    'Beyond Destiny': '21',
+    'Hidden Hope': '22',
+    'Hidden Trials': '23',
+    'Hidden Legends': '24',
+    'Tears of the Planet': '25',
+    'Gunslinger in the Abyss': '26',
+    'Journey of Discovery': '27',
+    'Promo': 'PR',
+};
+
+const ROMAN = { I: 1, V: 5, X: 10, L: 50 };
+
+function romanToInt(numeral) {
+    let total = 0;
+    for (let i = 0; i < numeral.length; i++) {
+        const value = ROMAN[numeral[i]];
+        const next = ROMAN[numeral[i + 1]] || 0;
+        total += value < next ? -value : value;
+    }
+    return total;
+}
+
+function setCodePrefix(setName) {
+    const opus = setName?.match(/^Opus ([IVXL]+)$/);
+    if (opus) return String(romanToInt(opus[1]));
+    return SET_CODE_PREFIXES[setName] || null;
+}
+
+let compiledSchema = null;
+
+function cardSchemaValidator() {
+    if (!compiledSchema) {
+        compiledSchema = new Ajv({ allErrors: true }).compile(CARD_SCHEMA);
+    }
+    return compiledSchema;
+}
+
+/**
+ * Validate a list of cards.
+ * @param {Object[]} cards
+ * @param {Object} options
+ * @param {string} options.set - Set the file was scraped for (used for the code prefix rule)
+ * @returns {{code: string, severity: 'error'|'warning', rule: string, field: string|null, message: string}[]}
+ */
+function validateCards(cards, { set = null } = {}) {
+    const validate = cardSchemaValidator();
+    const issues = [];
+    const seen = new Set();
+
+    const issue = (card, severity, rule, field, message) =>
+        issues.push({ code: card.code ?? null, severity, rule, field, message });
+
+    for (const card of cards) {
+        if (!validate(card)) {
+            for (const err of validate.errors) {
+                const field = err.instancePath.replace(/^\//, '').replace(/\//g, '.') ||
+                    err.params?.missingProperty || null;
+                issue(card, 'error', 'schema', field, err.message);
+            }
+        }
+
+        if (seen.has(card.code)) {
+            issue(card, 'error', 'duplicate-code', 'code', 'code appears more than once');
+        }
+        seen.add(card.code);
+
+        if (card.type === 'Forward' && (card.power === null || card.power === undefined)) {
+            issue(card, 'error', 'power-type', 'power', 'Forward has no power');
+        }
+        if (card.type && !POWER_TYPES.includes(card.type) && card.power) {
+            issue(card, 'error', 'power-type', 'power', `${card.type} should not have power (${card.power})`);
+        }
+
+        const sets = [...new Set([...(card.set ? String(card.set).split(', ') : []), set].filter(Boolean))];
+        const prefixes = [...new Set(sets.map(setCodePrefix).filter(Boolean))];
+        const codePrefix = String(card.code || '').split('-')[0];
+        if (prefixes.length > 0 && !prefixes.includes(codePrefix)) {
+            issue(card, 'warning', 'code-prefix', 'code',
+                `code prefix "${codePrefix}" does not match ${sets.join(' / ')} (expected ${prefixes.join(' or ')})`);
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Validate one *_cards.json or all_cards_combined.json file.
+ * @returns {Promise<Object>} { file, set, cards, errors, warnings, issues }
+ */
+async function validateFile(filepath) {
+    const result = { file: filepath, set: null, cards: 0, errors: 0, warnings: 0, issues: [] };
+
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(filepath, 'utf8'));
+    } catch (e) {
+        result.issues.push({ code: null, severity: 'error', rule: 'file', field: null, message: `unreadable: ${e.message}` });
+        result.errors = 1;
+        return result;
+    }
+
+    const cards = Array.isArray(data.cards) ? data.cards : [];
+    const combined = Array.isArray(data.sets);
+    result.set = combined ? null : (data.filters?.sets?.length === 1 ? data.filters.sets[0] : null);
+    result.cards = cards.length;
+
+    if (!Array.isArray(data.cards)) {
+        result.issues.push({ code: null, severity: 'error', rule: 'file', field: 'cards', message: 'no cards array' });
+    }
+    if (typeof data.total === 'number' && data.total !== cards.length) {
+        result.issues.push({ code: null, severity: 'warning', rule: 'file', field: 'total',
+            message: `total is ${data.total} but file has ${cards.length} cards` });
+    }
+    if (!combined && data.complete === false) {
+        result.issues.push({ code: null, severity: 'warning', rule: 'file', field: 'complete', message: 'set is marked incomplete' });
+    }
+
+    result.issues.push(...validateCards(cards, { set: result.set }));
+    result.errors = result.issues.filter(i => i.severity === 'error').length;
+    result.warnings = result.issues.filter(i => i.severity === 'warning').length;
+    return result;
+}
+
+/**
+ * Every set file under a results directory, plus the combined file if present.
+ */
+async function findCardFiles(rootDir) {
+    const files = [];
+    let entries = [];
+    try {
+        entries = await fs.readdir(rootDir, { withFileTypes: true });
+    } catch (e) {
+        return files;
+    }
+
+    for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        const filepath = path.join(rootDir, entry.name, `${entry.name}_cards.json`);
+        try {
+            await fs.access(filepath);
+            files.push(filepath);
+        } catch (e) {}
+    }
+
+    if (entries.some(e => e.name === 'all_cards_combined.json')) {
+        files.push(path.join(rootDir, 'all_cards_combined.json'));
+    }
+    return files;
+}
+
+function buildReport(results) {
+    const byRule = {};
+    for (const result of results) {
+        for (const i of result.issues) {
+            byRule[i.rule] = (byRule[i.rule] || 0) + 1;
+        }
+    }
+
+    return {
+        validated_at: new Date().toISOString(),
+        totals: {
+            files: results.length,
+            cards: results.reduce((s, r) => s + r.cards, 0),
+            errors: results.reduce((s, r) => s + r.errors, 0),
+            warnings: results.reduce((s, r) => s + r.warnings, 0),
+            byRule,
+        },
+        files: results,
+    };
+}
+
+function formatReport(report) {
+    const lines = [`FFTCG data validation - ${report.validated_at}`, ''];
+
+    for (const result of report.files) {
+        const status = result.errors > 0 ? '❌' : result.warnings > 0 ? '⚠️ ' : '✅';
+        lines.push(`${status} ${result.file}${result.set ? ` (${result.set})` : ''}: ` +
+            `${result.cards} cards, ${result.errors} error(s), ${result.warnings} warning(s)`);
+        for (const i of result.issues) {
+            const icon = i.severity === 'error' ? '❌' : '⚠️ ';
+            lines.push(`    ${icon} ${i.code || '(file)'}${i.field ? ` ${i.field}` : ''}: ${i.message} [${i.rule}]`);
+        }
+    }
+
+    const { totals } = report;
+    lines.push('');
+    lines.push(`Files: ${totals.files}  Cards: ${totals.cards}  Errors: ${totals.errors}  Warnings: ${totals.warnings}`);
+    if (Object.keys(totals.byRule).length > 0) {
+        lines.push(`By rule: ${Object.entries(totals.byRule).map(([rule, n]) => `${rule}=${n}`).join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    CARD_SCHEMA,
+    setCodePrefix,
+    validateCards,
+    validateFile,
+    findCardFiles,
+    buildReport,
+    formatReport,
+};
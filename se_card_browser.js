@@ -6,16 +6,64 @@
  * Added: --all flag to scrape all sets sequentially
  * Added: Skip existing sets, combined JSON output
  * Fixed: Wait for JS to load cards before declaring error
+ * Added: Configurable site/image base URLs (offline tests against tests/mock-site)
+ * Added: abilitiesParsed - structured abilities (kind, cost, effect) per card
+ * Added: --mode=api - read cards from the search endpoint's JSON (DOM fallback)
+ * Added: --concurrency=N - scrape sets in parallel contexts of one shared browser
+ * Added: --update - only scrape new codes, write a per-set changelog.json
+ * Added: Per-card change history (card_history.json) and --history <code>
+ * Added: Resume interrupted scrapes from *_partial.json
+ * Added: Retries with backoff, classified failures section in output JSON
+ * Added: --validate - JSON Schema + data-quality report (schema/card.schema.json)
+ * Added: --export sqlite - normalized SQLite database with full-text search
+ * Added: --export csv,tsv and --columns - spreadsheet exports per set and combined
+ * Added: --export tts,cockatrice,images and --import-deck - deck-builder/simulator bridge
+ * Added: --serve - local REST API over scraped cards, reloads on new output
+ * Added: --query - evaluate filters against the combined JSON without a browser
+ * Added: --lang - localized site path, image suffix and labels; --merge-translations
+ * Added: images.quality pipeline - thumbnails, WebP/AVIF variants and imageHash per card
+ * Added: --verify-images - integrity check of downloaded images, re-downloads bad files
+ * Added: --publish - upload outputs and images to an S3-compatible bucket (.env), public manifest
+ * Added: Set discovery - live set/category lists in a versioned sets_manifest.json, --discover-sets
+ * Added: Subcommands (scrape, all, combine, ...), --help, --dry-run; defaults < config < FFTCG_* env < flags
+ * Added: Canonical card identities - reprints grouped with printings (all_cards_canonical.json, canonicalId)
+ * Added: Attribute normalization - elements/categories/jobs lists, numeric cost/power, rarityCode, raw strings
+ * Added: Structured logging - --log-level, --log-format json, run IDs, per-set scrape_log.jsonl
+ * Added: Batch progress - live dashboard with rate/ETA on a terminal, status lines otherwise, totals in batch_summary.json
+ * Added: Rate limiting - token buckets for site and CDN traffic, jitter, 429/503 Retry-After pauses, --max-requests
  */
 
 const { chromium } = require('playwright');
+const dotenv = require('dotenv');
 const fs = require('fs').promises;
 const path = require('path');
+const { ABILITY_ICONS, normalizeAbilityText, parseAbilities } = require('./lib/abilities');
+const { API_SEARCH_PATH, apiTextToLines, apiElements, apiFlag } = require('./lib/api');
+const { diffCards } = require('./lib/diff');
+const { HISTORY_FILENAME, appendHistory, cardTimeline, printTimeline } = require('./lib/history');
+const { ScrapeError, classifyStatus, withRetry } = require('./lib/retry');
+const { validateFile, findCardFiles, buildReport, formatReport } = require('./lib/validate');
+const { exportSqlite } = require('./lib/sqlite');
+const { DELIMITERS, writeDelimited } = require('./lib/csv');
+const { imageManifest, toTabletopSimulator, toCockatrice, parseDecklist, resolveDecklist } = require('./lib/deckbuilder');
+const { startCardServer } = require('./lib/server');
+const { validateFilters, queryCards, formatTable } = require('./lib/query');
+const { LOCALES, getLocale, scrapeLocale, attributeField, canonicalType, apiText, mergeTranslations } = require('./lib/locales');
+const { imagePipeline, processImage, imageChecksum, inspectImage, readChecksums, writeChecksums } = require('./lib/images');
+const { publishConfigFromEnv, createPublisher } = require('./lib/publish');
+const { SETS_MANIFEST_FILENAME, updateSetsManifest, manifestSetNames, loadSetsManifest, saveSetsManifest } = require('./lib/sets');
+const { COMMANDS, parseCli, envConfig, resolveConfig, formatHelp } = require('./lib/cli');
+const { canonicalize } = require('./lib/canonical');
+const { normalizeCard } = require('./lib/normalize');
+const { LOG_FILENAME, createLogger } = require('./lib/logger');
+const { createProgress } = require('./lib/progress');
+const { createRateLimiter } = require('./lib/ratelimit');
 
 // =============================================================================
 // ALL SETS LIST
 // =============================================================================
 
+// Release order; seeds sets_manifest.json and is the fallback when the site can't be read
 const ALL_SETS = [
     'Legacy Collection',
     'Opus I',
@@ -108,6 +156,12 @@ const FILTER_SELECTORS = {
 const CARD_SELECTOR = '.results .item[data-code]';
 const RESULTS_HEADER = '.results .header span';
 
+// A card missing any of these after retries is reported in `failures`
+const CORE_FIELDS = ['name', 'type', 'element', 'set'];
+
+// Page responses whose 429/503 pause the site budget; scripts, styles and thumbnails are left to the browser and its cache
+const SITE_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+
 const DEFAULT_CONFIG = {
     output: {
         directory: './output',
@@ -115,6 +169,8 @@ const DEFAULT_CONFIG = {
         saveJson: true,
         jsonFilename: 'cards.json',
         imageSubdir: 'images',
+        exportFormats: [],      // 'csv' and/or 'tsv', written next to the JSON
+        exportColumns: null,    // Card fields in column order (null = lib/csv DEFAULT_COLUMNS)
     },
     filters: {
         sets: null,
@@ -128,30 +184,101 @@ const DEFAULT_CONFIG = {
         code: null,
     },
     scraping: {
+        baseUrl: 'https://fftcg.square-enix-games.com',
+        imageBaseUrl: 'https://fftcg.cdn.sewest.net/images/cards/full',
+        language: 'en',         // Site locale (see lib/locales.js LOCALES)
+        imageSuffix: null,      // Card image suffix (null = the locale's, e.g. 'eg' for English)
+        mode: 'dom',            // 'dom' (click every card) or 'api' (search endpoint JSON)
+        apiReplayFile: null,    // Recorded search response to serve instead of the live endpoint
+        update: false,          // Reuse the previous *_cards.json, only scrape new codes
+        verifySample: 0,        // In update mode, also re-scrape this many existing cards
+        resume: true,           // Pick up cards from a matching *_partial.json
+        retries: 3,             // Extra attempts for overlay timeouts, missing fields, HTTP 429/5xx
+        retryDelay: 1000,       // First backoff in ms, doubled on each retry
         includeCardDetails: true,
-        delayBetweenCards: 150,
         delayBetweenPages: 500,
         headless: false,
         timeout: 60000,
     },
     images: {
-        quality: 'full',
+        quality: 'full',        // 'full' (JPG only), 'web', 'all' or { sizes, formats, hash } - see lib/images.js
         concurrent: 5,
-    }
+    },
+    logging: {
+        level: 'info',          // Console: debug, info, warn, error or silent
+        format: 'pretty',       // 'pretty' (emoji lines) or 'json' (JSON lines)
+        file: LOG_FILENAME,     // JSON-lines log in the output directory, appended per run (null = none)
+        fileLevel: 'info',
+        progressInterval: 30,   // all: seconds between progress lines when stdout isn't a terminal (0 = none)
+    },
+    rateLimit: {
+        site: { rate: 2, burst: 5 },    // Navigations, search requests and card clicks per second
+        cdn: { rate: 5, burst: 10 },    // Image downloads per second
+        jitter: 0.3,            // Up to this fraction of a token's interval is added to each request
+        backoff: 5000,          // Pause in ms after a 429/503 without Retry-After, doubled while they repeat
+        maxRequests: 20000,     // Requests per run across both budgets (null = no cap)
+    },
 };
 
 class FFTCGScraper {
-    constructor(config = {}) {
-        this.config = this.mergeConfig(DEFAULT_CONFIG, config);
+    /**
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     * @param {Object} options
+     * @param {Browser} options.browser - Shared browser; the scraper opens its own context in it
+     * @param {string} options.logPrefix - Prepended to every console log line (e.g. the set name)
+     * @param {Object} options.publisher - lib/publish publisher; the output directory is uploaded after the run
+     * @param {Object} options.logger - lib/logger logger to log through (carries the run ID); default: one from config.logging
+     * @param {Object} options.progress - lib/progress set tracker, told about cards and images as they finish
+     * @param {Object} options.limiter - lib/ratelimit limiter shared with other scrapers; default: one from config.rateLimit
+     */
+    constructor(config = {}, {
+        browser = null, logPrefix = '', publisher = null, logger = null, progress = null, limiter = null,
+    } = {}) {
+        const deprecations = [];
+        this.config = migrateCardDelay(this.mergeConfig(DEFAULT_CONFIG, config), message => deprecations.push(message));
+        this.imagePipeline = imagePipeline(this.config.images.quality);
+        this.sharedBrowser = browser;
+        this.logPrefix = logPrefix;
+        this.publisher = publisher;
+        this.progress = progress;
+        
+        const { level, format, file, fileLevel } = this.config.logging;
+        this.logger = (logger || createLogger({ level, format })).child({ set: this.config.filters.sets?.join(', ') }, {
+            prefix: logPrefix,
+            plain: false,
+            file: file ? path.join(this.config.output.directory, file) : null,
+            fileLevel,
+        });
+        this.phase = null;
+        deprecations.forEach(message => this.log(message, 'warn'));
+        this.limiter = limiter || createRateLimiter({
+            ...this.config.rateLimit,
+            log: (message, level) => this.log(message, level),
+            sleep: ms => this.sleep(ms),
+        });
         this.browser = null;
+        this.context = null;
         this.page = null;
         this.cards = [];
+        this.failures = [];
+        this.changelog = null;
+        this.imageChecksums = {};
+        this.searchResponse = null;     // API mode: pending search response, set by applyFilters
+        this.searchInfo = new Map();      // code -> { multicard, type }, from search responses
+        this.unknownLabels = new Set();   // attribute labels already warned about
     }
     
-    log(message, level = 'info') {
-        const timestamp = new Date().toISOString().split('T')[1].slice(0, 12);
-        const icons = { 'info': 'ℹ️ ', 'debug': '🔍', 'warn': '⚠️ ', 'error': '❌', 'success': '✅' };
-        console.log(`[${timestamp}] ${icons[level] || ''} ${message}`);
+    // fields (code, ...) show up in JSON output and the log file, next to set and phase
+    log(message, level = 'info', fields = {}) {
+        this.logger.log(level, message, { phase: this.phase, ...fields });
+    }
+    
+    // A label lib/locales.js doesn't know drops that field from every card, so say so once per label
+    unknownLabel(labelText, cardCode) {
+        const label = String(labelText || '').trim();
+        if (this.unknownLabels.has(label)) return;
+        this.unknownLabels.add(label);
+        this.log(`Unknown attribute label "${label}" - its field is left empty (add it to lib/locales.js)`, 'warn', { code: cardCode });
     }
     
     mergeConfig(defaults, overrides) {
@@ -159,7 +286,9 @@ class FFTCGScraper {
         for (const key of Object.keys(overrides)) {
             if (overrides[key] !== undefined && typeof overrides[key] === 'object' && 
                 !Array.isArray(overrides[key]) && overrides[key] !== null) {
-                result[key] = this.mergeConfig(defaults[key] || {}, overrides[key]);
+                // A preset string default (images.quality) is replaced, not merged into
+                const base = typeof defaults[key] === 'object' && defaults[key] !== null ? defaults[key] : {};
+                result[key] = this.mergeConfig(base, overrides[key]);
             } else if (overrides[key] !== undefined) {
                 result[key] = overrides[key];
             }
@@ -171,14 +300,37 @@ class FFTCGScraper {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
-    rarityCodeToName(code) {
-        const map = { 'C': 'Common', 'R': 'Rare', 'H': 'Hero', 'L': 'Legend', 
-                      'S': 'Starter', 'B': 'Boss', 'P': 'Promo', 'PR': 'Promo' };
-        return map[code?.toUpperCase()] || code;
+    cardImageUrl(cardCode) {
+        const { language, imageSuffix } = this.config.scraping;
+        return `${this.config.scraping.imageBaseUrl}/${cardCode}_${imageSuffix || getLocale(language).imageSuffix}.jpg`;
+    }
+    
+    // English images keep the plain <code>.jpg name other tools expect
+    imageFilename(cardCode) {
+        const { language } = this.config.scraping;
+        return language === 'en' ? `${cardCode}.jpg` : `${cardCode}_${language}.jpg`;
+    }
+    
+    missingCoreFields(card) {
+        return CORE_FIELDS.filter(field => card[field] === null || card[field] === undefined || card[field] === '');
+    }
+    
+    retry(label, fn, fields = {}) {
+        const { retries, retryDelay } = this.config.scraping;
+        return withRetry(fn, {
+            retries,
+            baseDelay: retryDelay,
+            sleep: ms => this.sleep(ms),
+            onRetry: (e, attempt, delay) => this.log(`${label}: ${e.message} - retry ${attempt}/${retries} in ${delay}ms`, 'warn', { ...fields, attempt }),
+        });
+    }
+    
+    recordFailure(code, stage, error) {
+        this.failures.push({ code, stage, kind: error.kind, error: error.message, attempts: error.attempts ?? 1 });
     }
     
     async init() {
-        this.log('FFTCG Scraper v9.1 Starting...', 'info');
+        this.log(`FFTCG Scraper v9.1 Starting... (run ${this.logger.runId})`, 'info');
         this.log(`Output: ${this.config.output.directory}`, 'info');
         this.log(`Filters: ${JSON.stringify(this.config.filters)}`, 'info');
         
@@ -187,14 +339,43 @@ class FFTCGScraper {
             await fs.mkdir(path.join(this.config.output.directory, this.config.output.imageSubdir), { recursive: true });
         }
         
-        this.browser = await chromium.launch({ headless: this.config.scraping.headless });
-        this.page = await this.browser.newPage();
+        if (this.sharedBrowser) {
+            this.context = await this.sharedBrowser.newContext();
+            this.page = await this.context.newPage();
+        } else {
+            this.browser = await chromium.launch({ headless: this.config.scraping.headless });
+            this.page = await this.browser.newPage();
+        }
         this.page.setDefaultTimeout(this.config.scraping.timeout);
         
-        this.log('Browser launched', 'success');
+        // Navigations, searches and Load More wait for the site budget where they are triggered
+        // (page.route would turn off the browser cache); a 429/503 from the site pauses it
+        this.page.on('response', response => {
+            this.recordSiteResponse(response);
+            if (response.url().includes(API_SEARCH_PATH) && response.request().method() === 'POST' && response.ok()) {
+                this.recordSearchInfo(response);
+            }
+        });
+        
+        if (this.config.scraping.apiReplayFile) {
+            const body = await fs.readFile(this.config.scraping.apiReplayFile, 'utf8');
+            await this.page.route(`**${API_SEARCH_PATH}`, route => route.fulfill({
+                status: 200,
+                contentType: 'application/json',
+                body,
+            }));
+            this.log(`Replaying search responses from ${this.config.scraping.apiReplayFile}`, 'info');
+        }
+        
+        this.log(this.sharedBrowser ? 'Browser context opened' : 'Browser launched', 'success');
     }
     
     async close() {
+        if (this.context) {
+            await this.context.close().catch(() => {});
+            this.context = null;
+            this.log('Browser context closed', 'info');
+        }
         if (this.browser) {
             await this.browser.close();
             this.log('Browser closed', 'info');
@@ -232,6 +413,9 @@ class FFTCGScraper {
             '.card-search',
         ];
         
+        // The click sends the search request
+        await this.limiter.take('site');
+        
         for (const selector of searchSelectors) {
             try {
                 const btn = await this.page.$(selector);
@@ -248,9 +432,10 @@ class FFTCGScraper {
     }
     
     async navigateToCardBrowser() {
-        const url = 'https://fftcg.square-enix-games.com/en/card-browser';
+        const url = `${this.config.scraping.baseUrl}/${this.config.scraping.language}/card-browser`;
         this.log(`Navigating to: ${url}`, 'info');
         
+        await this.limiter.take('site');
         await this.page.goto(url, { waitUntil: 'domcontentloaded' });
         
         this.log('Checking for cookie banner...', 'debug');
@@ -273,6 +458,30 @@ class FFTCGScraper {
         this.log('Card browser loaded (filters ready, no search yet)', 'success');
     }
     
+    /**
+     * Read the set and category options from the card browser's filter panel.
+     * @returns {Promise<{sets: {value: string, name: string}[], categories: {value: string, name: string}[]}>}
+     */
+    async discoverSets() {
+        try {
+            await this.init();
+            await this.navigateToCardBrowser();
+            
+            const readOptions = filter => this.page.$$eval(
+                `${FILTER_SELECTORS[filter].container} ${FILTER_SELECTORS[filter].itemSelector}`,
+                els => els.map(e => ({ value: e.getAttribute('data-value'), name: e.textContent.trim() || e.getAttribute('data-value') }))
+            );
+            const sets = await readOptions('set');
+            const categories = await readOptions('category');
+            
+            if (sets.length === 0) throw new Error('No set options in the filter panel');
+            this.log(`Found ${sets.length} sets and ${categories.length} categories`, 'success');
+            return { sets, categories };
+        } finally {
+            await this.close();
+        }
+    }
+    
     async expandFiltersPanel() {
         this.log('Checking if filters panel needs to be expanded...', 'debug');
         
@@ -478,6 +687,8 @@ class FFTCGScraper {
         
         if (appliedCount > 0) {
             this.log(`Applied ${appliedCount} filter(s), clicking Search...`, 'info');
+            // Only waited for when a search is actually sent, so nothing is left pending at close()
+            this.searchResponse = this.config.scraping.mode === 'api' ? this.waitForSearchResponse() : null;
             await this.clickSearchButton();
             
             // Wait for results to load (either cards appear or results header updates)
@@ -604,12 +815,15 @@ class FFTCGScraper {
                 const loadMore = await this.page.$('.results .more:not([style*="display: none"])');
                 if (loadMore && await loadMore.isVisible()) {
                     this.log('Clicking Load More...', 'debug');
+                    await this.limiter.take('site');
                     await loadMore.click();
                     await this.sleep(this.config.scraping.delayBetweenPages);
                     noChangeCount = 0;
                     continue;
                 }
                 
+                // May load the next page of results
+                await this.limiter.take('site', { request: false });
                 await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
                 await this.sleep(this.config.scraping.delayBetweenPages);
             } else {
@@ -640,8 +854,77 @@ class FFTCGScraper {
         return codes;
     }
     
+    async waitForSearchResponse() {
+        try {
+            const response = await this.page.waitForResponse(
+                r => r.url().includes(API_SEARCH_PATH) && r.request().method() === 'POST',
+                { timeout: this.config.scraping.timeout }
+            );
+            const data = await response.json();
+            if (!Array.isArray(data?.cards)) {
+                throw new Error(`unexpected response shape: ${Object.keys(data || {}).join(', ')}`);
+            }
+            this.log(`API: ${data.cards.length} cards from ${response.url()}`, 'success');
+            
+            const rawPath = path.join(this.config.output.directory, 'api_response.json');
+            await fs.writeFile(rawPath, JSON.stringify(data, null, 2));
+            this.log(`Raw search response saved to ${rawPath}`, 'debug');
+            
+            const seen = new Set();
+            return data.cards
+                .filter(raw => raw.code && !seen.has(raw.code) && seen.add(raw.code))
+                .map(raw => this.mapApiCard(raw));
+        } catch (e) {
+            this.log(`API mode: no usable search response (${e.message})`, 'warn');
+            return null;
+        }
+    }
+    
+    mapApiCard(raw) {
+        const { language } = this.config.scraping;
+        const lines = apiTextToLines(apiText(raw, 'text', language), ABILITY_ICONS.elements);
+        
+        return this.localizeType(normalizeCard({
+            code: raw.code,
+            name: apiText(raw, 'name', language)?.trim() || null,
+            type: apiText(raw, 'type', language) || null,
+            job: apiText(raw, 'job', language) || null,
+            element: apiElements(raw.element),
+            cost: raw.cost,
+            power: raw.power,
+            rarity: raw.rarity,
+            category: [raw.category_1, raw.category_2].filter(Boolean).join(' · ') || null,
+            set: (raw.set || []).join(', ') || null,
+            multicard: apiFlag(raw.multicard),
+            abilities: normalizeAbilityText(lines.join(' ')),
+            abilitiesParsed: parseAbilities(lines),
+            imageUrl: this.cardImageUrl(raw.code),
+        }), raw.type_en);
+    }
+    
     async scrapeCardDetails(cardCode) {
-        const card = {
+        let card = null;
+        
+        try {
+            await this.retry(`Card ${cardCode}`, async () => {
+                await this.limiter.take('site', { request: false });
+                card = await this.readCardOverlay(cardCode);
+                const missing = this.missingCoreFields(card);
+                if (missing.length > 0) {
+                    throw new ScrapeError(`missing ${missing.join(', ')}`, 'missing', { fields: missing });
+                }
+            }, { code: cardCode });
+        } catch (e) {
+            this.log(`Error scraping ${cardCode} (${e.kind} after ${e.attempts} attempt(s)): ${e.message}`, 'warn', { code: cardCode });
+            this.recordFailure(cardCode, 'details', e);
+        }
+        
+        return card || normalizeCard(this.emptyCard(cardCode));
+    }
+    
+    // Attribute strings as read from the site - normalizeCard types them
+    emptyCard(cardCode) {
+        return {
             code: cardCode,
             name: null,
             type: null,
@@ -652,12 +935,48 @@ class FFTCGScraper {
             rarity: null,
             category: null,
             set: null,
+            multicard: this.searchInfo.get(cardCode)?.multicard ?? null,
             abilities: '',
-            imageUrl: `https://fftcg.cdn.sewest.net/images/cards/full/${cardCode}_eg.jpg`,
+            abilitiesParsed: [],
+            imageUrl: this.cardImageUrl(cardCode),
         };
+    }
+    
+    // Only the card browser's own origin counts: a 429 from an analytics or cookie-consent host must not pause the scrape
+    recordSiteResponse(response) {
+        if (!SITE_RESOURCE_TYPES.includes(response.request().resourceType())) return;
+        if (new URL(response.url()).origin !== new URL(this.config.scraping.baseUrl).origin) return;
+        this.limiter.record('site', response.status(), response.headers()['retry-after']);
+    }
+    
+    // The overlay doesn't show the Generic (multicard) flag or the English type; the search response behind the results does
+    async recordSearchInfo(response) {
+        try {
+            const data = await response.json();
+            for (const raw of data?.cards || []) {
+                if (raw.code) this.searchInfo.set(raw.code, { multicard: apiFlag(raw.multicard), type: raw.type_en || null });
+            }
+        } catch (e) {
+            this.log(`Could not read search response: ${e.message}`, 'debug');
+        }
+    }
+    
+    // Types are stored in English, as the schema expects; the site's localized name goes to typeLocalized
+    localizeType(card, english = null) {
+        if (this.config.scraping.language === 'en' || !card.type) return card;
+        return { ...card, type: english || canonicalType(card.type) || card.type, typeLocalized: card.type };
+    }
+    
+    async readCardOverlay(cardCode) {
+        const card = this.emptyCard(cardCode);
         
         try {
-            await this.page.click(`${CARD_SELECTOR}[data-code="${cardCode}"]`);
+            const tile = await this.page.$(`${CARD_SELECTOR}[data-code="${cardCode}"]`);
+            if (!tile) {
+                throw new ScrapeError(`card ${cardCode} is not in the results`, 'missing');
+            }
+            
+            await tile.click();
             await this.page.waitForSelector('.overlay', { state: 'visible', timeout: 5000 });
             await this.sleep(300);
             
@@ -675,7 +994,7 @@ class FFTCGScraper {
             
             for (const selector of textSelectors) {
                 try {
-                    const abilities = await this.page.$eval(selector, (el, icons) => {
+                    const lines = await this.page.$eval(selector, (el, icons) => {
                         const result = [];
                         
                         function processNode(node) {
@@ -712,7 +1031,7 @@ class FFTCGScraper {
                                 } else if (elem.tagName === 'SPAN' && elem.classList.contains('italic')) {
                                     result.push(`*${elem.textContent?.trim()}*`);
                                 } else if (elem.tagName === 'BR') {
-                                    result.push(' ');
+                                    result.push('\u2029');
                                 } else {
                                     for (const child of elem.childNodes) {
                                         processNode(child);
@@ -722,27 +1041,17 @@ class FFTCGScraper {
                         }
                         
                         processNode(el);
-                        return result.join('').replace(/\s+/g, ' ').trim();
-                    }, {
-                        elements: {
-                            'fire': 'F', 'ice': 'I', 'wind': 'W', 'earth': 'E',
-                            'lightning': 'L', 'water': 'A', 'light': 'Lt', 
-                            'dark': 'D', 'darkness': 'D'
-                        },
-                        special: {
-                            'down': 'Dull', 'special': 'S', 'exburst': 'EX', 
-                            'c': 'C', 'ability': '', 's': 'S'
-                        }
-                    });
+                        // One entry per <br>-separated ability (U+2029 never occurs in card text)
+                        return result.join('').split('\u2029')
+                            .map(line => line.replace(/\s+/g, ' ').trim())
+                            .filter(line => line);
+                    }, ABILITY_ICONS);
                     
-                    if (abilities) {
-                        let processed = abilities
-                            .replace(/(\*Priming [^*]+)\*\s*(?:--\s*)?((?:\[[^\]]+\])+)/g, '$1 $2*')
-                            .replace(/\*Limit Break\s*--\s*(\d+)\*/g, '*Limit Break $1*')
-                            .replace(/\s+/g, ' ')
-                            .trim();
+                    if (lines.length > 0) {
+                        const processed = normalizeAbilityText(lines.join(' '));
                         card.abilities = processed;
-                        this.log(`Abilities for ${cardCode}: "${processed.substring(0, 60)}..."`, 'debug');
+                        card.abilitiesParsed = parseAbilities(lines);
+                        this.log(`Abilities for ${cardCode}: "${processed.substring(0, 60)}..."`, 'debug', { code: cardCode });
                         break;
                     }
                 } catch (e) {
@@ -761,7 +1070,7 @@ class FFTCGScraper {
                         }
                         return debugInfo.join(' | ');
                     });
-                    this.log(`DEBUG ${cardCode} overlay structure: ${detailsHtml}`, 'warn');
+                    this.log(`DEBUG ${cardCode} overlay structure: ${detailsHtml}`, 'warn', { code: cardCode });
                 } catch (e) {
                     this.log(`Could not debug overlay: ${e.message}`, 'debug');
                 }
@@ -773,7 +1082,11 @@ class FFTCGScraper {
                     const cells = await row.$$('td');
                     if (cells.length >= 2) {
                         const labelText = await cells[0].textContent();
-                        const label = labelText.toLowerCase().replace(':', '').trim();
+                        const label = attributeField(labelText, this.config.scraping.language);
+                        if (!label) {
+                            this.unknownLabel(labelText, cardCode);
+                            continue;
+                        }
                         
                         if (label === 'element') {
                             const iconEls = await cells[1].$$('.icon');
@@ -797,9 +1110,9 @@ class FFTCGScraper {
                         switch (label) {
                             case 'type': card.type = value; break;
                             case 'job': card.job = value || null; break;
-                            case 'cost': card.cost = parseInt(value) || value; break;
-                            case 'power': card.power = parseInt(value) || value || null; break;
-                            case 'serial type': card.rarity = this.rarityCodeToName(value); break;
+                            case 'cost': card.cost = value; break;
+                            case 'power': card.power = value; break;
+                            case 'rarity': card.rarity = value; break;
                             case 'category': card.category = value; break;
                             case 'set': card.set = value; break;
                             case 'code': break;
@@ -812,53 +1125,86 @@ class FFTCGScraper {
             await this.sleep(100);
             
         } catch (e) {
-            this.log(`Error scraping ${cardCode}: ${e.message}`, 'warn');
-            await this.page.click('.overlay .close').catch(() => {});
+            await this.page.click('.overlay .close', { timeout: 1000 }).catch(() => {});
             await this.page.keyboard.press('Escape').catch(() => {});
+            throw e;
         }
         
-        return card;
+        return this.localizeType(normalizeCard(card), this.searchInfo.get(cardCode)?.type);
     }
     
     async downloadImage(card) {
         if (!card.imageUrl) {
-            this.log(`No imageUrl for ${card.code}`, 'debug');
+            this.log(`No imageUrl for ${card.code}`, 'debug', { code: card.code });
             return false;
         }
         
         const imageDir = path.join(this.config.output.directory, this.config.output.imageSubdir);
-        const filepath = path.join(imageDir, `${card.code}.jpg`);
+        const filepath = path.join(imageDir, this.imageFilename(card.code));
         
         // Check if image already exists
         try {
             await fs.access(filepath);
-            this.log(`Image already exists: ${card.code}.jpg`, 'debug');
+            this.log(`Image already exists: ${this.imageFilename(card.code)}`, 'debug', { code: card.code });
+            await this.postProcessImage(card, filepath);
             return true;
         } catch (e) {
             // File doesn't exist, download it
         }
         
-        this.log(`Downloading: ${card.imageUrl} -> ${filepath}`, 'debug');
+        this.log(`Downloading: ${card.imageUrl} -> ${filepath}`, 'debug', { code: card.code });
         
         try {
             await fs.mkdir(imageDir, { recursive: true });
             
-            const response = await fetch(card.imageUrl);
-            this.log(`Fetch response for ${card.code}: ${response.status} ${response.statusText}`, 'debug');
+            const buffer = await this.retry(`Image ${card.code}`, async () => {
+                await this.limiter.take('cdn');
+                const response = await fetch(card.imageUrl);
+                this.log(`Fetch response for ${card.code}: ${response.status} ${response.statusText}`, 'debug', { code: card.code, status: response.status });
+                this.limiter.record('cdn', response.status, response.headers.get('retry-after'));
+                
+                if (!response.ok) {
+                    throw new ScrapeError(`HTTP ${response.status}`, classifyStatus(response.status), { status: response.status });
+                }
+                const body = Buffer.from(await response.arrayBuffer());
+                // CDN error pages sometimes come back as 200 text/html
+                if (body[0] !== 0xff || body[1] !== 0xd8) {
+                    throw new ScrapeError(`Not a JPEG (${response.headers.get('content-type') || 'unknown type'})`, 'transient');
+                }
+                return body;
+            }, { code: card.code });
             
-            if (response.ok) {
-                const buffer = Buffer.from(await response.arrayBuffer());
-                await fs.writeFile(filepath, buffer);
-                this.log(`Saved ${card.code}.jpg (${buffer.length} bytes)`, 'debug');
-                return true;
-            } else {
-                this.log(`Image download failed for ${card.code}: HTTP ${response.status}`, 'warn');
-            }
+            // Write then rename, so an interrupted run never leaves a truncated .jpg
+            await fs.writeFile(`${filepath}.part`, buffer);
+            await fs.rename(`${filepath}.part`, filepath);
+            this.imageChecksums[this.imageFilename(card.code)] = imageChecksum(buffer);
+            this.log(`Saved ${this.imageFilename(card.code)} (${buffer.length} bytes)`, 'debug', { code: card.code, bytes: buffer.length });
         } catch (e) {
-            this.log(`Image download error for ${card.code}: ${e.message}`, 'warn');
+            this.log(`Image download failed for ${card.code} (${e.kind}): ${e.message}`, 'warn', { code: card.code, kind: e.kind });
+            this.recordFailure(card.code, 'image', e);
+            return false;
         }
         
-        return false;
+        await this.postProcessImage(card, filepath);
+        return true;
+    }
+    
+    // images.quality pipeline: variants on disk, perceptual hash on the card.
+    // A processing failure is recorded but doesn't fail the download.
+    async postProcessImage(card, filepath) {
+        if (!this.imagePipeline) return;
+        
+        try {
+            const { hash, outputs } = await processImage(filepath, this.imagePipeline);
+            if (hash) card.imageHash = hash;
+            if (outputs.length > 0) {
+                this.log(`Processed ${path.basename(filepath)}: ${outputs.length} variant(s)`, 'debug', { code: card.code });
+            }
+        } catch (e) {
+            this.log(`Image processing failed for ${card.code}: ${e.message}`, 'warn', { code: card.code });
+            e.kind = 'permanent';
+            this.recordFailure(card.code, 'image-processing', e);
+        }
     }
     
     async downloadImages(cards) {
@@ -875,6 +1221,7 @@ class FFTCGScraper {
         for (let i = 0; i < cards.length; i += concurrent) {
             const batch = cards.slice(i, i + concurrent);
             const results = await Promise.all(batch.map(c => this.downloadImage(c)));
+            results.forEach(ok => this.progress?.image(ok));
             success += results.filter(r => r).length;
             fail += results.filter(r => !r).length;
             
@@ -883,6 +1230,114 @@ class FFTCGScraper {
         }
         
         this.log(`Downloaded ${success}/${cards.length} images`, 'success');
+        return { success, fail };
+    }
+    
+    // Size and SHA-256 of this run's downloads, checked later by --verify-images
+    async saveImageChecksums() {
+        if (Object.keys(this.imageChecksums).length === 0) return;
+        await writeChecksums(path.join(this.config.output.directory, this.config.output.imageSubdir), this.imageChecksums);
+        this.imageChecksums = {};
+    }
+    
+    // Upload this set's JSON, exports and images once everything is on disk.
+    // A failed upload is reported but doesn't fail the scrape.
+    async publishOutput() {
+        const dir = this.config.output.directory;
+        try {
+            const { uploaded, skipped } = await this.publisher.publishDirectory(dir, `${path.basename(path.resolve(dir))}/`);
+            this.log(`Published ${uploaded} file(s), ${skipped} unchanged`, 'success');
+        } catch (e) {
+            this.log(`Publishing failed: ${e.message}`, 'error');
+        }
+    }
+    
+    async loadPreviousScrape() {
+        const dir = this.config.output.directory;
+        const filename = this.config.output.jsonFilename;
+        
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(dir, filename), 'utf8'));
+            const failed = new Set((data.failures || []).filter(f => f.stage === 'details').map(f => f.code));
+            const cards = new Map((data.cards || []).filter(c => !failed.has(c.code)).map(c => [c.code, c]));
+            let codes = [...cards.keys()];
+            
+            try {
+                const stored = JSON.parse(await fs.readFile(path.join(dir, 'card_codes.json'), 'utf8'));
+                if (Array.isArray(stored.codes)) codes = [...new Set([...stored.codes, ...codes])];
+            } catch (e) {}
+            
+            this.log(`Update mode: ${cards.size} cards from previous scrape (${data.scraped_at})`, 'info');
+            return { cards, codes };
+        } catch (e) {
+            this.log(`Update mode: no usable ${filename} (${e.message}), scraping everything`, 'warn');
+            return null;
+        }
+    }
+    
+    async loadPartialScrape() {
+        const filename = this.config.output.jsonFilename.replace('.json', '_partial.json');
+        const filepath = path.join(this.config.output.directory, filename);
+        
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        } catch (e) {
+            return null;
+        }
+        
+        if (JSON.stringify(data.filters) !== JSON.stringify(this.config.filters)) {
+            this.log(`Ignoring ${filename}: saved with different filters ${JSON.stringify(data.filters)}`, 'warn');
+            return null;
+        }
+        
+        // Cards that failed last time are scraped again
+        const failed = new Set((data.failures || []).filter(f => f.stage === 'details').map(f => f.code));
+        const cards = new Map((data.cards || []).filter(c => c.code && !failed.has(c.code)).map(c => [c.code, c]));
+        this.log(`Found ${filename} from ${data.scraped_at} with ${cards.size} cards`, 'info');
+        return cards;
+    }
+    
+    pickVerifySample(codes) {
+        const shuffled = [...codes];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return new Set(shuffled.slice(0, this.config.scraping.verifySample));
+    }
+    
+    async writeChangelog(previous, verified) {
+        const current = new Set(this.cards.map(c => c.code));
+        const { added, changed } = diffCards([...previous.cards.values()], this.cards, { compare: verified });
+        const removed = previous.codes
+            .filter(code => !current.has(code))
+            .map(code => ({ code, name: previous.cards.get(code)?.name ?? null }));
+        
+        const entry = {
+            updated_at: new Date().toISOString(),
+            filters: this.config.filters,
+            verified: verified.size,
+            added: added.map(c => ({ code: c.code, name: c.name ?? null })),
+            removed,
+            changed,
+        };
+        
+        const filepath = path.join(this.config.output.directory, 'changelog.json');
+        let changelog = { entries: [] };
+        try {
+            changelog = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        } catch (e) {}
+        changelog.entries.push(entry);
+        await fs.writeFile(filepath, JSON.stringify(changelog, null, 2));
+        
+        this.log(`Changelog: +${added.length} added, -${removed.length} removed, ~${changed.length} changed (${verified.size} verified)`, 'success');
+        for (const c of changed) {
+            this.log(`  ${c.code} ${c.name}: ${c.changes.map(ch => ch.field).join(', ')}`, 'info', { code: c.code });
+        }
+        
+        this.changelog = entry;
+        return entry;
     }
     
     async saveJson(cards, partial = false) {
@@ -895,24 +1350,70 @@ class FFTCGScraper {
         
         const output = {
             scraped_at: new Date().toISOString(),
+            run_id: this.logger.runId,
             filters: this.config.filters,
             total: cards.length,
-            complete: !partial,
+            // Cards that still lack core fields after retries keep the set incomplete
+            complete: !partial && !this.failures.some(f => f.stage === 'details'),
+            failures: this.failures,
             cards,
         };
+        
+        const hasDetails = this.config.scraping.includeCardDetails || this.config.scraping.mode === 'api';
+        if (!partial && hasDetails) {
+            await this.recordHistory(filepath, cards, output.scraped_at);
+        }
+        
         await fs.writeFile(filepath, JSON.stringify(output, null, 2));
         
         if (!partial) {
-            this.log(`Saved ${cards.length} cards to ${filepath}`, 'success');
+            this.log(`Saved ${cards.length} cards to ${filepath}`, output.complete ? 'success' : 'warn');
+            if (!output.complete) {
+                this.log(`Marked incomplete: ${this.failures.filter(f => f.stage === 'details').length} card(s) failed`, 'warn');
+            }
             
             const partialPath = path.join(this.config.output.directory, 
                 this.config.output.jsonFilename.replace('.json', '_partial.json'));
             try {
                 await fs.unlink(partialPath);
             } catch (e) {}
+            
+            await this.saveDelimited(filepath, cards);
         }
     }
     
+    async saveDelimited(jsonPath, cards) {
+        const { exportFormats = [], exportColumns } = this.config.output;
+        for (const format of exportFormats.filter(f => DELIMITERS[f])) {
+            const filepath = jsonPath.replace(/\.json$/, `.${format}`);
+            await writeDelimited(filepath, cards, { format, columns: exportColumns || undefined });
+            this.log(`Saved ${format.toUpperCase()}: ${filepath}`, 'success');
+        }
+    }
+    
+    async recordHistory(filepath, cards, timestamp) {
+        let previous;
+        try {
+            previous = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        } catch (e) {
+            return 0;
+        }
+        
+        // A card whose details failed (now or in the file being replaced) is an emptyCard
+        // placeholder, not errata: keep its history as it was
+        const failed = new Set([...(previous.failures || []), ...this.failures]
+            .filter(f => f.stage === 'details').map(f => f.code));
+        const scraped = card => !failed.has(card.code);
+        const { changed } = diffCards((previous.cards || []).filter(scraped), cards.filter(scraped));
+        const historyPath = path.join(this.config.output.directory, HISTORY_FILENAME);
+        const recorded = await appendHistory(historyPath, changed, timestamp);
+        
+        if (recorded > 0) {
+            this.log(`History: ${recorded} field change(s) on ${changed.length} card(s) recorded in ${historyPath}`, 'info');
+        }
+        return recorded;
+    }
+    
     async saveIncremental() {
         if (this.cards.length > 0) {
             await this.saveJson(this.cards, true);
@@ -935,24 +1436,51 @@ class FFTCGScraper {
         this.log(`Sets: ${JSON.stringify(group('set'))}`, 'info');
         this.log(`Rarities: ${JSON.stringify(group('rarity'))}`, 'info');
         this.log(`Types: ${JSON.stringify(group('type'))}`, 'info');
+        
+        if (this.failures.length > 0) {
+            const byKind = {};
+            for (const f of this.failures) {
+                byKind[`${f.stage}/${f.kind}`] = (byKind[`${f.stage}/${f.kind}`] || 0) + 1;
+            }
+            this.log(`Failures: ${JSON.stringify(byKind)}`, 'warn');
+        }
     }
     
     async run() {
         const startTime = Date.now();
         
         try {
+            this.phase = 'init';
             await this.init();
+            
+            const previous = this.config.scraping.update ? await this.loadPreviousScrape() : null;
+            
+            this.phase = 'search';
             await this.navigateToCardBrowser();
+            
+            // API mode: applyFilters captures the JSON behind the Search click instead of opening every card
             await this.applyFilters();
+            const apiCards = this.searchResponse ? await this.searchResponse : null;
             
-            const cardCount = await this.loadAllCards();
+            if (this.config.scraping.mode === 'api' && !apiCards) {
+                this.log('API mode unavailable, falling back to DOM scraping', 'warn');
+            }
+            
+            this.phase = 'codes';
+            let cardCodes;
+            if (apiCards) {
+                cardCodes = apiCards.map(c => c.code);
+            } else {
+                const cardCount = await this.loadAllCards();
+                cardCodes = cardCount > 0 ? await this.scrapeCardCodes() : [];
+            }
             
-            if (cardCount === 0) {
+            if (cardCodes.length === 0) {
                 this.log('No cards to scrape!', 'error');
                 return [];
             }
             
-            const cardCodes = await this.scrapeCardCodes();
+            this.progress?.total(cardCodes.length);
             
             const codesPath = path.join(this.config.output.directory, 'card_codes.json');
             await fs.mkdir(this.config.output.directory, { recursive: true });
@@ -964,63 +1492,119 @@ class FFTCGScraper {
             }, null, 2));
             this.log(`Card codes saved to ${codesPath}`, 'success');
             
-            this.log(`Scraping details for ${cardCodes.length} cards...`, 'info');
+            // Update mode: reuse previous details, re-scrape only new codes plus a verification sample
+            let verified = new Set();
+            if (previous) {
+                const existing = cardCodes.filter(code => previous.cards.has(code));
+                verified = apiCards ? new Set(existing) : this.pickVerifySample(existing);
+                this.log(`Update mode: ${cardCodes.length - existing.length} new codes, ${verified.size} existing to verify`, 'info');
+            }
             
-            if (this.config.scraping.includeCardDetails) {
+            this.phase = 'details';
+            if (apiCards) {
+                this.cards = apiCards;
+                this.progress?.card(apiCards.length, { timed: false });
+                for (const card of apiCards) {
+                    const missing = this.missingCoreFields(card);
+                    if (missing.length > 0) {
+                        this.recordFailure(card.code, 'details', new ScrapeError(`missing ${missing.join(', ')}`, 'missing'));
+                    }
+                }
+                if (this.config.output.downloadImages) {
+                    this.phase = 'images';
+                    await this.downloadImages(this.cards);
+                }
+            } else if (this.config.scraping.includeCardDetails) {
+                // Resume: keep cards from a partial file whose codes are still in the list
+                const partial = this.config.scraping.resume ? await this.loadPartialScrape() : null;
+                if (partial) {
+                    const current = new Set(cardCodes);
+                    const stale = [...partial.keys()].filter(code => !current.has(code));
+                    if (stale.length > 0) {
+                        this.log(`Dropping ${stale.length} partial card(s) no longer listed: ${stale.join(', ')}`, 'warn');
+                    }
+                    this.cards = [...partial.values()].filter(c => current.has(c.code));
+                    this.log(`Resuming: ${this.cards.length}/${cardCodes.length} cards already scraped`, 'success');
+                    this.progress?.card(this.cards.length, { timed: false });
+                }
+                
+                const done = new Set(this.cards.map(c => c.code));
+                const pending = cardCodes.filter(code => !done.has(code));
+                this.log(`Scraping details for ${pending.length} cards...`, 'info');
+                
                 const SAVE_INTERVAL = 10;
                 let imagesDownloaded = 0;
                 
-                for (let i = 0; i < cardCodes.length; i++) {
-                    const card = await this.scrapeCardDetails(cardCodes[i]);
+                for (let i = 0; i < pending.length; i++) {
+                    const reuse = previous?.cards.has(pending[i]) && !verified.has(pending[i]);
+                    const card = reuse ? previous.cards.get(pending[i]) : await this.scrapeCardDetails(pending[i]);
                     this.cards.push(card);
+                    this.progress?.card(1, { timed: !reuse });
                     
                     if (this.config.output.downloadImages) {
                         const imgResult = await this.downloadImage(card);
+                        this.progress?.image(imgResult);
                         if (imgResult) imagesDownloaded++;
                     }
                     
-                    if ((i + 1) % 20 === 0 || i === cardCodes.length - 1) {
+                    if ((i + 1) % 20 === 0 || i === pending.length - 1) {
                         const imgStatus = this.config.output.downloadImages ? `, ${imagesDownloaded} images` : '';
-                        this.log(`Progress: ${i + 1}/${cardCodes.length} cards${imgStatus}`, 'info');
+                        this.log(`Progress: ${this.cards.length}/${cardCodes.length} cards${imgStatus}`, 'info');
                     }
                     
                     if ((i + 1) % SAVE_INTERVAL === 0) {
                         await this.saveIncremental();
                         this.log(`Progress saved (${this.cards.length} cards)`, 'debug');
                     }
-                    
-                    await this.sleep(this.config.scraping.delayBetweenCards);
                 }
                 
                 if (this.config.output.downloadImages) {
-                    this.log(`Images downloaded incrementally: ${imagesDownloaded}/${this.cards.length}`, 'success');
+                    this.log(`Images downloaded incrementally: ${imagesDownloaded}/${pending.length}`, 'success');
                 }
+                
+                // Resumed cards came first; restore the site's order
+                const order = new Map(cardCodes.map((code, i) => [code, i]));
+                this.cards.sort((a, b) => order.get(a.code) - order.get(b.code));
             } else {
                 this.cards = cardCodes.map(code => ({
                     code,
-                    imageUrl: `https://fftcg.cdn.sewest.net/images/cards/full/${code}_eg.jpg`,
+                    imageUrl: this.cardImageUrl(code),
                 }));
+                this.progress?.card(this.cards.length, { timed: false });
+                // Before saveJson, so imageHash makes it into the set file
+                if (this.config.output.downloadImages) {
+                    this.phase = 'images';
+                    await this.downloadImages(this.cards);
+                }
             }
             
+            this.phase = 'save';
             this.printSummary();
             
-            if (this.config.output.saveJson) await this.saveJson(this.cards);
+            if (previous && (apiCards || this.config.scraping.includeCardDetails)) {
+                await this.writeChangelog(previous, verified);
+            }
             
-            if (this.config.output.downloadImages && !this.config.scraping.includeCardDetails) {
-                await this.downloadImages(this.cards);
+            if (this.config.output.saveJson) await this.saveJson(this.cards);
+            await this.saveImageChecksums();
+            if (this.publisher && this.config.output.saveJson) {
+                this.phase = 'publish';
+                await this.publishOutput();
             }
             
+            this.phase = null;
             this.log(`Complete in ${((Date.now() - startTime) / 1000).toFixed(1)}s`, 'success');
             return this.cards;
             
         } catch (error) {
-            this.log(`FATAL: ${error.message}`, 'error');
-            console.error(error.stack);
+            this.log(`FATAL: ${error.message}`, 'error', { stack: error.stack });
+            this.log(error.stack, 'debug');
             
             if (this.cards.length > 0) {
                 this.log(`Attempting to save ${this.cards.length} cards before exit...`, 'warn');
                 try {
                     await this.saveJson(this.cards, true);
+                    await this.saveImageChecksums();
                     this.log(`Emergency save complete: ${this.cards.length} cards saved to partial file`, 'success');
                 } catch (saveError) {
                     this.log(`Could not save: ${saveError.message}`, 'error');
@@ -1038,27 +1622,201 @@ class FFTCGScraper {
 // UTILITIES
 // =============================================================================
 
-async function setAlreadyScraped(folder, filename) {
-    const filepath = path.join('./card_results', folder, filename);
+// Status output of the commands below; main() replaces it with one built from
+// config.logging that carries the run ID
+let logger = createLogger({ plain: true });
+
+/**
+ * scraping.delayBetweenCards (ms after each card) was replaced by rateLimit. A delay
+ * still in a config caps rateLimit.site.rate at one request per delay - never raises it.
+ * @param {Function} warn - (message) for the deprecation warning
+ * @returns {Object} The config without delayBetweenCards
+ */
+function migrateCardDelay(config, warn) {
+    const { delayBetweenCards: delay, ...scraping } = config.scraping || {};
+    if (delay === undefined || delay === null) return config;
+    
+    const site = { ...DEFAULT_CONFIG.rateLimit.site, ...config.rateLimit?.site };
+    const rate = delay > 0 ? Math.min(site.rate, 1000 / delay) : site.rate;
+    warn(`scraping.delayBetweenCards is deprecated - using rateLimit.site.rate ${parseFloat(rate.toFixed(2))}/s. ` +
+        'Set rateLimit.site in your config instead.');
+    return { ...config, scraping, rateLimit: { ...config.rateLimit, site: { ...site, rate } } };
+}
+
+// One limiter for all scrapers of a command, so the budgets and the request cap cover the whole run
+function runLimiter(rateLimit = {}) {
+    return createRateLimiter({
+        ...DEFAULT_CONFIG.rateLimit,
+        ...rateLimit,
+        log: (message, level) => logger.log(level, `${level === 'error' ? '🛑' : '⏸️ '} ${message}`),
+    });
+}
+
+function formatRequestStats({ site, cdn }) {
+    const throttled = site.throttled + cdn.throttled;
+    const waited = site.waited_seconds + cdn.waited_seconds;
+    return `📡 Requests: ${site.requests} site, ${cdn.requests} CDN` +
+        `${throttled ? `, ${throttled} throttled` : ''}, ${waited.toFixed(1)}s spent waiting for the rate limit`;
+}
+
+// Set file name per language: OpusI_cards.json (English), OpusI_cards_de.json, ...
+function setFilename(folder, language = 'en') {
+    return language === 'en' ? `${folder}_cards.json` : `${folder}_cards_${language}.json`;
+}
+
+// The filters besides `sets` as sorted, non-empty value lists, for comparing what two set files hold
+function cardFilterKey(filters = {}) {
+    const entries = Object.entries(filters || {})
+        .filter(([key]) => key !== 'sets')
+        .map(([key, value]) => [key, (Array.isArray(value) ? value : [value])
+            .filter(v => v !== null && v !== undefined && v !== '')
+            .map(v => String(v).toLowerCase())
+            .sort()])
+        .filter(([, values]) => values.length > 0)
+        .sort(([a], [b]) => a.localeCompare(b));
+    return JSON.stringify(entries);
+}
+
+/**
+ * Whether a set file is complete for these filters. A file scraped with other
+ * element/type/... filters only holds part of the set, so it doesn't count.
+ * @returns {{exists: boolean, count?: number, filters?: Object}} filters: what a mismatching file was saved with
+ */
+async function setAlreadyScraped(folder, filename, { filters = {}, rootDir = './card_results' } = {}) {
+    const filepath = path.join(rootDir, folder, filename);
     try {
         const content = await fs.readFile(filepath, 'utf8');
         const data = JSON.parse(content);
-        if (data.complete && data.cards && data.cards.length > 0) {
-            return { exists: true, count: data.cards.length };
+        if (!data.complete || !data.cards || data.cards.length === 0) {
+            return { exists: false };
         }
-        return { exists: false };
+        if (cardFilterKey(data.filters) !== cardFilterKey(filters)) {
+            return { exists: false, filters: data.filters };
+        }
+        return { exists: true, count: data.cards.length };
     } catch (e) {
         return { exists: false };
     }
 }
 
-async function combineAllSets() {
-    console.log('\n📦 Combining all sets into single JSON...');
+const SETS_MANIFEST_PATH = path.join('./card_results', SETS_MANIFEST_FILENAME);
+
+/**
+ * Every set in release order: the cached sets manifest (including sets no
+ * longer on the site, whose data is still on disk), or ALL_SETS without one.
+ */
+async function knownSets() {
+    const manifest = await loadSetsManifest(SETS_MANIFEST_PATH);
+    return manifest ? manifestSetNames(manifest, { includeRemoved: true }) : ALL_SETS;
+}
+
+/**
+ * Read the live set/category lists, update sets_manifest.json and warn about changes.
+ * Falls back to the cached manifest (or null) when the site can't be read.
+ * @param {Object} options
+ * @param {Browser} options.browser - Shared browser (default: launch one)
+ * @param {Object} options.scraping - Scraper settings (baseUrl, language, headless, ...)
+ * @returns {Promise<Object|null>} The manifest
+ */
+async function discoverSets({ browser = null, scraping = {}, limiter = null } = {}) {
+    logger.info('\n🔎 Discovering sets...');
+    const previous = await loadSetsManifest(SETS_MANIFEST_PATH);
+    const scraper = new FFTCGScraper({
+        output: { directory: './card_results', downloadImages: false },
+        scraping,
+        logging: { file: null },
+    }, { browser, logPrefix: 'sets', logger, limiter });
+    
+    let discovered;
+    try {
+        discovered = await scraper.discoverSets();
+    } catch (e) {
+        logger.warn(`⚠️  Set discovery failed (${e.message}) - using ` +
+            (previous ? `the cached sets manifest (v${previous.version})` : 'the built-in set list'));
+        return previous;
+    }
+    
+    const source = `${scraper.config.scraping.baseUrl}/${scraper.config.scraping.language}/card-browser`;
+    const { manifest, changed, sets, categories } = updateSetsManifest(previous, discovered, { seedOrder: ALL_SETS, source });
+    const against = previous ? `manifest v${previous.version}` : 'the built-in set list';
+    
+    for (const name of sets.added) logger.warn(`🆕 New set on the site (not in ${against}): ${name}`);
+    for (const name of sets.returned) logger.info(`↩️  Set is back on the site: ${name}`);
+    for (const name of sets.removed) logger.warn(`⚠️  Set no longer on the site: ${name} (scraped data is kept)`);
+    for (const name of categories.added) logger.info(`🆕 New category on the site: ${name}`);
+    for (const name of categories.removed) logger.warn(`⚠️  Category no longer on the site: ${name}`);
+    
+    await saveSetsManifest(SETS_MANIFEST_PATH, manifest);
+    logger.info(`📋 Sets manifest v${manifest.version}: ${manifestSetNames(manifest).length} sets, ` +
+        `${manifest.categories.filter(c => c.available).length} categories${changed ? ' (updated)' : ''} -> ${SETS_MANIFEST_PATH}`);
+    
+    return manifest;
+}
+
+/**
+ * Merge every language's set JSONs into all_cards_multilang.json: English cards
+ * with the other languages' text under `translations`.
+ * @param {Object} options
+ * @param {Object} options.publisher - Also upload the merged file (lib/publish)
+ */
+async function mergeAllTranslations({ publisher = null } = {}) {
+    logger.info('\n🌐 Merging translations...');
+    
+    const base = [];
+    const translated = {};
+    
+    for (const setName of await knownSets()) {
+        const folder = setName.replace(/[^a-zA-Z0-9]/g, '');
+        for (const language of Object.keys(LOCALES)) {
+            try {
+                const data = JSON.parse(await fs.readFile(path.join('./card_results', folder, setFilename(folder, language)), 'utf8'));
+                if (!data.cards?.length) continue;
+                if (language === 'en') base.push(...data.cards);
+                else (translated[language] || (translated[language] = [])).push(...data.cards);
+                logger.success(`  ✅ ${setName} [${language}]: ${data.cards.length} cards`, { set: setName, language });
+            } catch (e) {}
+        }
+    }
+    
+    if (base.length === 0 && Object.keys(translated).length === 0) {
+        logger.error('❌ No cards found to merge');
+        return null;
+    }
+    
+    const cards = mergeTranslations(base, translated);
+    const merged = {
+        merged_at: new Date().toISOString(),
+        languages: [...(base.length > 0 ? ['en'] : []), ...Object.keys(translated)],
+        total: cards.length,
+        cards,
+    };
+    
+    const outputPath = './card_results/all_cards_multilang.json';
+    await fs.writeFile(outputPath, JSON.stringify(merged, null, 2));
+    logger.success(`\n✅ Merged ${cards.length} cards in ${merged.languages.join(', ')}`);
+    logger.info(`📄 Saved to: ${outputPath}`);
+    
+    if (publisher) await publisher.publishFile(outputPath, path.basename(outputPath));
+    
+    return merged;
+}
+
+/**
+ * Merge every set JSON into all_cards_combined.json.
+ * @param {Object} options
+ * @param {string[]} options.exports - Extra formats to write alongside (see lib/cli.js EXPORT_FORMATS)
+ * @param {string[]} options.columns - CSV/TSV columns in order (default lib/csv DEFAULT_COLUMNS)
+ * @param {string} options.cardBack - Card back image URL for the Tabletop Simulator export
+ * @param {Object} options.publisher - Also upload the combined files (lib/publish)
+ */
+async function combineAllSets({ exports = [], columns = null, cardBack = '', publisher = null } = {}) {
+    logger.info('\n📦 Combining all sets into single JSON...');
     
     const allCards = [];
     const setStats = [];
+    const setOrder = await knownSets();
     
-    for (const setName of ALL_SETS) {
+    for (const setName of setOrder) {
         const folder = setName.replace(/[^a-zA-Z0-9]/g, '');
         const filename = `${folder}_cards.json`;
         const filepath = path.join('./card_results', folder, filename);
@@ -1070,18 +1828,25 @@ async function combineAllSets() {
             if (data.cards && data.cards.length > 0) {
                 allCards.push(...data.cards);
                 setStats.push({ set: setName, count: data.cards.length });
-                console.log(`  ✅ ${setName}: ${data.cards.length} cards`);
+                logger.success(`  ✅ ${setName}: ${data.cards.length} cards`, { set: setName });
             }
         } catch (e) {
-            console.log(`  ⚠️  ${setName}: not found or invalid`);
+            logger.warn(`  ⚠️  ${setName}: not found or invalid`, { set: setName });
         }
     }
     
     if (allCards.length === 0) {
-        console.log('❌ No cards found to combine');
+        logger.error('❌ No cards found to combine');
         return null;
     }
     
+    // Reprints and alternate versions share one canonical identity
+    const canonical = canonicalize(allCards, { setOrder });
+    for (const card of allCards) {
+        const entry = canonical.byCode.get(card.code?.toUpperCase());
+        if (entry) card.canonicalId = entry.id;
+    }
+    
     const combined = {
         scraped_at: new Date().toISOString(),
         total: allCards.length,
@@ -1091,108 +1856,557 @@ async function combineAllSets() {
     
     const outputPath = './card_results/all_cards_combined.json';
     await fs.writeFile(outputPath, JSON.stringify(combined, null, 2));
-    console.log(`\n✅ Combined ${allCards.length} cards from ${setStats.length} sets`);
-    console.log(`📄 Saved to: ${outputPath}`);
+    const written = [outputPath];
+    logger.success(`\n✅ Combined ${allCards.length} cards from ${setStats.length} sets`);
+    logger.info(`📄 Saved to: ${outputPath}`);
+    
+    const canonicalPath = './card_results/all_cards_canonical.json';
+    await fs.writeFile(canonicalPath, JSON.stringify({
+        generated_at: combined.scraped_at,
+        total: canonical.cards.length,
+        printings: canonical.printings,
+        cards: canonical.cards,
+        codes: Object.fromEntries([...canonical.byCode].map(([code, entry]) => [code, entry.id])),
+    }, null, 2));
+    written.push(canonicalPath);
+    logger.info(`🧬 Canonical: ${canonical.cards.length} unique cards, ${canonical.printings - canonical.cards.length} reprint(s) -> ${canonicalPath}`);
+    
+    if (exports.includes('sqlite')) {
+        const dbPath = './card_results/all_cards.sqlite';
+        const { cards } = await exportSqlite(allCards, dbPath, { sets: setStats.map(s => s.set) });
+        written.push(dbPath);
+        logger.info(`🗄️  SQLite: ${cards} cards written to ${dbPath}`);
+    }
+    
+    for (const format of exports.filter(f => DELIMITERS[f])) {
+        const filepath = await writeDelimited(outputPath.replace(/\.json$/, `.${format}`), allCards,
+            { format, columns: columns || undefined });
+        written.push(filepath);
+        logger.info(`📊 ${format.toUpperCase()}: ${filepath}`);
+    }
+    
+    if (exports.includes('tts')) {
+        const seen = new Set();
+        const entries = allCards.filter(c => !seen.has(c.code) && seen.add(c.code)).map(card => ({ count: 1, card }));
+        const ttsPath = './card_results/all_cards_tts.json';
+        await fs.writeFile(ttsPath, JSON.stringify(toTabletopSimulator(entries, { name: 'FFTCG - All Cards', backUrl: cardBack }), null, 2));
+        written.push(ttsPath);
+        logger.info(`🎲 Tabletop Simulator: ${ttsPath}`);
+    }
+    
+    if (exports.includes('cockatrice')) {
+        const xmlPath = './card_results/all_cards_cockatrice.xml';
+        await fs.writeFile(xmlPath, toCockatrice(allCards));
+        written.push(xmlPath);
+        logger.info(`🃏 Cockatrice: ${xmlPath}`);
+    }
+    
+    if (exports.includes('images')) {
+        const manifest = await imageManifest(allCards, { rootDir: './card_results' });
+        const manifestPath = './card_results/image_manifest.json';
+        await fs.writeFile(manifestPath, JSON.stringify({ generated_at: new Date().toISOString(), ...manifest }, null, 2));
+        written.push(manifestPath);
+        logger.info(`🖼️  Image manifest: ${manifest.total} cards on ${manifest.sheets.length} sheet(s), ` +
+            `${manifest.missing} without a local image -> ${manifestPath}`);
+    }
+    
+    if (publisher) {
+        const uploaded = [];
+        for (const file of written) {
+            if (await publisher.publishFile(file, path.basename(file))) uploaded.push(path.basename(file));
+        }
+        logger.info(`☁️  Published ${uploaded.length}/${written.length} combined file(s)${uploaded.length ? `: ${uploaded.join(', ')}` : ''}`);
+    }
     
     return combined;
 }
 
+/**
+ * Upload every set folder under ./card_results (unchanged files are skipped by hash).
+ */
+async function publishSetFolders(publisher) {
+    for (const setName of await knownSets()) {
+        const folder = setName.replace(/[^a-zA-Z0-9]/g, '');
+        try {
+            await fs.access(path.join('./card_results', folder));
+        } catch (e) {
+            continue;
+        }
+        const { uploaded, skipped } = await publisher.publishDirectory(path.join('./card_results', folder), `${folder}/`);
+        logger.info(`  ☁️  ${setName}: ${uploaded} uploaded, ${skipped} unchanged`, { set: setName });
+    }
+}
+
+/**
+ * Write the bucket's public manifest and print the publish totals.
+ */
+async function finishPublishing(publisher) {
+    const { url, total } = await publisher.writeManifest();
+    const { uploaded, skipped, bytes } = publisher.stats;
+    logger.info(`\n☁️  Published: ${uploaded} uploaded (${(bytes / 1024 / 1024).toFixed(1)} MB), ${skipped} unchanged`);
+    logger.info(`📄 Manifest (${total} files): ${url}`);
+}
+
+/**
+ * Check every set's images/ directory and re-download the bad files.
+ * Files without a recorded checksum get one once they pass the other checks.
+ * @param {string} rootDir - Batch output root (default ./card_results)
+ * @param {Object} options
+ * @param {boolean} options.repair - Re-download bad files (default true)
+ * @param {Object} options.config - Scraper config for re-downloads (imageBaseUrl, images.concurrent, ...)
+ * @returns {Promise<Object>} Report, also written to <rootDir>/image_verification.json
+ */
+async function verifyImages(rootDir = './card_results', { repair = true, config = {} } = {}) {
+    logger.info(`\n🔎 Verifying images in ${rootDir}...`);
+    
+    const imageSubdir = config.output?.imageSubdir || DEFAULT_CONFIG.output.imageSubdir;
+    const limiter = runLimiter(config.rateLimit);
+    const report = {
+        verified_at: new Date().toISOString(),
+        totals: { sets: 0, checked: 0, ok: 0, bad: 0, repaired: 0, failed: 0 },
+        sets: [],
+    };
+    
+    let folders = [];
+    try {
+        folders = (await fs.readdir(rootDir, { withFileTypes: true })).filter(e => e.isDirectory()).map(e => e.name).sort();
+    } catch (e) {}
+    
+    for (const folder of folders) {
+        const imageDir = path.join(rootDir, folder, imageSubdir);
+        let files;
+        try {
+            files = (await fs.readdir(imageDir)).filter(f => /\.jpe?g$/i.test(f)).sort();
+        } catch (e) {
+            continue;
+        }
+        
+        const checksums = await readChecksums(imageDir);
+        const recordNew = {};
+        const bad = [];
+        for (const file of files) {
+            const result = await inspectImage(path.join(imageDir, file), checksums[file]);
+            if (result.ok) {
+                if (!checksums[file]) recordNew[file] = { bytes: result.bytes, sha256: result.sha256 };
+            } else {
+                bad.push({ file, problems: result.problems });
+            }
+        }
+        
+        if (repair && bad.length > 0) {
+            // One scraper per language, so the pool uses the right URL suffix and filename
+            const byLanguage = {};
+            for (const entry of bad) {
+                const [, code, language = 'en'] = entry.file.match(/^(.+?)(?:_([a-z]{2}))?\.jpe?g$/i);
+                entry.code = code;
+                (byLanguage[language] || (byLanguage[language] = [])).push(entry);
+            }
+            
+            for (const [language, entries] of Object.entries(byLanguage)) {
+                const scraper = new FFTCGScraper({
+                    ...config,
+                    output: { ...config.output, directory: path.join(rootDir, folder), imageSubdir },
+                    scraping: { ...config.scraping, language },
+                }, { logPrefix: folder, logger, limiter });
+                
+                // Prefer the URL the scrape recorded; fall back to the CDN pattern
+                const urls = new Map();
+                try {
+                    const data = JSON.parse(await fs.readFile(path.join(rootDir, folder, setFilename(folder, language)), 'utf8'));
+                    for (const card of data.cards || []) urls.set(card.code, card.imageUrl);
+                } catch (e) {}
+                
+                for (const entry of entries) await fs.rm(path.join(imageDir, entry.file), { force: true });
+                await scraper.downloadImages(entries.map(e => ({ code: e.code, imageUrl: urls.get(e.code) || scraper.cardImageUrl(e.code) })));
+                await scraper.saveImageChecksums();
+                
+                const recorded = await readChecksums(imageDir);
+                for (const entry of entries) {
+                    entry.repaired = await inspectImage(path.join(imageDir, entry.file), recorded[entry.file])
+                        .then(r => r.ok, () => false);
+                }
+            }
+        }
+        
+        if (Object.keys(recordNew).length > 0) await writeChecksums(imageDir, recordNew);
+        
+        const repaired = bad.filter(b => b.repaired).length;
+        report.sets.push({ folder, checked: files.length, ok: files.length - bad.length, bad });
+        report.totals.sets++;
+        report.totals.checked += files.length;
+        report.totals.ok += files.length - bad.length;
+        report.totals.bad += bad.length;
+        report.totals.repaired += repaired;
+        report.totals.failed += bad.length - repaired;
+        
+        const status = bad.length === 0 ? '✅' : bad.length === repaired ? '🔧' : '❌';
+        logger.log(bad.length === repaired ? 'info' : 'warn', `  ${status} ${folder}: ${files.length} checked, ${bad.length} bad` +
+            (repair && bad.length > 0 ? `, ${repaired} repaired` : ''), { set: folder });
+        for (const entry of bad.filter(b => !b.repaired)) {
+            logger.warn(`      ${entry.file}: ${entry.problems.map(p => `${p.check} (${p.message})`).join(', ')}`, { set: folder, file: entry.file });
+        }
+    }
+    
+    const { sets, checked, ok, bad, repaired, failed } = report.totals;
+    logger.info(`\n📊 ${checked} images in ${sets} sets: ${ok} ok, ${bad} bad` +
+        (repair ? `, ${repaired} repaired, ${failed} still bad` : ''));
+    
+    await fs.mkdir(rootDir, { recursive: true });
+    const reportPath = path.join(rootDir, 'image_verification.json');
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+    logger.info(`📄 Report saved to: ${reportPath}`);
+    
+    return report;
+}
+
 // =============================================================================
 // CLI
 // =============================================================================
 
-async function main() {
-    let config = {};
+// --publish: uploader for the S3-compatible bucket configured in .env
+function cliPublisher(options, config) {
+    if (!options.publish) return null;
+    let publisher;
+    try {
+        publisher = createPublisher({ ...publishConfigFromEnv(), concurrent: config.images.concurrent });
+    } catch (e) {
+        logger.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+    logger.info(`☁️  Publishing to ${publisher.url('')}`);
+    return publisher;
+}
+
+// A config key set by the config file, environment or a flag rather than DEFAULT_CONFIG
+const configured = (sources, key) => Boolean(sources[key]) && sources[key] !== 'default';
+
+/**
+ * Command handlers: (cli, config, sources) with cli from lib/cli parseCli and
+ * the resolved config.
+ */
+const COMMAND_HANDLERS = {
+    // history <code>: print a card's recorded changes
+    async history({ args }, config, sources) {
+        const [code] = args;
+        const roots = ['./card_results'];
+        if (configured(sources, 'output.directory')) roots.push(config.output.directory);
+        const timeline = [];
+        for (const root of new Set(roots)) timeline.push(...await cardTimeline(code, root));
+        printTimeline(code, timeline.sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+    },
+    
+    // validate [files...]: check scraped JSON against the schema and domain rules
+    async validate({ args }, config, sources) {
+        const root = configured(sources, 'output.directory') ? config.output.directory : './card_results';
+        const files = args.length > 0 ? args : await findCardFiles(root);
+        if (files.length === 0) {
+            logger.error(`❌ No card files found in ${root}`);
+            process.exit(1);
+        }
+        
+        const results = [];
+        for (const file of files) results.push(await validateFile(file));
+        const report = buildReport(results);
+        const text = formatReport(report);
+        console.log(`\n${text}`);
+        
+        await fs.mkdir(root, { recursive: true });
+        await fs.writeFile(path.join(root, 'validation_report.json'), JSON.stringify(report, null, 2));
+        await fs.writeFile(path.join(root, 'validation_report.txt'), text + '\n');
+        logger.info(`\n📄 Report saved to: ${path.join(root, 'validation_report.{json,txt}')}`);
+        
+        if (report.totals.errors > 0) process.exit(1);
+    },
     
-    const configIdx = process.argv.indexOf('--config');
-    if (configIdx !== -1 && process.argv[configIdx + 1]) {
+    // verify-images [root]: check every set's images/ and re-download bad files
+    async 'verify-images'({ args, options }, config) {
+        const report = await verifyImages(args[0] || './card_results', { repair: !options['no-repair'], config });
+        if (report.totals.failed > 0) process.exit(1);
+    },
+    
+    // query [file]: run filters against the combined JSON instead of the site
+    async query({ args, options }, config) {
+        const source = args[0] || './card_results/all_cards_combined.json';
+        const { filters } = config;
+        
+        let data;
         try {
-            config = JSON.parse(await fs.readFile(process.argv[configIdx + 1], 'utf8'));
-            console.log(`📄 Loaded config: ${process.argv[configIdx + 1]}`);
+            data = JSON.parse(await fs.readFile(source, 'utf8'));
         } catch (e) {
-            console.error(`❌ Config error: ${e.message}`);
+            logger.error(`❌ Can't read ${source} (${e.message}) - run combine first`);
             process.exit(1);
         }
-    }
+        
+        const cards = queryCards(data.cards || [], filters, FILTER_SELECTORS);
+        if (options.json) {
+            const applied = Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== null && v !== undefined));
+            console.log(JSON.stringify({ total: cards.length, filters: applied, cards }, null, 2));
+        } else {
+            console.log(formatTable(cards));
+            console.log(`\n🔎 ${cards.length} card(s) of ${(data.cards || []).length}`);
+        }
+    },
     
-    // --combine flag: just combine existing JSONs without scraping
-    if (process.argv.includes('--combine')) {
-        await combineAllSets();
-        return;
-    }
+    // serve [dir|file]: REST API over the scraped cards
+    async serve({ args, options }) {
+        const source = args[0] || './card_results';
+        
+        let server;
+        try {
+            server = await startCardServer({
+                source,
+                selectors: FILTER_SELECTORS,
+                setOrder: await knownSets(),
+                port: options.port ?? 3000,
+                host: options.host || '127.0.0.1',
+                log: (message, level) => logger.log(level, `${level === 'warn' ? '⚠️ ' : '🔄'} ${message}`),
+            });
+        } catch (e) {
+            logger.error(`❌ Can't serve ${source}: ${e.message}`);
+            process.exit(1);
+        }
+        
+        logger.info(`🌐 Card API at ${server.url} (/cards, /cards/:code, /sets, /images/:code) - Ctrl+C to stop`);
+        process.on('SIGINT', async () => {
+            await server.close();
+            process.exit(0);
+        });
+    },
     
-    // --all flag: scrape every set sequentially
-    if (process.argv.includes('--all')) {
-        const downloadImages = process.argv.includes('--images');
-        const headless = !process.argv.includes('--visible');
-        const force = process.argv.includes('--force');
-        const startFrom = process.argv.find(a => a.startsWith('--start='))?.split('=')[1];
+    // import-deck <file>: resolve a plain-text decklist against the combined database
+    async 'import-deck'({ args, options }) {
+        const [deckPath] = args;
+        
+        let combined;
+        try {
+            combined = JSON.parse(await fs.readFile('./card_results/all_cards_combined.json', 'utf8'));
+        } catch (e) {
+            logger.error(`❌ Card database not found (${e.message}) - run combine first`);
+            process.exit(1);
+        }
         
-        let setsToScrape = [...ALL_SETS];
+        const { entries, errors } = parseDecklist(await fs.readFile(deckPath, 'utf8'));
+        const deck = resolveDecklist(entries, combined.cards || []);
+        
+        console.log(`\n🃏 ${path.basename(deckPath)}: ${deck.total} card(s), ${deck.cards.length} unique\n`);
+        for (const { count, code, card } of deck.cards) {
+            console.log(`   ${count}x ${code.padEnd(9)} ${card.name} (${card.element}, ${card.type})`);
+        }
+        for (const entry of deck.unknown) {
+            console.log(`   ❌ Line ${entry.line}: unknown code ${entry.code}`);
+        }
+        for (const error of errors) {
+            console.log(`   ⚠️  Line ${error.line}: can't read "${error.text}"`);
+        }
+        
+        if ((options.export || []).includes('tts')) {
+            const ttsPath = deckPath.replace(/(\.[^./\\]+)?$/, '_tts.json');
+            const name = path.basename(deckPath).replace(/\.[^.]+$/, '');
+            const backUrl = options['card-back'] || '';
+            await fs.writeFile(ttsPath, JSON.stringify(toTabletopSimulator(deck.cards, { name, backUrl }), null, 2));
+            logger.info(`\n🎲 Tabletop Simulator deck: ${ttsPath}`);
+        }
+        
+        if (deck.unknown.length > 0 || errors.length > 0) process.exit(1);
+    },
+    
+    // discover-sets: refresh sets_manifest.json from the live card browser and list it
+    async 'discover-sets'(cli, config) {
+        const manifest = await discoverSets({ scraping: config.scraping, limiter: runLimiter(config.rateLimit) });
+        if (!manifest) process.exit(1);
+        for (const entry of [...manifest.sets].sort((a, b) => a.order - b.order)) {
+            console.log(`  ${String(entry.order).padStart(3)}. ${entry.value}${entry.available ? '' : ` (gone since ${entry.removed_at.split('T')[0]})`}`);
+        }
+    },
+    
+    // merge-translations: put every scraped language side by side under one code
+    async 'merge-translations'({ options }, config) {
+        const publisher = cliPublisher(options, config);
+        await mergeAllTranslations({ publisher });
+        if (publisher) await finishPublishing(publisher);
+    },
+    
+    // combine: just combine existing JSONs without scraping (--publish uploads every set too)
+    async combine({ options }, config) {
+        const publisher = cliPublisher(options, config);
+        await combineAllSets({
+            exports: options.export || [],
+            columns: config.output.exportColumns,
+            cardBack: options['card-back'] || '',
+            publisher,
+        });
+        if (publisher) {
+            await publishSetFolders(publisher);
+            await finishPublishing(publisher);
+        }
+    },
+    
+    // all: scrape every set (sequentially, or N at a time with --concurrency)
+    async all({ options }, config) {
+        const publisher = cliPublisher(options, config);
+        const { headless, update, verifySample, language, mode } = config.scraping;
+        const downloadImages = config.output.downloadImages;
+        const quality = config.images.quality;
+        const exports = options.export || [];
+        const setExports = exports.filter(f => DELIMITERS[f]);
+        const force = Boolean(options.force);
+        const startFrom = options.start;
+        const concurrency = options.concurrency ?? 1;
+        
+        // Live set list (cached in sets_manifest.json); --no-discover uses the cache as is.
+        // The discovery browser is reused for the scrape.
+        const discover = !options['no-discover'];
+        const limiter = runLimiter(config.rateLimit);
+        let browser = discover ? await chromium.launch({ headless }) : null;
+        const manifest = discover
+            ? await discoverSets({ browser, scraping: config.scraping, limiter })
+            : await loadSetsManifest(SETS_MANIFEST_PATH);
+        const allSets = manifest ? manifestSetNames(manifest) : ALL_SETS;
+        
+        let setsToScrape = [...allSets];
         if (startFrom) {
-            const idx = ALL_SETS.findIndex(s => s.toLowerCase().includes(startFrom.toLowerCase()));
+            const idx = allSets.findIndex(s => s.toLowerCase().includes(startFrom.toLowerCase()));
             if (idx !== -1) {
-                setsToScrape = ALL_SETS.slice(idx);
-                console.log(`⏭️  Starting from "${ALL_SETS[idx]}" (${setsToScrape.length} sets)`);
+                setsToScrape = allSets.slice(idx);
+                logger.info(`⏭️  Starting from "${allSets[idx]}" (${setsToScrape.length} sets)`);
             }
         }
         
-        console.log(`\n🎴 FFTCG Scraper - Scraping ALL sets`);
-        console.log(`📦 Sets: ${setsToScrape.length}`);
-        console.log(`🖼️  Images: ${downloadImages}`);
-        console.log(`👁️  Headless: ${headless}`);
-        console.log(`🔄 Force re-scrape: ${force}\n`);
-        
-        const results = [];
+        logger.info(`\n🎴 FFTCG Scraper - Scraping ALL sets (run ${logger.runId})`);
+        logger.info(`📦 Sets: ${setsToScrape.length}${manifest ? ` (sets manifest v${manifest.version})` : ' (built-in list)'}`);
+        logger.info(`🖼️  Images: ${downloadImages}${downloadImages ? ` (quality: ${typeof quality === 'string' ? quality : 'custom'})` : ''}`);
+        logger.info(`👁️  Headless: ${headless}`);
+        logger.info(`🔄 Force re-scrape: ${force}`);
+        logger.info(`🆕 Update existing: ${update}${update ? ` (verify ${verifySample} per set)` : ''}`);
+        logger.info(`🔌 Mode: ${mode}`);
+        logger.info(`🌐 Language: ${language} (${LOCALES[language].name})`);
+        logger.info(`🧵 Concurrency: ${concurrency}\n`);
+        
+        const results = new Array(setsToScrape.length);
         const skipped = [];
+        const queue = [];
         const startTime = Date.now();
         
         for (let i = 0; i < setsToScrape.length; i++) {
             const setName = setsToScrape[i];
             const folder = setName.replace(/[^a-zA-Z0-9]/g, '');
-            const filename = `${folder}_cards.json`;
+            const filename = setFilename(folder, language);
             
-            // Check if already scraped (unless --force)
-            if (!force) {
-                const existing = await setAlreadyScraped(folder, filename);
+            // Check if already scraped (unless --force, or --update which refreshes existing sets)
+            if (!force && !update) {
+                const existing = await setAlreadyScraped(folder, filename, { filters: config.filters });
                 if (existing.exists) {
-                    console.log(`⏭️  [${i + 1}/${setsToScrape.length}] ${setName}: already scraped (${existing.count} cards)`);
+                    logger.info(`⏭️  [${i + 1}/${setsToScrape.length}] ${setName}: already scraped (${existing.count} cards)`, { set: setName });
                     skipped.push({ set: setName, count: existing.count });
-                    results.push({ set: setName, count: existing.count, status: 'skipped' });
+                    results[i] = { set: setName, count: existing.count, status: 'skipped' };
                     continue;
                 }
+                if (existing.filters) {
+                    logger.info(`🔁 [${i + 1}/${setsToScrape.length}] ${setName}: existing file was scraped with other filters ` +
+                        `(${JSON.stringify({ ...existing.filters, sets: undefined })}), scraping again`, { set: setName });
+                }
             }
             
-            console.log(`\n${'='.repeat(50)}`);
-            console.log(`[${i + 1}/${setsToScrape.length}] ${setName}`);
-            console.log(`${'='.repeat(50)}`);
-            
-            const setConfig = {
-                output: {
-                    directory: `./card_results/${folder}`,
-                    downloadImages,
-                    saveJson: true,
-                    jsonFilename: filename,
-                },
-                filters: { sets: [setName] },
-                scraping: { includeCardDetails: true, headless },
-            };
+            queue.push({ index: i, setName, folder, filename });
+        }
+        
+        // One browser, one isolated context per in-flight set
+        if (!browser && queue.length > 0) browser = await chromium.launch({ headless });
+        const workerCount = Math.min(concurrency, queue.length);
+        
+        // A live dashboard on a terminal, with the log scrolling above it;
+        // a progress line every logging.progressInterval seconds otherwise
+        const { level, format, progressInterval } = config.logging;
+        const progress = createProgress({
+            sets: queue.map(entry => entry.setName),
+            skipped: skipped.length,
+            live: Boolean(process.stdout.isTTY) && format === 'pretty' && level !== 'silent',
+            interval: progressInterval * 1000,
+            log: (message, fields) => logger.info(message, fields),
+        });
+        if (progress.live) {
+            logger = createLogger({ level, format, runId: logger.runId, plain: true, stream: progress.stream, errorStream: progress.stream });
+        }
+        
+        const worker = async (id) => {
+            const timing = { worker: id, sets: [], cards: 0, started_at: new Date().toISOString(), elapsed_seconds: 0 };
+            const workerStart = Date.now();
             
-            try {
-                const scraper = new FFTCGScraper(setConfig);
-                const cards = await scraper.run();
-                results.push({ set: setName, count: cards.length, status: 'scraped' });
-                console.log(`\n✅ ${setName}: ${cards.length} cards\n`);
-            } catch (err) {
-                console.error(`\n❌ ${setName} failed: ${err.message}\n`);
-                results.push({ set: setName, count: 0, status: 'failed', error: err.message });
+            while (queue.length > 0) {
+                const { index, setName, folder, filename } = queue.shift();
+                const tag = workerCount > 1 ? `[w${id}] ` : '';
+                
+                const rule = '='.repeat(50);
+                logger.info(`\n${rule}\n${tag}[${index + 1}/${setsToScrape.length}] ${setName}\n${rule}`, { set: setName, worker: id });
+                
+                // The resolved config, pointed at this set's folder
+                const setConfig = {
+                    ...config,
+                    output: {
+                        ...config.output,
+                        directory: `./card_results/${folder}`,
+                        saveJson: true,
+                        jsonFilename: filename,
+                        exportFormats: setExports.length > 0 ? setExports : config.output.exportFormats,
+                    },
+                    filters: { ...config.filters, sets: [setName] },
+                };
+                
+                const setStart = Date.now();
+                try {
+                    const scraper = new FFTCGScraper(setConfig, {
+                        browser,
+                        logPrefix: workerCount > 1 ? `w${id} ${setName}` : '',
+                        publisher,
+                        logger: logger.child({ worker: workerCount > 1 ? id : null }),
+                        progress: progress.startSet(setName),
+                        limiter,
+                    });
+                    const cards = await scraper.run();
+                    progress.finishSet(setName, 'scraped');
+                    results[index] = { set: setName, count: cards.length, status: 'scraped' };
+                    if (scraper.failures.length > 0) results[index].failures = scraper.failures.length;
+                    if (scraper.changelog) {
+                        const { added, removed, changed } = scraper.changelog;
+                        results[index].changes = { added: added.length, removed: removed.length, changed: changed.length };
+                    }
+                    logger.success(`\n✅ ${tag}${setName}: ${cards.length} cards\n`, { set: setName, cards: cards.length });
+                } catch (err) {
+                    progress.finishSet(setName, 'failed');
+                    logger.error(`\n❌ ${tag}${setName} failed: ${err.message}\n`, { set: setName });
+                    results[index] = { set: setName, count: 0, status: 'failed', error: err.message };
+                }
+                
+                // Request cap reached: the remaining sets stay unscraped for the next run
+                if (limiter.exhausted && queue.length > 0) {
+                    logger.warn(`⚠️  Not starting ${queue.length} remaining set(s): ${queue.map(q => q.setName).join(', ')}`);
+                    for (const skippedSet of queue.splice(0)) {
+                        progress.finishSet(skippedSet.setName, 'failed');
+                        results[skippedSet.index] = { set: skippedSet.setName, count: 0, status: 'failed', error: 'Request cap reached' };
+                    }
+                }
+                
+                results[index].worker = id;
+                results[index].elapsed_seconds = parseFloat(((Date.now() - setStart) / 1000).toFixed(1));
+                timing.sets.push(setName);
+                timing.cards += results[index].count;
             }
             
-            if (i < setsToScrape.length - 1) {
-                console.log('⏳ Waiting 2s before next set...');
-                await new Promise(r => setTimeout(r, 2000));
-            }
+            timing.elapsed_seconds = parseFloat(((Date.now() - workerStart) / 1000).toFixed(1));
+            return timing;
+        };
+        
+        let workers = [];
+        try {
+            if (workerCount > 1) logger.info(`🧵 Running ${workerCount} workers in parallel\n`);
+            progress.start();
+            workers = await Promise.all(Array.from({ length: workerCount }, (_, i) => worker(i + 1)));
+        } finally {
+            progress.stop();
+            if (browser) await browser.close();
         }
+        progress.report();
+        logger.info(formatRequestStats(limiter.stats()));
         
         // Summary
         const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
@@ -1200,65 +2414,147 @@ async function main() {
         const failed = results.filter(r => r.status === 'failed');
         const total = results.reduce((s, r) => s + r.count, 0);
         
-        console.log(`\n${'='.repeat(50)}`);
-        console.log(`✅ COMPLETE`);
-        console.log(`${'='.repeat(50)}`);
-        console.log(`⏱️  Time: ${elapsed} minutes`);
-        console.log(`🎴 Total: ${total} cards`);
-        console.log(`✅ Scraped: ${scraped.length} sets`);
-        console.log(`⏭️  Skipped: ${skipped.length} sets (already existed)`);
-        console.log(`❌ Failed: ${failed.length} sets`);
+        logger.success(`\n${'='.repeat(50)}\n✅ COMPLETE\n${'='.repeat(50)}`);
+        logger.info(`⏱️  Time: ${elapsed} minutes`);
+        logger.info(`🎴 Total: ${total} cards`);
+        logger.info(`✅ Scraped: ${scraped.length} sets`);
+        logger.info(`⏭️  Skipped: ${skipped.length} sets (already existed)`);
+        logger.info(`❌ Failed: ${failed.length} sets`);
         
         if (failed.length) {
-            console.log(`\nFailed sets:`);
-            failed.forEach(f => console.log(`  - ${f.set}: ${f.error}`));
+            logger.info(`\nFailed sets:`);
+            failed.forEach(f => logger.warn(`  - ${f.set}: ${f.error}`, { set: f.set }));
         }
         
         // Save summary
         await fs.mkdir('./card_results', { recursive: true });
         await fs.writeFile('./card_results/batch_summary.json', JSON.stringify({
             scraped_at: new Date().toISOString(),
+            run_id: logger.runId,
             elapsed_minutes: parseFloat(elapsed),
             total_cards: total,
+            concurrency: workerCount,
+            totals: progress.summary(),
+            requests: limiter.stats(),
+            workers,
             results,
         }, null, 2));
         
-        // Combine all sets into single JSON
-        await combineAllSets();
+        // Combine all sets into single JSON (other languages go into the translations file)
+        const cardBack = options['card-back'] || '';
+        if (language === 'en') {
+            await combineAllSets({ exports, columns: config.output.exportColumns, cardBack, publisher });
+        } else {
+            await mergeAllTranslations({ publisher });
+        }
         
+        if (publisher) {
+            await publisher.publishFile('./card_results/batch_summary.json', 'batch_summary.json');
+            await finishPublishing(publisher);
+        }
+    },
+    
+    // scrape (default): one set or filter selection into config.output.directory
+    async scrape({ options }, config) {
+        const publisher = cliPublisher(options, config);
+        const setExports = (options.export || []).filter(f => DELIMITERS[f]);
+        const scrapeConfig = setExports.length > 0
+            ? { ...config, output: { ...config.output, exportFormats: setExports } }
+            : config;
+        
+        const limiter = runLimiter(config.rateLimit);
+        const scraper = new FFTCGScraper(scrapeConfig, { publisher, logger, limiter });
+        try {
+            await scraper.run();
+        } finally {
+            logger.info(formatRequestStats(limiter.stats()));
+        }
+        if (publisher) await finishPublishing(publisher);
+    },
+};
+
+async function main(argv = process.argv.slice(2)) {
+    // S3_* publishing settings and FFTCG_* overrides from ./.env
+    dotenv.config({ quiet: true });
+    
+    let cli;
+    let env;
+    try {
+        cli = parseCli(argv);
+        env = envConfig(process.env);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        console.error('   Run with --help for usage');
+        process.exit(1);
+    }
+    
+    if (cli.help) {
+        console.log(formatHelp(cli.explicit ? cli.command : null));
         return;
     }
     
-    // CLI overrides for single-set mode
-    if (process.argv.includes('--no-images')) config.output = { ...config.output, downloadImages: false };
-    if (process.argv.includes('--images')) config.output = { ...config.output, downloadImages: true };
-    if (process.argv.includes('--no-details')) config.scraping = { ...config.scraping, includeCardDetails: false };
-    if (process.argv.includes('--visible')) config.scraping = { ...config.scraping, headless: false };
+    let fileConfig = {};
+    if (cli.options.config) {
+        try {
+            fileConfig = JSON.parse(await fs.readFile(cli.options.config, 'utf8'));
+        } catch (e) {
+            logger.error(`❌ Config error: ${e.message}`);
+            process.exit(1);
+        }
+    }
+    
+    // defaults < command defaults < --config file < FFTCG_* environment < flags
+    const { config: resolved, sources } = resolveConfig([
+        ['default', DEFAULT_CONFIG],
+        ['command', COMMANDS[cli.command].defaults],
+        ['file', fileConfig],
+        ['env', env],
+        ['cli', cli.config],
+    ]);
     
-    const setIdx = process.argv.indexOf('--set');
-    if (setIdx !== -1 && process.argv[setIdx + 1]) {
-        config.filters = { ...config.filters, sets: [process.argv[setIdx + 1]] };
+    try {
+        logger = createLogger({ level: resolved.logging.level, format: resolved.logging.format, plain: true });
+    } catch (e) {
+        logger.error(`❌ Config error: logging: ${e.message}`);
+        process.exit(1);
+    }
+    if (cli.options.config) logger.info(`📄 Loaded config: ${cli.options.config}`);
+    const config = migrateCardDelay(resolved, message => logger.warn(`⚠️  ${message}`));
+    logger.debug(`🪪 Run ${logger.runId}: ${cli.command}`, { command: cli.command });
+    
+    if (COMMANDS[cli.command].options.includes('lang')) {
+        try {
+            scrapeLocale(config.scraping.language);
+        } catch (e) {
+            logger.error(`❌ ${e.message}`);
+            process.exit(1);
+        }
     }
     
-    const rarityIdx = process.argv.indexOf('--rarity');
-    if (rarityIdx !== -1 && process.argv[rarityIdx + 1]) {
-        config.filters = { ...config.filters, rarities: [process.argv[rarityIdx + 1]] };
+    if (COMMANDS[cli.command].options.includes('element')) {
+        const problems = validateFilters(config.filters, FILTER_SELECTORS);
+        if (problems.length > 0) {
+            problems.forEach(p => logger.error(`❌ ${p}`));
+            process.exit(1);
+        }
     }
     
-    const catIdx = process.argv.indexOf('--category');
-    if (catIdx !== -1 && process.argv[catIdx + 1]) {
-        config.filters = { ...config.filters, categories: [process.argv[catIdx + 1]] };
+    if (cli.options['dry-run']) {
+        const { command, args, options } = cli;
+        const overrides = Object.fromEntries(Object.entries(sources).filter(([, source]) => source !== 'default'));
+        console.log(`🧪 Dry run: ${command} (nothing is scraped or written)`);
+        console.log(JSON.stringify({ command, args, options, config, sources: overrides }, null, 2));
+        return;
     }
     
-    const scraper = new FFTCGScraper(config);
-    await scraper.run();
+    await COMMAND_HANDLERS[cli.command](cli, config, sources);
 }
 
-module.exports = { FFTCGScraper, DEFAULT_CONFIG, FILTER_SELECTORS, ALL_SETS, combineAllSets };
+module.exports = { FFTCGScraper, DEFAULT_CONFIG, FILTER_SELECTORS, ALL_SETS, combineAllSets, verifyImages, setAlreadyScraped };
 
 if (require.main === module) {
     main().catch(err => {
-        console.error(`❌ Fatal: ${err.message}`);
+        logger.error(`❌ Fatal: ${err.message}`);
         process.exit(1);
     });
 }
\ No newline at end of file
@@ -0,0 +1,81 @@
+// Unit tests for the structured ability parser (lib/abilities.js).
+
+const { test, expect } = require('@playwright/test');
+const { normalizeAbilityText, parseCost, parseAbilities } = require('../lib/abilities');
+
+test.describe('normalizeAbilityText', () => {
+    test('moves the Priming cost inside the italic marker', () => {
+        expect(normalizeAbilityText('*Priming "Ifrit (XVI)"* -- [F][F][3] Clive gains'))
+            .toBe('*Priming "Ifrit (XVI)" [F][F][3]* Clive gains');
+    });
+
+    test('collapses the Limit Break separator', () => {
+        expect(normalizeAbilityText('*Limit Break -- 2*  When Vaan')).toBe('*Limit Break 2* When Vaan');
+    });
+});
+
+test.describe('parseCost', () => {
+    test('splits element, generic, dull and special components', () => {
+        expect(parseCost('[S][F][F][2][Dull]')).toEqual({
+            raw: '[S][F][F][2][Dull]',
+            elements: { Fire: 2 },
+            generic: 2,
+            crystal: 0,
+            dull: true,
+            special: true,
+        });
+    });
+
+    test('maps every element code and counts crystals', () => {
+        const cost = parseCost('[I][W][E][L][A][Lt][D][C]');
+        expect(cost.elements).toEqual({ Ice: 1, Wind: 1, Earth: 1, Lightning: 1, Water: 1, Light: 1, Dark: 1 });
+        expect(cost.crystal).toBe(1);
+    });
+});
+
+test.describe('parseAbilities', () => {
+    test('classifies each line of a card', () => {
+        const parsed = parseAbilities([
+            'When Auron is put from the field into the Break Zone, you may search for 1 Fire Forward.',
+            'Shooting Star [S][F][F][Dull]: Choose 1 Forward. Deal it 8000 damage.',
+            '[1]: Auron gains +2000 power until the end of the turn.',
+            'Auron cannot be chosen by Summons.',
+            '*Haste* *First Strike*',
+        ]);
+
+        expect(parsed.map(a => a.kind)).toEqual(['auto', 'special', 'action', 'field', 'keyword']);
+        expect(parsed[1]).toMatchObject({ name: 'Shooting Star', effect: 'Choose 1 Forward. Deal it 8000 damage.' });
+        expect(parsed[2].cost).toMatchObject({ generic: 1, dull: false, special: false });
+        expect(parsed[4].keywords).toEqual(['Haste', 'First Strike']);
+    });
+
+    test('splits a newline-separated string', () => {
+        const parsed = parseAbilities('[Dull]: Draw 1 card.\n\nChoose 1 Forward.');
+        expect(parsed).toHaveLength(2);
+        expect(parsed[0]).toMatchObject({ kind: 'action', cost: { dull: true }, effect: 'Draw 1 card.' });
+    });
+
+    test('recognizes EX Burst, Priming, Limit Break and Warp', () => {
+        const [exBurst, priming, limitBreak, warp] = parseAbilities([
+            '[EX] Choose 1 Forward. Deal it 7000 damage.',
+            '*Priming "Ifrit (XVI)"* -- [F][F][3] Clive gains all the special abilities of Ifrit (XVI).',
+            '*Limit Break -- 2* When Vaan enters the field, draw 2 cards.',
+            '*Warp 3* -- [W][2] (Remove this card from the game with 3 Time Counters.)',
+        ]);
+
+        expect(exBurst).toMatchObject({ kind: 'exBurst', effect: 'Choose 1 Forward. Deal it 7000 damage.' });
+        expect(priming).toMatchObject({
+            kind: 'priming',
+            target: 'Ifrit (XVI)',
+            cost: { elements: { Fire: 2 }, generic: 3 },
+            effect: 'Clive gains all the special abilities of Ifrit (XVI).',
+        });
+        expect(limitBreak).toMatchObject({ kind: 'limitBreak', limit: 2, effect: 'When Vaan enters the field, draw 2 cards.' });
+        expect(warp).toMatchObject({ kind: 'warp', warp: 3, cost: { elements: { Wind: 1 }, generic: 2 } });
+    });
+
+    test('returns nothing for empty text', () => {
+        expect(parseAbilities('')).toEqual([]);
+        expect(parseAbilities(null)).toEqual([]);
+    });
+});
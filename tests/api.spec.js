@@ -0,0 +1,89 @@
+// Unit tests for API mode: mapping recorded search responses onto the card
+// shape scrapeCardDetails produces.
+
+const { test, expect } = require('@playwright/test');
+const { FFTCGScraper } = require('../se_card_browser');
+const { ABILITY_ICONS } = require('../lib/abilities');
+const { apiTextToLines, apiElements } = require('../lib/api');
+const { loadFixture } = require('./mock-site/server');
+
+const recorded = loadFixture('get-cards-opus-i.json');
+
+test.describe('apiTextToLines', () => {
+    test('converts icons and splits on line breaks', () => {
+        expect(apiTextToLines('Draw 1 card.[[br]][[s]]Blaze[[/]] 《S》《火》《2》《ダル》: Deal 5000 damage.', ABILITY_ICONS.elements))
+            .toEqual(['Draw 1 card.', 'Blaze [S][F][2][Dull]: Deal 5000 damage.']);
+    });
+
+    test('converts EX Burst and italic markup', () => {
+        expect(apiTextToLines('[[ex]]EX BURST[[/]] Search for 1 [[i]]Category VII[[/]] Forward.', ABILITY_ICONS.elements))
+            .toEqual(['[EX] Search for 1 *Category VII* Forward.']);
+    });
+
+    test('returns no lines for empty text', () => {
+        expect(apiTextToLines('', ABILITY_ICONS.elements)).toEqual([]);
+        expect(apiTextToLines(undefined, ABILITY_ICONS.elements)).toEqual([]);
+    });
+});
+
+test.describe('apiElements', () => {
+    test('names single and multi-element cards like the DOM scraper', () => {
+        expect(apiElements(['火'])).toBe('Fire');
+        expect(apiElements(['雷', '闇'])).toBe('Lightning/Darkness');
+        expect(apiElements([])).toBeNull();
+    });
+});
+
+test.describe('mapApiCard', () => {
+    const scraper = new FFTCGScraper({ scraping: { imageBaseUrl: 'http://cdn.test/full' } });
+
+    test('maps a recorded response onto the scraped card shape', () => {
+        const cards = recorded.cards.map(raw => scraper.mapApiCard(raw));
+
+        expect(cards.map(c => c.code)).toEqual(['1-003C', '1-011C', '1-021H', '1-080C', '1-182L']);
+        expect(cards[0]).toEqual({
+            code: '1-003C',
+            name: 'Red Mage',
+            type: 'Backup',
+            job: 'Standard Unit',
+            jobs: ['Standard Unit'],
+            element: 'Fire',
+            elements: ['Fire'],
+            cost: 2,
+            power: null,
+            rarity: 'Common',
+            rarityCode: 'C',
+            category: 'III',
+            categories: ['III'],
+            set: 'Opus I',
+            multicard: false,
+            abilities: '[F][1][Dull]: Choose 1 Forward. It cannot block this turn.',
+            abilitiesParsed: [expect.objectContaining({ kind: 'action', effect: 'Choose 1 Forward. It cannot block this turn.' })],
+            imageUrl: 'http://cdn.test/full/1-003C_eg.jpg',
+            raw: { job: 'Standard Unit', element: 'Fire', cost: '2', power: '', rarity: 'C', category: 'III' },
+        });
+    });
+
+    test('handles cards without ability text or job', () => {
+        const [, , ifrit, soldier] = recorded.cards.map(raw => scraper.mapApiCard(raw));
+
+        expect(ifrit.job).toBeNull();
+        expect(ifrit.abilities).toBe('[EX] Choose 1 Forward. Deal it 7000 damage.');
+        expect(soldier.abilities).toBe('');
+        expect(soldier.abilitiesParsed).toEqual([]);
+        expect(soldier.power).toBe(5000);
+        expect(soldier.multicard).toBe(true);
+    });
+
+    test('rewrites Priming costs and joins secondary categories', () => {
+        const { cards } = loadFixture('cards.json');
+        const clive = scraper.mapApiCard(cards.find(c => c.code === '16-001L'));
+        const joshua = scraper.mapApiCard(cards.find(c => c.code === '16-104L'));
+
+        expect(clive.abilities).toBe('*Priming "Ifrit (XVI)" [F][F][3]* Clive gains all the special abilities of Ifrit (XVI).');
+        expect(joshua.category).toBe('XVI · DFF');
+        expect(joshua.categories).toEqual(['XVI', 'DFF']);
+        expect(joshua.element).toBe('Fire/Light');
+        expect(joshua.elements).toEqual(['Fire', 'Light']);
+    });
+});
@@ -0,0 +1,79 @@
+// Unit tests for reprint grouping (lib/canonical.js).
+
+const { test, expect } = require('@playwright/test');
+const { identityKey, canonicalize } = require('../lib/canonical');
+
+const SET_ORDER = ['Opus I', 'Opus II', 'Promo', 'Boss Deck Chaos', 'Legacy Collection'];
+
+const redMage = {
+    code: '1-003C', name: 'Red Mage', type: 'Backup', job: 'Standard Unit', element: 'Fire', cost: 2, power: null,
+    rarity: 'Common', category: 'III', set: 'Opus I', abilities: '[F][1][Dull]: Choose 1 Forward.',
+    abilitiesParsed: [{ kind: 'action' }], imageUrl: 'https://cdn/1-003C_eg.jpg', imageHash: '00000000000000ff',
+};
+
+test('identity ignores printing fields, whitespace, case and element order', () => {
+    expect(identityKey({ ...redMage, code: 'PR-001', rarity: 'Promo', set: 'Promo', imageUrl: 'x' }))
+        .toBe(identityKey(redMage));
+    expect(identityKey({ ...redMage, abilities: ' [F][1][Dull]:  choose 1 forward.' })).toBe(identityKey(redMage));
+    expect(identityKey({ ...redMage, element: 'Ice/Fire' })).toBe(identityKey({ ...redMage, element: 'Fire/Ice' }));
+
+    expect(identityKey({ ...redMage, cost: 3 })).not.toBe(identityKey(redMage));
+    expect(identityKey({ ...redMage, abilities: '[F][1][Dull]: Choose 2 Forwards.' })).not.toBe(identityKey(redMage));
+});
+
+test('reprints become one card with its printings in release order', () => {
+    const cards = [
+        { ...redMage, code: 'LC-001', set: 'Legacy Collection', rarity: 'Rare', imageUrl: 'https://cdn/LC-001_eg.jpg' },
+        { ...redMage, code: 'PR-001', set: 'Promo', rarity: 'Promo', imageUrl: 'https://cdn/PR-001_eg.jpg', imageHash: undefined },
+        redMage,
+        { code: '2-001H', name: 'Auron', type: 'Forward', element: 'Fire', cost: 4, power: 8000, set: 'Opus II', abilities: '' },
+        { ...redMage, set: 'Opus I, Boss Deck Chaos' },
+    ];
+
+    const { cards: canonical, byCode, printings } = canonicalize(cards, { setOrder: SET_ORDER });
+
+    expect(printings).toBe(4);
+    expect(canonical.map(c => c.id)).toEqual(['1-003C', '2-001H']);
+    expect(canonical[0]).toEqual({
+        id: '1-003C', name: 'Red Mage', type: 'Backup', job: 'Standard Unit', element: 'Fire', cost: 2, power: null,
+        category: 'III', abilities: '[F][1][Dull]: Choose 1 Forward.', abilitiesParsed: [{ kind: 'action' }],
+        printings: [
+            { code: '1-003C', set: 'Opus I', rarity: 'Common', image: 'https://cdn/1-003C_eg.jpg', imageHash: '00000000000000ff' },
+            { code: 'PR-001', set: 'Promo', rarity: 'Promo', image: 'https://cdn/PR-001_eg.jpg' },
+            { code: 'LC-001', set: 'Legacy Collection', rarity: 'Rare', image: 'https://cdn/LC-001_eg.jpg', imageHash: '00000000000000ff' },
+        ],
+    });
+    expect(byCode.get('PR-001')).toBe(canonical[0]);
+    expect(byCode.get('LC-001').id).toBe('1-003C');
+    expect(byCode.get('2-001H').printings).toEqual([{ code: '2-001H', set: 'Opus II', rarity: null, image: null }]);
+});
+
+test('cards without a name or type are never grouped', () => {
+    const placeholder = { code: '1-004C', name: null, type: null, cost: null, element: null, power: null, abilities: null };
+    const { cards, byCode } = canonicalize(
+        [{ code: '1-001H' }, { code: '1-002R' }, { code: '2-003C' }, placeholder, { ...redMage, code: '1-005C', type: '' }, redMage]);
+
+    expect(cards.map(c => c.id)).toEqual(['1-001H', '1-002R', '2-003C', '1-004C', '1-005C', '1-003C']);
+    expect(cards.every(c => c.printings.length === 1)).toBe(true);
+    expect(byCode.get('1-002R').printings).toEqual([{ code: '1-002R', set: null, rarity: null, image: null }]);
+    expect(identityKey({ code: '1-001h' })).toBe(identityKey({ code: '1-001H', name: '' }));
+});
+
+test('without a set order the first occurrence is canonical', () => {
+    const { cards } = canonicalize([{ ...redMage, code: 'PR-001', set: 'Promo' }, redMage]);
+    expect(cards[0].id).toBe('PR-001');
+    expect(cards[0].printings.map(p => p.code)).toEqual(['PR-001', '1-003C']);
+});
+
+test('normalized cards keep rarity codes and raw strings on the printing', () => {
+    const normalized = { ...redMage, rarityCode: 'C', elements: ['Fire'], raw: { rarity: 'C' } };
+    const promo = { ...normalized, code: 'PR-001', set: 'Promo', rarity: 'Promo', rarityCode: 'PR', raw: { rarity: 'PR' } };
+    const old = { ...redMage, code: 'B-001', set: 'Boss Deck Chaos', element: 'fire' };
+
+    const [card] = canonicalize([normalized, promo, old], { setOrder: SET_ORDER }).cards;
+
+    expect(card).not.toHaveProperty('raw');
+    expect(card).not.toHaveProperty('rarityCode');
+    expect(card.elements).toEqual(['Fire']);
+    expect(card.printings.map(p => [p.code, p.rarityCode])).toEqual([['1-003C', 'C'], ['PR-001', 'PR'], ['B-001', undefined]]);
+});
@@ -0,0 +1,153 @@
+// Tests for command-line parsing and config precedence (lib/cli.js).
+
+const { test, expect } = require('@playwright/test');
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { parseCli, envConfig, resolveConfig, formatHelp } = require('../lib/cli');
+const { setAlreadyScraped } = require('../se_card_browser');
+
+const SCRIPT = path.join(__dirname, '..', 'se_card_browser.js');
+
+test('subcommands and flag-style aliases resolve to the same command', () => {
+    expect(parseCli(['all', '--images', '--concurrency=3'])).toMatchObject({
+        command: 'all', explicit: true, options: { images: true, concurrency: 3 },
+        config: { output: { downloadImages: true } },
+    });
+    expect(parseCli(['--images', '--all', '--concurrency', '3']).command).toBe('all');
+    expect(parseCli(['--history', '1-003C'])).toMatchObject({ command: 'history', args: ['1-003C'] });
+    expect(parseCli(['--set', 'Opus I'])).toMatchObject({
+        command: 'scrape', explicit: false, config: { filters: { sets: ['Opus I'] } },
+    });
+});
+
+test('filters are repeatable, comma-separated and mapped onto config keys', () => {
+    const { options, config } = parseCli(['query', 'cards.json', '--element', 'Fire,Ice', '--element=Wind',
+        '--cost', '5', '--flag', 'exburst', '--keyword', 'Cloud', '--code', '1-003C', '--json']);
+
+    expect(options).toMatchObject({ element: ['Fire', 'Ice', 'Wind'], json: true });
+    expect(config.filters).toEqual({
+        elements: ['Fire', 'Ice', 'Wind'], costs: ['5'], flags: ['exburst'], keyword: 'Cloud', code: '1-003C',
+    });
+});
+
+test('--columns is read by parseColumns across repeats', () => {
+    const { config } = parseCli(['combine', '--columns', 'code, name', '--columns=cost']);
+    expect(config.output.exportColumns).toEqual(['code', 'name', 'cost']);
+});
+
+test('bad input is rejected with a usable message', () => {
+    expect(() => parseCli(['--images', '--no-images'])).toThrow("--images and --no-images can't be combined");
+    expect(() => parseCli(['--headless', '--visible'])).toThrow("--headless and --visible can't be combined");
+    expect(() => parseCli(['--mode=xml'])).toThrow('--mode: unknown value "xml" (expected dom, api)');
+    expect(() => parseCli(['all', '--concurrency=0'])).toThrow('--concurrency: expected a whole number >= 1, got "0"');
+    expect(() => parseCli(['combine', '--export', 'pdf'])).toThrow(/--export: unknown value "pdf"/);
+    expect(() => parseCli(['combine', '--columns=code,cots'])).toThrow(/--columns: unknown column "cots" \(expected code, name, /);
+    expect(() => parseCli(['combine', '--columns=,'])).toThrow('--columns needs a value');
+    expect(() => parseCli(['history'])).toThrow('Usage: history <code>');
+    expect(() => parseCli(['history', '1-003C', '--force'])).toThrow(`--force doesn't apply to "history"`);
+    expect(() => parseCli(['all', '--set', 'Opus I'])).toThrow(`--set doesn't apply to "all"`);
+    expect(() => parseCli(['serve', 'a', 'b'])).toThrow('Unexpected argument "b" for "serve"');
+    expect(() => parseCli(['--bogus'])).toThrow("Unknown option '--bogus'");
+});
+
+test('FFTCG_* variables become config overrides', () => {
+    expect(envConfig({ FFTCG_IMAGES: 'no', FFTCG_LANG: 'de', FFTCG_RETRIES: '5', FFTCG_OUTPUT: ' ' })).toEqual({
+        output: { downloadImages: false },
+        scraping: { language: 'de', retries: 5 },
+    });
+    expect(() => envConfig({ FFTCG_HEADLESS: 'maybe' })).toThrow('FFTCG_HEADLESS: expected true or false, got "maybe"');
+    expect(() => envConfig({ FFTCG_MODE: 'xml' })).toThrow(/FFTCG_MODE: unknown value "xml"/);
+});
+
+test('later layers win and every key records where it came from', () => {
+    const { config, sources } = resolveConfig([
+        ['default', { output: { directory: './output', downloadImages: true }, images: { quality: 'full', concurrent: 5 } }],
+        ['file', { output: { directory: './opus1' }, images: { quality: { sizes: { thumb: 100 } } } }],
+        ['env', { output: { downloadImages: false } }],
+        ['cli', { output: { directory: './cli' } }],
+    ]);
+
+    expect(config).toEqual({
+        output: { directory: './cli', downloadImages: false },
+        images: { quality: { sizes: { thumb: 100 } }, concurrent: 5 },
+    });
+    expect(sources).toEqual({
+        'output.directory': 'cli',
+        'output.downloadImages': 'env',
+        'images.quality.sizes.thumb': 'file',
+        'images.concurrent': 'default',
+    });
+});
+
+test('help lists the commands, or one command with its options', () => {
+    const overview = formatHelp();
+    expect(overview).toContain('Usage: node se_card_browser.js <command> [options]');
+    expect(overview).toMatch(/^ {2}verify-images +Check downloaded images/m);
+    expect(overview).toContain('FFTCG_IMAGE_QUALITY');
+
+    const all = formatHelp('all');
+    expect(all).toContain('Usage: node se_card_browser.js all [options]');
+    expect(all).toMatch(/--concurrency <n> +Scrape n sets in parallel/);
+    expect(all).not.toContain('--set <name>');
+});
+
+test('all --dry-run resolves the config file, environment and flags in order', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-cli-'));
+    const configPath = path.join(dir, 'config.json');
+    await fs.writeFile(configPath, JSON.stringify({
+        output: { downloadImages: true },
+        filters: { rarities: ['L'] },
+        scraping: { mode: 'api', retries: 1 },
+    }));
+
+    try {
+        const { stdout } = await promisify(execFile)(process.execPath,
+            [SCRIPT, 'all', '--config', configPath, '--no-images', '--element', 'Fire', '--dry-run'],
+            { cwd: dir, env: { ...process.env, FFTCG_RETRIES: '4', FFTCG_MODE: 'dom' } });
+        const { command, config, sources } = JSON.parse(stdout.slice(stdout.indexOf('{')));
+
+        expect(command).toBe('all');
+        expect(config.output.downloadImages).toBe(false);
+        expect(config.filters).toMatchObject({ rarities: ['L'], elements: ['Fire'] });
+        expect(config.scraping).toMatchObject({ mode: 'dom', retries: 4, headless: true, includeCardDetails: true });
+        expect(sources).toMatchObject({
+            'output.downloadImages': 'cli', 'filters.rarities': 'file', 'scraping.retries': 'env', 'scraping.headless': 'command',
+        });
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('scraping an unverified language is refused', async () => {
+    const error = await promisify(execFile)(process.execPath, [SCRIPT, 'scrape', '--lang=de', '--dry-run'],
+        { cwd: os.tmpdir() }).catch(e => e);
+
+    expect(error.code).toBe(1);
+    expect(error.stderr + error.stdout).toContain(`Language "de" hasn't been checked against the live site yet (supported: en)`);
+});
+
+test('all only skips set files that were scraped with the same filters', async () => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-cli-'));
+    const write = (folder, filters, complete = true) => fs.mkdir(path.join(rootDir, folder), { recursive: true })
+        .then(() => fs.writeFile(path.join(rootDir, folder, `${folder}_cards.json`),
+            JSON.stringify({ complete, filters, cards: [{ code: '1-003C' }] })));
+
+    try {
+        await write('OpusI', { sets: ['Opus I'], elements: null, flags: [] });
+        await write('OpusII', { sets: ['Opus II'], elements: ['Fire'] });
+        await write('OpusIII', { sets: ['Opus III'] }, false);
+        const check = (folder, filters) => setAlreadyScraped(folder, `${folder}_cards.json`, { filters, rootDir });
+
+        expect(await check('OpusI', { elements: [], keyword: null })).toEqual({ exists: true, count: 1 });
+        expect(await check('OpusII', {})).toEqual({ exists: false, filters: { sets: ['Opus II'], elements: ['Fire'] } });
+        expect(await check('OpusII', { elements: ['fire'] })).toEqual({ exists: true, count: 1 });
+        expect(await check('OpusI', { types: ['Forward'] })).toMatchObject({ exists: false });
+        expect(await check('OpusIII', {})).toEqual({ exists: false });
+        expect(await check('OpusIV', {})).toEqual({ exists: false });
+    } finally {
+        await fs.rm(rootDir, { recursive: true, force: true });
+    }
+});
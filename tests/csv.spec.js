@@ -0,0 +1,107 @@
+// Unit tests for CSV/TSV exports (lib/csv.js and saveJson).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { FFTCGScraper } = require('../se_card_browser');
+const { DEFAULT_COLUMNS, flattenValue, toDelimited, writeDelimited, parseColumns } = require('../lib/csv');
+
+const clive = {
+    code: '16-001L', name: 'Clive', type: 'Forward', job: 'Dominant', element: 'Fire/Light',
+    cost: 5, power: 9000, rarity: 'Legend', category: 'XVI · DFF', set: 'Emissaries of Light, Promo',
+    abilities: 'When Clive enters the field, choose 1 Forward. Deal it 5000 damage, "Burn" it.',
+    abilitiesParsed: [{ kind: 'auto', name: null, cost: null, effect: 'choose 1 Forward.', text: '...' }],
+    imageUrl: 'https://example.test/16-001L_eg.jpg',
+};
+
+const redMage = {
+    code: '1-003C', name: 'Red Mage', type: 'Backup', job: null, element: 'Fire',
+    cost: 2, power: null, rarity: 'Common', category: 'I', set: 'Opus I',
+    abilities: '*Until the end of the turn*\tRed Mage\ngains +1000 power.',
+    imageUrl: 'https://example.test/1-003C_eg.jpg',
+};
+
+let rootDir;
+
+test.beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-csv-'));
+});
+
+test.afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+test('multi-valued fields are joined with "; "', () => {
+    expect(flattenValue('element', 'Fire/Light')).toBe('Fire; Light');
+    expect(flattenValue('set', 'Emissaries of Light, Promo')).toBe('Emissaries of Light; Promo');
+    expect(flattenValue('category', 'XVI · DFF')).toBe('XVI; DFF');
+    expect(flattenValue('jobs', ['Dominant', 'Warrior'])).toBe('Dominant; Warrior');
+    expect(flattenValue('abilitiesParsed', [{ kind: 'auto' }])).toBe('[{"kind":"auto"}]');
+    expect(flattenValue('power', null)).toBe('');
+    expect(flattenValue('cost', 5)).toBe('5');
+});
+
+test('CSV quotes commas, quotes and newlines', () => {
+    const csv = toDelimited([clive, redMage], { columns: ['code', 'element', 'abilities'] });
+
+    expect(csv).toBe([
+        'code,element,abilities',
+        '16-001L,Fire; Light,"When Clive enters the field, choose 1 Forward. Deal it 5000 damage, ""Burn"" it."',
+        '1-003C,Fire,"*Until the end of the turn*\tRed Mage\ngains +1000 power."',
+        '',
+    ].join('\r\n'));
+});
+
+test('element and category cells come from the typed lists when a card has them', () => {
+    const joshua = { code: '16-104L', element: 'Fire・Light', elements: ['Fire', 'Light'], category: 'XVI・DFF', categories: ['XVI', 'DFF'] };
+    const csv = toDelimited([joshua, clive], { columns: ['code', 'element', 'category'] });
+
+    expect(csv.split('\r\n').slice(1, 3)).toEqual(['16-104L,Fire; Light,XVI; DFF', '16-001L,Fire; Light,XVI; DFF']);
+});
+
+test('TSV quotes tabs but not commas', () => {
+    const tsv = toDelimited([clive, redMage], { format: 'tsv', columns: ['code', 'abilities'] });
+    const [header, first, second] = tsv.split('\r\n');
+
+    expect(header).toBe('code\tabilities');
+    expect(first).toBe('16-001L\t"When Clive enters the field, choose 1 Forward. Deal it 5000 damage, ""Burn"" it."');
+    expect(second).toBe('1-003C\t"*Until the end of the turn*\tRed Mage\ngains +1000 power."');
+});
+
+test('columns are chosen and ordered by the caller', () => {
+    const csv = toDelimited([clive], { columns: ['power', 'name', 'missing'] });
+    expect(csv).toBe('power,name,missing\r\n9000,Clive,\r\n');
+    expect(toDelimited([], {}).split(',')).toHaveLength(DEFAULT_COLUMNS.length);
+    expect(() => toDelimited([], { format: 'xlsx' })).toThrow(/Unknown format/);
+});
+
+test('parseColumns reads a comma-separated list', () => {
+    expect(parseColumns('code, name,,cost')).toEqual(['code', 'name', 'cost']);
+    expect(parseColumns(undefined)).toBeNull();
+    expect(() => parseColumns('code,nmae')).toThrow(/^unknown column "nmae" \(expected code, name, type, .*imageUrl/);
+});
+
+test('writeDelimited adds a UTF-8 BOM', async () => {
+    const filepath = await writeDelimited(path.join(rootDir, 'cards.csv'), [clive], { columns: ['code', 'category'] });
+    const bytes = await fs.readFile(filepath);
+
+    expect([...bytes.subarray(0, 3)]).toEqual([0xef, 0xbb, 0xbf]);
+    expect(bytes.toString('utf8').slice(1)).toBe('code,category\r\n16-001L,XVI; DFF\r\n');
+});
+
+test('saveJson writes the configured exports next to the JSON', async () => {
+    const scraper = new FFTCGScraper({
+        output: { directory: rootDir, jsonFilename: 'OpusI_cards.json', exportFormats: ['csv', 'tsv'], exportColumns: ['code', 'name'] },
+        logging: { level: 'warn', file: null },
+    });
+    await scraper.saveJson([redMage]);
+
+    expect((await fs.readdir(rootDir)).sort()).toEqual(['OpusI_cards.csv', 'OpusI_cards.json', 'OpusI_cards.tsv']);
+    expect(await fs.readFile(path.join(rootDir, 'OpusI_cards.tsv'), 'utf8')).toBe('\ufeffcode\tname\r\n1-003C\tRed Mage\r\n');
+
+    // Partial saves stay JSON-only
+    await fs.rm(path.join(rootDir, 'OpusI_cards.csv'));
+    await scraper.saveJson([redMage], true);
+    expect(await fs.readdir(rootDir)).not.toContain('OpusI_cards.csv');
+});
@@ -0,0 +1,112 @@
+// Unit tests for deck-builder/simulator exports and the decklist importer (lib/deckbuilder.js).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    SHEET_COLUMNS, SHEET_ROWS, imageManifest, toTabletopSimulator, toCockatrice, parseDecklist, resolveDecklist,
+} = require('../lib/deckbuilder');
+
+const redMage = {
+    code: '1-003C', name: 'Red Mage', type: 'Backup', job: 'Standard Unit', element: 'Fire', cost: 2, power: null,
+    rarity: 'Common', category: 'I', set: 'Opus I', abilities: '[F][Dull]: Choose 1 Forward. It gains "Haste" & +1000 power.',
+    imageUrl: 'https://example.test/1-003C_eg.jpg',
+};
+const clive = {
+    code: '16-001L', name: 'Clive', type: 'Forward', job: 'Dominant', element: 'Fire/Light', cost: 5, power: 9000,
+    rarity: 'Legend', category: 'XVI', set: 'Emissaries of Light, Promo', abilities: 'Haste',
+    imageUrl: 'https://example.test/16-001L_eg.jpg',
+};
+const cards = [redMage, clive, { ...redMage, set: 'Legacy Collection' }];
+
+let rootDir;
+
+test.beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-deck-'));
+});
+
+test.afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+test('image manifest finds local images in any listed set folder', async () => {
+    await fs.mkdir(path.join(rootDir, 'Promo', 'images'), { recursive: true });
+    await fs.writeFile(path.join(rootDir, 'Promo', 'images', '16-001L.jpg'), '');
+
+    const manifest = await imageManifest(cards, { rootDir });
+
+    expect(manifest).toMatchObject({ sheet: { columns: 10, rows: 7 }, total: 2, missing: 1, sheets: [['1-003C', '16-001L']] });
+    expect(manifest.cards['16-001L']).toMatchObject({ image: 'Promo/images/16-001L.jpg', exists: true, slot: 1, row: 0, column: 1 });
+    expect(manifest.cards['1-003C']).toMatchObject({ image: 'OpusI/images/1-003C.jpg', exists: false });
+});
+
+test('image manifest starts a new sheet every 70 cards', async () => {
+    const many = Array.from({ length: SHEET_COLUMNS * SHEET_ROWS + 3 }, (_, i) =>
+        ({ code: `1-${String(i + 1).padStart(3, '0')}C`, set: 'Opus I' }));
+
+    const manifest = await imageManifest(many, { rootDir });
+
+    expect(manifest.sheets.map(s => s.length)).toEqual([70, 3]);
+    expect(manifest.cards['1-071C']).toMatchObject({ sheet: 1, slot: 0 });
+    expect(manifest.cards['1-070C']).toMatchObject({ sheet: 0, slot: 69, row: 6, column: 9 });
+});
+
+test('Tabletop Simulator deck repeats card IDs per copy', () => {
+    const save = toTabletopSimulator([{ count: 3, card: redMage }, { count: 1, card: clive }],
+        { name: 'Fire', backUrl: 'https://example.test/back.jpg' });
+    const deck = save.ObjectStates[0];
+
+    expect(deck.Name).toBe('DeckCustom');
+    expect(deck.Nickname).toBe('Fire');
+    expect(deck.DeckIDs).toEqual([100, 100, 100, 200]);
+    expect(deck.CustomDeck['2']).toEqual({
+        FaceURL: clive.imageUrl, BackURL: 'https://example.test/back.jpg',
+        NumWidth: 1, NumHeight: 1, BackIsHidden: true, UniqueBack: false,
+    });
+    expect(deck.ContainedObjects.map(o => [o.Nickname, o.Description, o.CardID])).toEqual([
+        ['Red Mage', '1-003C', 100], ['Red Mage', '1-003C', 100], ['Red Mage', '1-003C', 100], ['Clive', '16-001L', 200],
+    ]);
+});
+
+test('Cockatrice database lists sets and escapes card text', () => {
+    const xml = toCockatrice(cards);
+
+    expect(xml).toContain('<cockatrice_carddatabase version="4">');
+    expect(xml.match(/<longname>[^<]+<\/longname>/g)).toEqual([
+        '<longname>Opus I</longname>', '<longname>Emissaries of Light</longname>', '<longname>Promo</longname>',
+    ]);
+    expect(xml.match(/<card>/g)).toHaveLength(2);
+    expect(xml).toContain('<name>Red Mage (1-003C)</name>');
+    expect(xml).toContain('<text>[F][Dull]: Choose 1 Forward. It gains &quot;Haste&quot; &amp; +1000 power.</text>');
+    expect(xml).toContain('<pt>9000</pt>');
+    expect(xml).toContain('<set rarity="Legend" num="16-001L" picurl="https://example.test/16-001L_eg.jpg">Promo</set>');
+    expect(xml.match(/<pt>/g)).toHaveLength(1);
+});
+
+test('parseDecklist reads counts, codes and comments', () => {
+    const { entries, errors } = parseDecklist([
+        '# Fire deck',
+        '3x 1-003C Red Mage',
+        '2 16-001l',
+        '',
+        'PR-050   // promo',
+        'Sideboard:',
+    ].join('\n'));
+
+    expect(entries).toEqual([
+        { count: 3, code: '1-003C', line: 2 },
+        { count: 2, code: '16-001L', line: 3 },
+        { count: 1, code: 'PR-050', line: 5 },
+    ]);
+    expect(errors).toEqual([{ line: 6, text: 'Sideboard:' }]);
+});
+
+test('resolveDecklist sums copies and reports unknown codes', () => {
+    const { entries } = parseDecklist('3x 1-003C\n1x 16-001L\n1x 1-003C\n2x 9-999X');
+    const deck = resolveDecklist(entries, cards);
+
+    expect(deck.cards.map(e => [e.count, e.code, e.card.name])).toEqual([[4, '1-003C', 'Red Mage'], [1, '16-001L', 'Clive']]);
+    expect(deck.total).toBe(5);
+    expect(deck.unknown).toEqual([{ count: 2, code: '9-999X', line: 4 }]);
+});
@@ -0,0 +1,54 @@
+// Unit tests for card diffing (lib/diff.js).
+
+const { test, expect } = require('@playwright/test');
+const { diffCard, diffCards } = require('../lib/diff');
+
+const redMage = {
+    code: '1-003C', name: 'Red Mage', cost: 2, power: null,
+    abilities: '[F][1][Dull]: Choose 1 Forward. It cannot block this turn.',
+    abilitiesParsed: [{ kind: 'action' }],
+};
+
+test.describe('diffCard', () => {
+    test('lists changed fields with old and new values', () => {
+        const errata = { ...redMage, cost: 3, abilities: '[F][Dull]: Choose 1 Forward.', abilitiesParsed: [] };
+
+        expect(diffCard(redMage, errata)).toEqual([
+            { field: 'cost', old: 2, new: 3 },
+            { field: 'abilities', old: redMage.abilities, new: '[F][Dull]: Choose 1 Forward.' },
+        ]);
+    });
+
+    test('treats missing and null fields as equal', () => {
+        const { power, ...withoutPower } = redMage;
+        expect(diffCard(redMage, withoutPower)).toEqual([]);
+    });
+
+    test('reports fields that appear or disappear', () => {
+        expect(diffCard(redMage, { ...redMage, job: 'Standard Unit' }))
+            .toEqual([{ field: 'job', old: null, new: 'Standard Unit' }]);
+    });
+});
+
+test.describe('diffCards', () => {
+    const auron = { code: '1-011C', name: 'Auron', power: 9000 };
+    const cloud = { code: '1-182L', name: 'Cloud', power: 9000 };
+
+    test('splits cards into added, removed and changed', () => {
+        const result = diffCards([redMage, auron], [{ ...redMage, cost: 3 }, cloud]);
+
+        expect(result.added.map(c => c.code)).toEqual(['1-182L']);
+        expect(result.removed.map(c => c.code)).toEqual(['1-011C']);
+        expect(result.changed).toEqual([
+            { code: '1-003C', name: 'Red Mage', changes: [{ field: 'cost', old: 2, new: 3 }] },
+        ]);
+    });
+
+    test('only compares the requested codes', () => {
+        const result = diffCards([redMage, auron], [{ ...redMage, cost: 3 }, { ...auron, power: 8000 }], {
+            compare: new Set(['1-011C']),
+        });
+
+        expect(result.changed.map(c => c.code)).toEqual(['1-011C']);
+    });
+});
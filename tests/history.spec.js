@@ -0,0 +1,86 @@
+// Unit tests for per-card change history (lib/history.js and saveJson).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { FFTCGScraper } = require('../se_card_browser');
+const { appendHistory, cardTimeline } = require('../lib/history');
+
+let rootDir;
+
+test.beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-history-'));
+});
+
+test.afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+test('appendHistory adds one entry per changed field', async () => {
+    const filepath = path.join(rootDir, 'card_history.json');
+    const changed = [{ code: '1-003C', name: 'Red Mage', changes: [
+        { field: 'cost', old: 2, new: 3 },
+        { field: 'power', old: null, new: 1000 },
+    ] }];
+
+    expect(await appendHistory(filepath, changed, '2026-02-01T00:00:00.000Z')).toBe(2);
+    expect(await appendHistory(filepath, [], '2026-03-01T00:00:00.000Z')).toBe(0);
+
+    const history = JSON.parse(await fs.readFile(filepath, 'utf8'));
+    expect(history.cards['1-003C']).toEqual([
+        { timestamp: '2026-02-01T00:00:00.000Z', name: 'Red Mage', field: 'cost', old: 2, new: 3 },
+        { timestamp: '2026-02-01T00:00:00.000Z', name: 'Red Mage', field: 'power', old: null, new: 1000 },
+    ]);
+});
+
+test('cardTimeline merges set folders in time order', async () => {
+    await fs.mkdir(path.join(rootDir, 'OpusI'));
+    await fs.mkdir(path.join(rootDir, 'LegacyCollection'));
+    await appendHistory(path.join(rootDir, 'OpusI', 'card_history.json'),
+        [{ code: '1-003C', name: 'Red Mage', changes: [{ field: 'cost', old: 3, new: 2 }] }], '2026-04-01T00:00:00.000Z');
+    await appendHistory(path.join(rootDir, 'LegacyCollection', 'card_history.json'),
+        [{ code: '1-003C', name: 'Red Mage', changes: [{ field: 'job', old: null, new: 'Standard Unit' }] }], '2026-02-01T00:00:00.000Z');
+
+    const timeline = await cardTimeline('1-003c', rootDir);
+
+    expect(timeline.map(e => e.field)).toEqual(['job', 'cost']);
+    expect(timeline[1].source).toBe(path.join(rootDir, 'OpusI', 'card_history.json'));
+    expect(await cardTimeline('1-003C', path.join(rootDir, 'missing'))).toEqual([]);
+});
+
+test('saveJson records changes against the file it overwrites', async () => {
+    const scraper = new FFTCGScraper({ output: { directory: rootDir, jsonFilename: 'OpusI_cards.json' } });
+    scraper.log = () => {};
+    const card = { code: '1-003C', name: 'Red Mage', cost: 2, abilities: '[F][1][Dull]: Choose 1 Forward.' };
+
+    await scraper.saveJson([card]);
+    await scraper.saveJson([card]);
+    await expect(fs.access(path.join(rootDir, 'card_history.json'))).rejects.toThrow();
+
+    await scraper.saveJson([{ ...card, abilities: '[F][Dull]: Choose 1 Forward.' }]);
+
+    const timeline = await cardTimeline('1-003C', rootDir);
+    expect(timeline).toHaveLength(1);
+    expect(timeline[0]).toMatchObject({
+        field: 'abilities',
+        old: '[F][1][Dull]: Choose 1 Forward.',
+        new: '[F][Dull]: Choose 1 Forward.',
+    });
+});
+
+test('saveJson records no history for cards whose details failed', async () => {
+    const scraper = new FFTCGScraper({ output: { directory: rootDir, jsonFilename: 'OpusI_cards.json' } });
+    scraper.log = () => {};
+    const card = { code: '1-003C', name: 'Red Mage', cost: 2, abilities: '[F][1][Dull]: Choose 1 Forward.' };
+
+    await scraper.saveJson([card]);
+    scraper.failures.push({ code: '1-003C', stage: 'details', kind: 'timeout', error: 'Timeout', attempts: 3 });
+    await scraper.saveJson([{ code: '1-003C', name: null, cost: null, abilities: null }]);
+    expect(await cardTimeline('1-003C', rootDir)).toEqual([]);
+
+    // The next good scrape is compared against a placeholder, so it records nothing either
+    scraper.failures = [];
+    await scraper.saveJson([card]);
+    expect(await cardTimeline('1-003C', rootDir)).toEqual([]);
+});
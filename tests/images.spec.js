@@ -0,0 +1,125 @@
+// Unit tests for the image post-processing pipeline (lib/images.js).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const {
+    imagePipeline, perceptualHash, processImage,
+    imageChecksum, inspectImage, readChecksums, writeChecksums,
+} = require('../lib/images');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'card.jpg');
+
+// Number of differing bits between two hashes
+const hashDistance = (a, b) => [...(BigInt(`0x${a}`) ^ BigInt(`0x${b}`)).toString(2)].filter(bit => bit === '1').length;
+
+let imageDir;
+
+test.beforeEach(async () => {
+    imageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-images-'));
+    await fs.copyFile(FIXTURE, path.join(imageDir, '1-003C.jpg'));
+});
+
+test.afterEach(async () => {
+    await fs.rm(imageDir, { recursive: true, force: true });
+});
+
+test('imagePipeline resolves presets and validates objects', () => {
+    expect(imagePipeline('full')).toBeNull();
+    expect(imagePipeline(undefined)).toBeNull();
+    expect(imagePipeline('web')).toMatchObject({ sizes: { thumb: 120, medium: 300 }, formats: ['webp'], hash: true });
+    expect(imagePipeline({ formats: ['avif'] })).toMatchObject({ sizes: {}, formats: ['avif'], hash: false, avifQuality: 50 });
+
+    expect(() => imagePipeline('tiny')).toThrow(/Unknown images.quality "tiny"/);
+    expect(() => imagePipeline({ formats: ['gif'] })).toThrow(/Unknown image format\(s\): gif/);
+});
+
+test('processImage writes sized and converted variants', async () => {
+    const filepath = path.join(imageDir, '1-003C.jpg');
+    const pipeline = imagePipeline({ sizes: { thumb: 50, medium: 500 }, formats: ['webp', 'avif'], hash: true });
+
+    const result = await processImage(filepath, pipeline);
+
+    expect(result.hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(result.outputs.map(f => path.relative(imageDir, f)).sort()).toEqual([
+        '1-003C.avif', '1-003C.webp',
+        'medium/1-003C.avif', 'medium/1-003C.webp',
+        'thumb/1-003C.avif', 'thumb/1-003C.webp',
+    ].map(f => path.normalize(f)));
+
+    expect(await sharp(path.join(imageDir, 'thumb', '1-003C.webp')).metadata()).toMatchObject({ format: 'webp', width: 50 });
+    // Never upscaled past the original 143px
+    expect((await sharp(path.join(imageDir, 'medium', '1-003C.webp')).metadata()).width).toBe(143);
+    expect((await sharp(path.join(imageDir, '1-003C.avif')).metadata()).format).toBe('heif');
+});
+
+test('processImage keeps current variants and regenerates stale ones', async () => {
+    const filepath = path.join(imageDir, '1-003C.jpg');
+    const pipeline = imagePipeline({ sizes: { thumb: 50 }, formats: ['jpg'] });
+
+    expect((await processImage(filepath, pipeline)).outputs).toHaveLength(1);
+    expect((await processImage(filepath, pipeline)).outputs).toHaveLength(0);
+
+    // A re-downloaded JPG is newer than its variants
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(filepath, later, later);
+    expect((await processImage(filepath, pipeline)).outputs).toEqual([path.join(imageDir, 'thumb', '1-003C.jpg')]);
+    expect(await processImage(filepath, imagePipeline({ hash: true }))).toEqual({ hash: expect.any(String), outputs: [] });
+});
+
+test('perceptualHash survives re-encoding but not a different image', async () => {
+    const original = await perceptualHash(FIXTURE);
+    const reencoded = await perceptualHash(await sharp(FIXTURE).resize({ width: 100 }).jpeg({ quality: 40 }).toBuffer());
+    // New artwork painted over the old card
+    const art = Buffer.from('<svg width="143" height="200"><circle cx="70" cy="90" r="45" fill="black"/>' +
+        '<rect x="10" y="150" width="60" height="30" fill="white"/></svg>');
+    const replaced = await perceptualHash(await sharp(FIXTURE).composite([{ input: art }]).toBuffer());
+
+    expect(hashDistance(original, original)).toBe(0);
+    expect(hashDistance(original, reencoded)).toBeLessThanOrEqual(5);
+    expect(hashDistance(original, replaced)).toBeGreaterThan(10);
+});
+
+test('inspectImage accepts a complete card JPG', async () => {
+    const jpg = await fs.readFile(FIXTURE);
+    const result = await inspectImage(FIXTURE, imageChecksum(jpg));
+
+    expect(result).toMatchObject({ ok: true, problems: [], bytes: jpg.length, width: 143, height: 200 });
+});
+
+test('inspectImage reports each kind of broken file', async () => {
+    const jpg = await fs.readFile(FIXTURE);
+    const check = async (name, content, recorded) => {
+        await fs.writeFile(path.join(imageDir, name), content);
+        const result = await inspectImage(path.join(imageDir, name), recorded);
+        expect(result.ok).toBe(false);
+        return result.problems;
+    };
+
+    expect(await check('empty.jpg', '')).toEqual([{ check: 'empty', message: 'zero-byte file' }]);
+    expect(await check('error.jpg', '\n<html><body>403 Forbidden</body></html>'))
+        .toEqual([{ check: 'signature', message: 'HTML/XML page saved as .jpg' }]);
+    expect(await check('png.jpg', Buffer.from([0x89, 0x50, 0x4e, 0x47])))
+        .toEqual([{ check: 'signature', message: 'no JPEG signature' }]);
+    expect((await check('truncated.jpg', jpg.subarray(0, jpg.length - 100)))[0].check).toBe('decode');
+
+    const banner = await sharp(FIXTURE).resize(400, 100, { fit: 'fill' }).jpeg().toBuffer();
+    expect(await check('banner.jpg', banner)).toEqual([{ check: 'dimensions', message: '400x100 is not a card image' }]);
+
+    const recorded = { ...imageChecksum(jpg), sha256: '0'.repeat(64) };
+    expect(await check('replaced.jpg', jpg, recorded))
+        .toEqual([{ check: 'checksum', message: `${jpg.length} bytes, recorded ${jpg.length} (content differs)` }]);
+});
+
+test('writeChecksums merges into images/checksums.json', async () => {
+    expect(await readChecksums(imageDir)).toEqual({});
+
+    await writeChecksums(imageDir, { 'b.jpg': { bytes: 2, sha256: 'bb' } });
+    await writeChecksums(imageDir, { 'a.jpg': { bytes: 1, sha256: 'aa' }, 'b.jpg': { bytes: 3, sha256: 'cc' } });
+
+    const saved = await readChecksums(imageDir);
+    expect(saved).toEqual({ 'a.jpg': { bytes: 1, sha256: 'aa' }, 'b.jpg': { bytes: 3, sha256: 'cc' } });
+    expect(Object.keys(saved)).toEqual(['a.jpg', 'b.jpg']);
+});
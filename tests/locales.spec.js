@@ -0,0 +1,110 @@
+// Unit tests for card browser locales (lib/locales.js) and localized URLs.
+
+const { test, expect } = require('@playwright/test');
+const { FFTCGScraper } = require('../se_card_browser');
+const { validateCards } = require('../lib/validate');
+const { loadFixture } = require('./mock-site/server');
+const { LOCALES, getLocale, scrapeLocale, attributeField, canonicalType, rarityCodeFor, apiText, mergeTranslations } = require('../lib/locales');
+
+test('every locale maps the same attribute fields, types and rarities', () => {
+    const fields = Object.keys(LOCALES.en.labels).sort();
+    const types = Object.values(LOCALES.en.types).sort();
+    for (const locale of Object.values(LOCALES)) {
+        expect(Object.keys(locale.labels).sort()).toEqual(fields);
+        expect(Object.values(locale.types).sort()).toEqual(types);
+        expect(Object.values(locale.rarities).length).toBeGreaterThanOrEqual(5);
+        expect(locale.imageSuffix).toMatch(/^[a-z]{2}$/);
+    }
+});
+
+test('localized types and rarities map back to the English values', () => {
+    expect(canonicalType('Unterstützer')).toBe('Backup');
+    expect(canonicalType(' フォワード ')).toBe('Forward');
+    expect(canonicalType('backup')).toBe('Backup');
+    expect(canonicalType('Vorwärtsverteidiger')).toBeNull();
+    expect(rarityCodeFor('Légende')).toBe('L');
+    expect(rarityCodeFor('Hero')).toBe('H');
+    expect(rarityCodeFor('')).toBeNull();
+});
+
+test('non-English API cards keep the English type and pass the schema', () => {
+    const scraper = new FFTCGScraper({ scraping: { imageBaseUrl: 'https://cdn.test', language: 'de' }, logging: { level: 'silent', file: null } });
+    const redMage = scraper.mapApiCard(loadFixture('cards.json').cards.find(c => c.code === '1-003C'));
+
+    expect(redMage).toMatchObject({ name: 'Rotmagier', type: 'Backup', typeLocalized: 'Unterstützer', rarity: 'Common' });
+    expect(validateCards([redMage]).filter(i => i.severity === 'error')).toEqual([]);
+});
+
+test('attributeField matches labels per locale with an English fallback', () => {
+    expect(attributeField('Serial Type:', 'en')).toBe('rarity');
+    expect(attributeField('Kosten:', 'de')).toBe('cost');
+    expect(attributeField('  Seltenheit : ', 'de')).toBe('rarity');
+    expect(attributeField('Coût :', 'fr')).toBe('cost');
+    expect(attributeField('コスト：', 'ja')).toBe('cost');
+    expect(attributeField('Power:', 'ja')).toBe('power');
+    expect(attributeField('Kosten:', 'en')).toBeNull();
+});
+
+test('getLocale rejects unknown languages', () => {
+    expect(getLocale('de').imageSuffix).toBe('de');
+    expect(() => getLocale('xx')).toThrow(/Unknown language "xx"/);
+});
+
+test('scrapeLocale only allows languages checked against the live site', () => {
+    expect(scrapeLocale('en')).toBe(LOCALES.en);
+    expect(() => scrapeLocale('de')).toThrow(`Language "de" hasn't been checked against the live site yet (supported: en)`);
+    expect(() => scrapeLocale('xx')).toThrow(/Unknown language "xx"/);
+});
+
+test('an unknown attribute label is warned about once', () => {
+    const scraper = new FFTCGScraper({ logging: { level: 'silent', file: null } });
+    const logged = [];
+    scraper.log = (message, level, fields) => logged.push({ message, level, fields });
+
+    scraper.unknownLabel('Illustrator: ', '1-003C');
+    scraper.unknownLabel('Illustrator:', '1-004C');
+    scraper.unknownLabel('Flavor:', '1-004C');
+
+    expect(logged.map(l => l.level)).toEqual(['warn', 'warn']);
+    expect(logged[0]).toMatchObject({ message: expect.stringContaining('"Illustrator:"'), fields: { code: '1-003C' } });
+});
+
+test('apiText falls back to English', () => {
+    const raw = { name_en: 'Red Mage', name_de: 'Rotmagier', job_en: 'Standard Unit', job_de: '' };
+    expect(apiText(raw, 'name', 'de')).toBe('Rotmagier');
+    expect(apiText(raw, 'job', 'de')).toBe('Standard Unit');
+    expect(apiText(raw, 'name', 'ja')).toBe('Red Mage');
+});
+
+test('scraper URLs and image names follow the language', () => {
+    const english = new FFTCGScraper({ scraping: { imageBaseUrl: 'https://cdn.test' } });
+    const german = new FFTCGScraper({ scraping: { imageBaseUrl: 'https://cdn.test', language: 'de' } });
+    const custom = new FFTCGScraper({ scraping: { imageBaseUrl: 'https://cdn.test', language: 'ja', imageSuffix: 'ja' } });
+
+    expect(english.cardImageUrl('1-003C')).toBe('https://cdn.test/1-003C_eg.jpg');
+    expect(english.imageFilename('1-003C')).toBe('1-003C.jpg');
+    expect(german.cardImageUrl('1-003C')).toBe('https://cdn.test/1-003C_de.jpg');
+    expect(german.imageFilename('1-003C')).toBe('1-003C_de.jpg');
+    expect(custom.cardImageUrl('1-003C')).toBe('https://cdn.test/1-003C_ja.jpg');
+});
+
+test('mergeTranslations stores each language under one code', () => {
+    const english = [
+        { code: '1-003C', name: 'Red Mage', type: 'Backup', job: 'Standard Unit', cost: 2, abilities: 'Choose 1 Forward.', imageUrl: 'en.jpg' },
+        { code: '1-011C', name: 'Auron', type: 'Forward', cost: 5, abilities: '' },
+    ];
+    const german = [
+        { code: '1-003C', name: 'Rotmagier', type: 'Backup', typeLocalized: 'Unterstützer', job: 'Standardeinheit', cost: 2, abilities: 'Wähle 1 Vorwärts.', imageUrl: 'de.jpg' },
+        { code: '2-001H', name: 'Nur Deutsch', cost: 1 },
+    ];
+
+    const merged = mergeTranslations(english, { de: german });
+
+    expect(merged.map(c => c.code)).toEqual(['1-003C', '1-011C', '2-001H']);
+    expect(merged[0]).toMatchObject({ name: 'Red Mage', cost: 2 });
+    expect(merged[0].translations).toEqual({
+        de: { name: 'Rotmagier', type: 'Unterstützer', job: 'Standardeinheit', abilities: 'Wähle 1 Vorwärts.', imageUrl: 'de.jpg' },
+    });
+    expect(merged[1].translations).toEqual({});
+    expect(merged[2].translations).toEqual({ de: { name: 'Nur Deutsch' } });
+});
@@ -0,0 +1,92 @@
+// Tests for structured logging (lib/logger.js) and the scraper's per-set log file.
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createLogger, createRunId } = require('../lib/logger');
+const { FFTCGScraper } = require('../se_card_browser');
+const { startMockSite } = require('./mock-site/server');
+
+function capture() {
+    const lines = [];
+    return { lines, write: text => lines.push(...text.trimEnd().split('\n')) };
+}
+
+test('json format prints one entry per line with level, run ID and context', () => {
+    const out = capture();
+    const logger = createLogger({ format: 'json', level: 'info', runId: 'run-1', stream: out });
+    const set = logger.child({ set: 'Opus I', worker: null });
+
+    set.debug('hidden');
+    set.warn('⚠️  1-003C: missing element\n', { code: '1-003C', phase: 'details' });
+    logger.success(`\n${'='.repeat(10)}\n✅ COMPLETE\n${'='.repeat(10)}`);
+
+    const entries = out.lines.map(line => JSON.parse(line));
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({
+        level: 'warn', message: '1-003C: missing element', runId: 'run-1', set: 'Opus I', code: '1-003C', phase: 'details',
+    });
+    expect(entries[0]).not.toHaveProperty('worker');
+    expect(entries[1]).toMatchObject({ level: 'success', message: 'COMPLETE' });
+});
+
+test('pretty format keeps the emoji lines; plain loggers print messages as-is', () => {
+    const out = capture();
+    const err = capture();
+    const logger = createLogger({ level: 'debug', stream: out, errorStream: err });
+
+    logger.child({ set: 'Opus I' }, { prefix: 'w2 Opus I' }).debug('Saved 1-003C.jpg');
+    const plain = logger.child({}, { plain: true });
+    plain.info('\n📦 Combining all sets into single JSON...');
+    plain.error('❌ No cards found to combine');
+
+    expect(out.lines[0]).toMatch(/^\[\d{2}:\d{2}:\d{2}\.\d{3}\] 🔍 \[w2 Opus I\] Saved 1-003C\.jpg$/);
+    expect(out.lines.slice(1)).toEqual(['', '📦 Combining all sets into single JSON...']);
+    expect(err.lines).toEqual(['❌ No cards found to combine']);
+    expect(() => createLogger({ level: 'loud' })).toThrow('Unknown log level "loud"');
+});
+
+test('child log files get that child\'s entries from their own level up', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-log-'));
+    const file = path.join(dir, 'OpusI', 'scrape_log.jsonl');
+    try {
+        const logger = createLogger({ level: 'silent', runId: createRunId(new Date('2026-04-12T08:15:30Z')) });
+        const set = logger.child({ set: 'Opus I' }, { file, fileLevel: 'debug' });
+
+        logger.info('not for the set');
+        set.debug('📄 Loaded', { phase: 'init' });
+        set.child({ code: '1-003C' }).error('HTTP 404');
+
+        const entries = (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(entries.map(e => [e.level, e.message])).toEqual([['debug', 'Loaded'], ['error', 'HTTP 404']]);
+        expect(entries[1]).toMatchObject({ set: 'Opus I', code: '1-003C' });
+        expect(entries[0].runId).toMatch(/^20260412T081530Z-[0-9a-f]{6}$/);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('the scraper appends its messages to scrape_log.jsonl in the output directory', async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-log-'));
+    const site = await startMockSite();
+    try {
+        const logger = createLogger({ level: 'silent', runId: 'run-2' });
+        const scraper = new FFTCGScraper({
+            output: { directory: outputDir },
+            filters: { sets: ['Opus I'] },
+            scraping: { imageBaseUrl: site.imageBaseUrl, retries: 0 },
+        }, { logger });
+        scraper.phase = 'images';
+
+        await scraper.downloadImage({ code: '99-999X', imageUrl: scraper.cardImageUrl('99-999X') });
+
+        const entries = (await fs.readFile(path.join(outputDir, 'scrape_log.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(entries).toEqual([expect.objectContaining({
+            level: 'warn', runId: 'run-2', set: 'Opus I', phase: 'images', code: '99-999X', kind: 'permanent',
+        })]);
+    } finally {
+        await site.close();
+        await fs.rm(outputDir, { recursive: true, force: true });
+    }
+});
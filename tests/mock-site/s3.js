@@ -0,0 +1,59 @@
+/**
+ * Mock S3-compatible object store for offline publish tests
+ * Answers path-style PutObject/GetObject the way MinIO does, keeping objects
+ * in memory. Signatures aren't checked.
+ */
+
+const http = require('http');
+
+/**
+ * Start the mock store on a random local port.
+ * @returns {Promise<{endpoint: string, objects: Map, requests: string[], close: Function}>}
+ *          objects: "<bucket>/<key>" -> { body, contentType, metadata }
+ */
+async function startMockS3() {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const name = decodeURIComponent(url.pathname.slice(1));
+            requests.push(`${req.method} ${name}`);
+
+            if (req.method === 'PUT') {
+                const metadata = Object.fromEntries(Object.entries(req.headers)
+                    .filter(([header]) => header.startsWith('x-amz-meta-'))
+                    .map(([header, value]) => [header.slice('x-amz-meta-'.length), value]));
+                objects.set(name, { body: Buffer.concat(chunks), contentType: req.headers['content-type'], metadata });
+                res.writeHead(200, { ETag: '"mock"' });
+                res.end();
+                return;
+            }
+
+            if (req.method === 'GET' && objects.has(name)) {
+                const object = objects.get(name);
+                res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+                res.end(object.body);
+                return;
+            }
+
+            res.writeHead(404, { 'Content-Type': 'application/xml' });
+            res.end('<?xml version="1.0" encoding="UTF-8"?>' +
+                '<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { startMockS3 };
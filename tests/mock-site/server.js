@@ -0,0 +1,125 @@
+/**
+ * Mock FFTCG card browser for offline tests
+ * Serves a page with the same DOM the scraper drives (Osano cookie banner,
+ * filters panel, results grid with Load More, detail overlay), the search
+ * endpoint behind it, and card images - all backed by tests/fixtures.
+ * Every /<lang>/ path is served; the page shows *_<lang> fields when present.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const ELEMENT_KANJI = {
+    'fire': '火', 'ice': '氷', 'wind': '風', 'earth': '土',
+    'lightning': '雷', 'water': '水', 'light': '光', 'darkness': '闇',
+};
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+function matchesQuery(card, query) {
+    const any = (values, test) => !values?.length || values.some(test);
+
+    if (!any(query.set, v => card.set.includes(v))) return false;
+    if (!any(query.category, v => card.category_1 === v || card.category_2 === v)) return false;
+    if (!any(query.type, v => card.type_en.toLowerCase() === v)) return false;
+    if (!any(query.element, v => card.element.includes(ELEMENT_KANJI[v]))) return false;
+    if (!any(query.rarity, v => card.rarity.toLowerCase() === v)) return false;
+    if (!any(query.cost, v => card.cost === v)) return false;
+    if (!any(query.flag, v => (v === 'special' && card.text_en.includes('《S》')) ||
+                              (v === 'exburst' && card.ex_burst === '1') ||
+                              (v === 'multi' && card.multicard === '1'))) return false;
+
+    if (query.text) {
+        const keyword = query.text.toLowerCase();
+        if (!card.name_en.toLowerCase().includes(keyword) &&
+            !card.text_en.toLowerCase().includes(keyword)) return false;
+    }
+    if (query.code && !card.code.includes(query.code)) return false;
+
+    return true;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Start the mock site on a random local port.
+ * @param {Object} options
+ * @param {number} options.pageSize - Cards rendered per page before "Load More"
+ * @param {Object} options.data - Fixture override ({ sets, categories, cards })
+ * @param {Object} options.failures - Path -> list of HTTP statuses to answer with before serving normally
+ * @returns {Promise<{url: string, imageBaseUrl: string, requests: string[], close: Function}>}
+ */
+async function startMockSite(options = {}) {
+    const { pageSize = 2, data = loadFixture('cards.json'), failures = {} } = options;
+
+    const template = fs.readFileSync(path.join(__dirname, 'card-browser.html'), 'utf8');
+    const image = fs.readFileSync(path.join(FIXTURES_DIR, 'card.jpg'));
+    const page = lang => template.replace('<script>', `<script>window.__MOCK__ = ${JSON.stringify({
+        lang,
+        pageSize,
+        sets: data.sets,
+        categories: data.categories,
+    })};\n`);
+
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(`${req.method} ${url.pathname}`);
+
+        if (failures[url.pathname]?.length > 0) {
+            res.writeHead(failures[url.pathname].shift(), { 'Content-Type': 'text/html' });
+            res.end('<html><body>Service Unavailable</body></html>');
+            return;
+        }
+
+        const pageMatch = url.pathname.match(/^\/([a-z]{2})\/card-browser$/);
+        if (req.method === 'GET' && pageMatch) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(page(pageMatch[1]));
+            return;
+        }
+
+        if (req.method === 'POST' && /^\/[a-z]{2}\/get-cards$/.test(url.pathname)) {
+            const query = JSON.parse(await readBody(req) || '{}');
+            const cards = data.cards.filter(card => matchesQuery(card, query));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ count: cards.length, cards }));
+            return;
+        }
+
+        const imageMatch = url.pathname.match(/^\/images\/cards\/full\/(.+)_[a-z]{2}\.jpg$/);
+        if (req.method === 'GET' && imageMatch && data.cards.some(c => c.code === imageMatch[1])) {
+            res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': image.length });
+            res.end(image);
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found');
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        imageBaseUrl: `${url}/images/cards/full`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { startMockSite, loadFixture };
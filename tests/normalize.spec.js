@@ -0,0 +1,68 @@
+// Unit tests for card attribute normalization (lib/normalize.js).
+
+const { test, expect } = require('@playwright/test');
+const { parseElements, parseNumber, parseRarity, normalizeCard } = require('../lib/normalize');
+
+test('elements map onto the README names and drop unknown ones', () => {
+    expect(parseElements('Fire/Darkness')).toEqual(['Fire', 'Dark']);
+    expect(parseElements('lightning / dark')).toEqual(['Lightning', 'Dark']);
+    expect(parseElements('Fire/Purple/Fire')).toEqual(['Fire']);
+    expect(parseElements(null)).toEqual([]);
+});
+
+test('cost and power are numbers or null', () => {
+    expect(parseNumber('5')).toBe(5);
+    expect(parseNumber(' 9,000 ')).toBe(9000);
+    expect(parseNumber(7000)).toBe(7000);
+    expect(parseNumber('0')).toBe(0);
+    expect(parseNumber('')).toBeNull();
+    expect(parseNumber('-')).toBeNull();
+    expect(parseNumber('X')).toBeNull();
+    expect(parseNumber(null)).toBeNull();
+});
+
+test('rarity codes and names resolve to both', () => {
+    expect(parseRarity('l')).toEqual({ code: 'L', name: 'Legend' });
+    expect(parseRarity('P')).toEqual({ code: 'PR', name: 'Promo' });
+    expect(parseRarity('Hero')).toEqual({ code: 'H', name: 'Hero' });
+    expect(parseRarity('Legende')).toEqual({ code: 'L', name: 'Legend' });
+    expect(parseRarity('レア')).toEqual({ code: 'R', name: 'Rare' });
+    expect(parseRarity('Foil')).toEqual({ code: null, name: 'Foil' });
+    expect(parseRarity('')).toEqual({ code: null, name: null });
+});
+
+test('normalizeCard types the attributes and keeps the strings under raw', () => {
+    const card = normalizeCard({
+        code: '16-104L', name: 'Joshua', type: 'Forward', job: 'Dominant / Phoenix', element: 'Fire/Darkness',
+        cost: '3', power: '', rarity: 'L', category: 'XVI · DFF', set: 'Emissaries of Light', abilities: 'Haste',
+    });
+
+    expect(card).toEqual({
+        code: '16-104L',
+        name: 'Joshua',
+        type: 'Forward',
+        job: 'Dominant/Phoenix',
+        jobs: ['Dominant', 'Phoenix'],
+        element: 'Fire/Dark',
+        elements: ['Fire', 'Dark'],
+        cost: 3,
+        power: null,
+        rarity: 'Legend',
+        rarityCode: 'L',
+        category: 'XVI · DFF',
+        categories: ['XVI', 'DFF'],
+        set: 'Emissaries of Light',
+        abilities: 'Haste',
+        raw: { job: 'Dominant / Phoenix', element: 'Fire/Darkness', cost: '3', power: '', rarity: 'L', category: 'XVI · DFF' },
+    });
+    expect(normalizeCard(card)).toEqual(card);
+});
+
+test('a card without attributes normalizes to nulls and empty lists', () => {
+    expect(normalizeCard({ code: '1-001H', name: null, type: null })).toEqual({
+        code: '1-001H', name: null, type: null,
+        job: null, jobs: [], element: null, elements: [], cost: null, power: null,
+        rarity: null, rarityCode: null, category: null, categories: [],
+        raw: { job: null, element: null, cost: null, power: null, rarity: null, category: null },
+    });
+});
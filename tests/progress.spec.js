@@ -0,0 +1,111 @@
+// Tests for batch progress, rate and ETA (lib/progress.js).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createProgress, formatDuration } = require('../lib/progress');
+const { FFTCGScraper } = require('../se_card_browser');
+const { startMockSite } = require('./mock-site/server');
+
+function clock(start = 0) {
+    const time = { now: start };
+    return { time, now: () => time.now };
+}
+
+test('rate comes from recent card timings, ETA from the estimated remaining cards', () => {
+    const { time, now } = clock();
+    const progress = createProgress({ sets: ['Opus I', 'Opus II', 'Opus III'], skipped: 1, live: false, now });
+
+    expect(progress.snapshot()).toMatchObject({ cards: { done: 0, expected: null }, rate: null, eta: null });
+
+    const opus1 = progress.startSet('Opus I');
+    opus1.total(100);
+    opus1.card(20, { timed: false });       // resumed from a partial file
+    for (let i = 0; i < 31; i++) {
+        time.now += 2000;
+        opus1.card();
+    }
+
+    const snapshot = progress.snapshot();
+    // 2 s per card; the two sets not started yet are estimated at Opus I's 100 cards
+    expect(snapshot.rate).toBe(30);
+    expect(snapshot.cards).toEqual({ done: 51, expected: 300 });
+    expect(snapshot.eta).toBeCloseTo((300 - 51) / 30 * 60);
+    expect(snapshot.sets).toMatchObject({ total: 4, done: 1, skipped: 1 });
+    expect(formatDuration(snapshot.eta)).toBe('8m 18s');
+    expect(formatDuration(7384)).toBe('2h 03m');
+});
+
+test('failed sets count what they got; status lines and totals carry the numbers', () => {
+    const { time, now } = clock();
+    const lines = [];
+    const progress = createProgress({ sets: ['Opus I', 'Opus II'], live: false, now, log: (message, fields) => lines.push({ message, fields }) });
+
+    const opus1 = progress.startSet('Opus I');
+    opus1.total(3);
+    for (let i = 0; i < 3; i++) {
+        time.now += 1000;
+        opus1.card();
+        opus1.image(i !== 2);
+    }
+    progress.finishSet('Opus I', 'scraped');
+    progress.startSet('Opus II').card(1);
+    progress.finishSet('Opus II', 'failed');
+    time.now = 60000;
+
+    progress.report();
+    expect(lines[0].message).toMatch(/^📈 2\/2 sets, 4\/~4 cards, 2 images \(1 failed\) \| [\d.]+ cards\/min \| elapsed 1m 00s \| ETA 0s$/);
+    expect(lines[0].fields).toMatchObject({ setsDone: 2, setsTotal: 2, cards: 4, cardsExpected: 4, etaSeconds: 0 });
+    expect(progress.summary()).toEqual({
+        sets: { total: 2, scraped: 1, failed: 1, skipped: 0 },
+        cards: 4,
+        images: { ok: 2, failed: 1 },
+        elapsed_seconds: 60,
+        cards_per_minute: 4,
+    });
+});
+
+test('the live dashboard is cleared and redrawn around log output', () => {
+    const written = [];
+    const stream = { isTTY: true, columns: 60, write: text => written.push(text) };
+    const progress = createProgress({ sets: ['Crystal Dominion'], stream });
+
+    expect(progress.live).toBe(true);
+    progress.startSet('Crystal Dominion').total(200);
+    progress.start();
+    const dashboard = written.join('').split('\n').filter(Boolean);
+    expect(dashboard[0]).toBe('─'.repeat(59));
+    expect(dashboard).toContainEqual(expect.stringMatching(/^ ▸ Crystal Dominion +░+ {2}0\/200$/));
+    expect(Math.max(...dashboard.map(line => line.length))).toBeLessThanOrEqual(59);
+
+    written.length = 0;
+    progress.stream.write('✅ Opus I: 216 cards\n');
+    expect(written[0]).toBe(`\x1b[${dashboard.length}F\x1b[0J`);
+    expect(written[1]).toBe('✅ Opus I: 216 cards\n');
+    expect(written[2].split('\n').filter(Boolean)).toHaveLength(dashboard.length);
+
+    written.length = 0;
+    progress.stop();
+    expect(written).toEqual([`\x1b[${dashboard.length}F\x1b[0J`]);
+});
+
+test('the scraper reports downloaded and failed images to its set tracker', async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-progress-'));
+    const site = await startMockSite();
+    try {
+        const progress = createProgress({ sets: ['Opus I'], live: false });
+        const scraper = new FFTCGScraper({
+            output: { directory: outputDir },
+            scraping: { imageBaseUrl: site.imageBaseUrl, retries: 0 },
+            logging: { level: 'silent', file: null },
+        }, { progress: progress.startSet('Opus I') });
+
+        await scraper.downloadImages(['1-003C', '99-999X'].map(code => ({ code, imageUrl: scraper.cardImageUrl(code) })));
+
+        expect(progress.snapshot().images).toEqual({ ok: 1, failed: 1 });
+    } finally {
+        await site.close();
+        await fs.rm(outputDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,109 @@
+// Tests for S3-compatible publishing (lib/publish.js) against an in-memory mock store.
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { publishConfigFromEnv, createPublisher } = require('../lib/publish');
+const { startMockS3 } = require('./mock-site/s3');
+
+let s3;
+let rootDir;
+
+const env = () => ({
+    S3_BUCKET: 'cards',
+    S3_ENDPOINT: s3.endpoint,
+    S3_ACCESS_KEY_ID: 'minio',
+    S3_SECRET_ACCESS_KEY: 'minio123',
+    S3_PREFIX: 'fftcg',
+});
+
+test.beforeAll(async () => {
+    s3 = await startMockS3();
+});
+
+test.afterAll(async () => {
+    await s3.close();
+});
+
+test.beforeEach(async () => {
+    s3.objects.clear();
+    s3.requests.length = 0;
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-publish-'));
+    await fs.mkdir(path.join(rootDir, 'OpusI', 'images', 'thumb'), { recursive: true });
+    await fs.writeFile(path.join(rootDir, 'OpusI', 'OpusI_cards.json'), JSON.stringify({ cards: [{ code: '1-003C' }] }));
+    await fs.writeFile(path.join(rootDir, 'OpusI', 'OpusI_cards_partial.json'), '{}');
+    await fs.copyFile(path.join(__dirname, 'fixtures', 'card.jpg'), path.join(rootDir, 'OpusI', 'images', '1-003C.jpg'));
+    await fs.writeFile(path.join(rootDir, 'OpusI', 'images', 'thumb', '1-003C.webp'), 'webp');
+});
+
+test.afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+test('publishConfigFromEnv reads .env settings with MinIO-friendly defaults', () => {
+    expect(() => publishConfigFromEnv({})).toThrow(/S3_BUCKET is not set/);
+
+    expect(publishConfigFromEnv({ S3_BUCKET: 'cards', S3_ENDPOINT: 'http://localhost:9000' })).toMatchObject({
+        bucket: 'cards', endpoint: 'http://localhost:9000', region: 'us-east-1', forcePathStyle: true, prefix: '',
+    });
+    expect(publishConfigFromEnv({ S3_BUCKET: 'cards', S3_REGION: 'eu-west-1' })).toMatchObject({
+        endpoint: undefined, region: 'eu-west-1', forcePathStyle: false,
+    });
+    expect(publishConfigFromEnv({ S3_BUCKET: 'cards', S3_ENDPOINT: 'https://r2.example', S3_FORCE_PATH_STYLE: 'false' })
+        .forcePathStyle).toBe(false);
+});
+
+test('public URLs follow the endpoint style or S3_PUBLIC_URL', () => {
+    expect(createPublisher(publishConfigFromEnv({ ...env(), S3_ENDPOINT: 'http://localhost:9000' })).url('a.json'))
+        .toBe('http://localhost:9000/cards/fftcg/a.json');
+    expect(createPublisher(publishConfigFromEnv({ S3_BUCKET: 'cards', S3_REGION: 'eu-west-1' })).url('a.json'))
+        .toBe('https://cards.s3.eu-west-1.amazonaws.com/a.json');
+    expect(createPublisher(publishConfigFromEnv({ ...env(), S3_PUBLIC_URL: 'https://cdn.example/' })).url('a.json'))
+        .toBe('https://cdn.example/fftcg/a.json');
+});
+
+test('publishDirectory uploads files with content types and hash metadata', async () => {
+    const publisher = createPublisher(publishConfigFromEnv(env()));
+
+    expect(await publisher.publishDirectory(path.join(rootDir, 'OpusI'), 'OpusI/')).toEqual({ uploaded: 3, skipped: 0 });
+
+    expect([...s3.objects.keys()].sort()).toEqual([
+        'cards/fftcg/OpusI/OpusI_cards.json',
+        'cards/fftcg/OpusI/images/1-003C.jpg',
+        'cards/fftcg/OpusI/images/thumb/1-003C.webp',
+    ]);
+    const image = s3.objects.get('cards/fftcg/OpusI/images/1-003C.jpg');
+    expect(image.contentType).toBe('image/jpeg');
+    expect(image.metadata.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(image.body.equals(await fs.readFile(path.join(__dirname, 'fixtures', 'card.jpg')))).toBe(true);
+});
+
+test('the manifest indexes every file and lets the next run skip unchanged ones', async () => {
+    const first = createPublisher(publishConfigFromEnv(env()));
+    await first.publishDirectory(path.join(rootDir, 'OpusI'), 'OpusI/');
+    const { url, total } = await first.writeManifest();
+
+    expect(url).toBe(`${s3.endpoint}/cards/fftcg/manifest.json`);
+    expect(total).toBe(3);
+    const manifest = JSON.parse(s3.objects.get('cards/fftcg/manifest.json').body);
+    expect(manifest.base_url).toBe(`${s3.endpoint}/cards/fftcg/`);
+    expect(manifest.files['OpusI/images/1-003C.jpg']).toMatchObject({
+        bytes: 3113, contentType: 'image/jpeg', url: `${s3.endpoint}/cards/fftcg/OpusI/images/1-003C.jpg`,
+    });
+
+    // Next run: only the changed JSON goes up, the manifest keeps every entry
+    await fs.writeFile(path.join(rootDir, 'OpusI', 'OpusI_cards.json'), JSON.stringify({ cards: [{ code: '1-004C' }] }));
+    s3.requests.length = 0;
+    const second = createPublisher(publishConfigFromEnv(env()));
+    expect(await second.publishDirectory(path.join(rootDir, 'OpusI'), 'OpusI/')).toEqual({ uploaded: 1, skipped: 2 });
+    await second.writeManifest();
+
+    expect(s3.requests).toEqual([
+        'GET cards/fftcg/manifest.json',
+        'PUT cards/fftcg/OpusI/OpusI_cards.json',
+        'PUT cards/fftcg/manifest.json',
+    ]);
+    expect(second.stats).toMatchObject({ uploaded: 1, skipped: 2 });
+    expect(Object.keys(JSON.parse(s3.objects.get('cards/fftcg/manifest.json').body).files)).toHaveLength(3);
+});
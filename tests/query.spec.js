@@ -0,0 +1,89 @@
+// Unit tests for offline card filtering (lib/query.js).
+
+const { test, expect } = require('@playwright/test');
+const { FFTCGScraper, FILTER_SELECTORS } = require('../se_card_browser');
+const { loadFixture } = require('./mock-site/server');
+const { filterValue, validateFilters, queryCards, formatTable } = require('../lib/query');
+
+const cards = [
+    { code: '1-003C', name: 'Red Mage', type: 'Backup', element: 'Fire', cost: 2, rarity: 'Common', category: 'I', set: 'Opus I',
+        abilities: '[F][Dull]: Choose 1 Forward.' },
+    { code: '1-004C', name: 'Shantotto', type: 'Forward', element: 'Fire', cost: 5, rarity: 'Legend', category: 'XI', set: 'Opus I',
+        abilities: '[EX] When Shantotto enters the field, deal 5000 damage.' },
+    { code: '16-001L', name: 'Clive', type: 'Forward', element: 'Fire/Light', cost: 5, rarity: 'Legend', category: 'XVI · DFF',
+        set: 'Emissaries of Light, Promo', abilities: '[S]: Clive gains +2000 power.' },
+    { code: '1-184H', name: 'Chaos', type: 'Monster', element: 'Darkness', cost: 6, rarity: 'Hero', category: 'I', set: 'Opus I',
+        abilities: '' },
+];
+
+const codes = filters => queryCards(cards, filters, FILTER_SELECTORS).map(c => c.code);
+
+test('filterValue resolves FILTER_SELECTORS aliases', () => {
+    expect(filterValue('element', 'Dark', FILTER_SELECTORS)).toBe('darkness');
+    expect(filterValue('element', 'darkness', FILTER_SELECTORS)).toBe('darkness');
+    expect(filterValue('rarity', 'L', FILTER_SELECTORS)).toBe('l');
+    expect(filterValue('rarity', 'legend', FILTER_SELECTORS)).toBe('l');
+    expect(filterValue('flag', 'EX Burst', FILTER_SELECTORS)).toBe('exburst');
+    expect(filterValue('set', 'Opus I', FILTER_SELECTORS)).toBe('opus i');
+    expect(filterValue('element', 'Purple', FILTER_SELECTORS)).toBeNull();
+});
+
+test('values within a filter are ORed, filters are ANDed', () => {
+    expect(codes({ elements: ['Light', 'Dark'] })).toEqual(['16-001L', '1-184H']);
+    expect(codes({ elements: ['Fire'], types: ['Forward'], costs: [5] })).toEqual(['1-004C', '16-001L']);
+    expect(codes({ rarities: ['L'], sets: ['Opus I'] })).toEqual(['1-004C']);
+    expect(codes({})).toHaveLength(4);
+});
+
+test('multi-valued card fields match any of their values', () => {
+    expect(codes({ sets: ['Promo'] })).toEqual(['16-001L']);
+    expect(codes({ categories: ['dff'] })).toEqual(['16-001L']);
+    expect(codes({ elements: ['Light'], sets: ['Emissaries of Light'] })).toEqual(['16-001L']);
+});
+
+test('flags, keyword and code search', () => {
+    expect(codes({ flags: ['Special'] })).toEqual(['16-001L']);
+    expect(codes({ flags: ['exburst'] })).toEqual(['1-004C']);
+    expect(codes({ keyword: 'forward' })).toEqual(['1-003C']);
+    expect(codes({ keyword: 'CLIVE' })).toEqual(['16-001L']);
+    expect(codes({ code: '-00' })).toEqual(['1-003C', '1-004C', '16-001L']);
+});
+
+test('the Generic flag matches cards the scraper marked multicard', () => {
+    const scraper = new FFTCGScraper({ scraping: { imageBaseUrl: 'http://cdn.test/full' }, logging: { level: 'silent', file: null } });
+    const scraped = loadFixture('cards.json').cards.map(raw => scraper.mapApiCard(raw));
+
+    expect(queryCards(scraped, { flags: ['Generic'] }, FILTER_SELECTORS).map(c => c.code)).toEqual(['1-080C']);
+    expect(queryCards(scraped, { flags: ['multi'], sets: ['Opus XII'] }, FILTER_SELECTORS)).toEqual([]);
+    expect(codes({ flags: ['Generic'] })).toEqual([]);        // no multicard field: not Generic
+});
+
+test('validateFilters reports values that cannot match', () => {
+    expect(validateFilters({ elements: ['Dark'], rarities: ['PR'], costs: ['3'], sets: ['Anything'] }, FILTER_SELECTORS)).toEqual([]);
+
+    const problems = validateFilters({ elements: ['Purple'], costs: ['five'] }, FILTER_SELECTORS);
+    expect(problems).toHaveLength(2);
+    expect(problems[0]).toMatch(/^elements: unknown value "Purple"/);
+    expect(problems[1]).toBe('costs: "five" is not a number');
+});
+
+test('config-style filters mirror the site', () => {
+    // "All Fire Legend Forwards costing 5 in Opus I"
+    const filters = { sets: ['Opus I'], elements: ['Fire'], types: ['Forward'], rarities: ['Legend'], costs: [5],
+        categories: null, flags: null, keyword: null, code: null };
+    expect(codes(filters)).toEqual(['1-004C']);
+});
+
+test('formatTable pads and truncates columns', () => {
+    const table = formatTable([cards[2]], [
+        { field: 'code', title: 'Code', width: 8 },
+        { field: 'name', title: 'Name', width: 4 },
+        { field: 'power', title: 'Power', width: 5 },
+    ]).split('\n');
+
+    expect(table).toEqual([
+        'Code      Name  Power',
+        '--------  ----  -----',
+        '16-001L   Cli…',
+    ]);
+});
@@ -0,0 +1,138 @@
+// Tests for the token-bucket rate limiter (lib/ratelimit.js).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createRateLimiter, parseRetryAfter } = require('../lib/ratelimit');
+const { withRetry } = require('../lib/retry');
+const { createLogger } = require('../lib/logger');
+const { FFTCGScraper } = require('../se_card_browser');
+const { startMockSite } = require('./mock-site/server');
+
+// A clock that only moves when the limiter sleeps
+function fakeTime(options = {}) {
+    const time = { now: 0, sleeps: [] };
+    const limiter = createRateLimiter({
+        jitter: 0,
+        now: () => time.now,
+        sleep: async ms => {
+            time.sleeps.push(ms);
+            time.now += ms;
+        },
+        ...options,
+    });
+    return { time, limiter };
+}
+
+test('a bucket lets a burst through, then one request per 1/rate seconds', async () => {
+    const { time, limiter } = fakeTime({ site: { rate: 2, burst: 3 } });
+    const sent = [];
+
+    await Promise.all(Array.from({ length: 5 }, (_, i) => limiter.take('site').then(() => sent.push([i, time.now]))));
+
+    expect(sent).toEqual([[0, 0], [1, 0], [2, 0], [3, 500], [4, 1000]]);
+    expect(limiter.stats()).toMatchObject({ requests: 5, site: { requests: 5, waited_seconds: 1 }, cdn: { requests: 0 } });
+});
+
+test('jitter adds up to its fraction of the interval', async () => {
+    const { time, limiter } = fakeTime({ cdn: { rate: 4, burst: 1 }, jitter: 0.5, random: () => 0.5 });
+
+    await limiter.take('cdn');
+    expect(time.sleeps).toEqual([63]);       // 0.5 * 0.5 * 250 ms
+});
+
+test('429/503 pause the bucket for Retry-After or a doubling backoff', async () => {
+    const messages = [];
+    const { time, limiter } = fakeTime({ backoff: 1000, log: (message, level) => messages.push([level, message]) });
+
+    expect(limiter.record('cdn', 429, '7')).toBe(7000);
+    await limiter.take('cdn');
+    expect(time.now).toBe(7000);
+    expect(messages[0]).toEqual(['warn', 'HTTP 429 from the image CDN - pausing cdn requests for 7.0s (Retry-After: 7)']);
+
+    expect(limiter.record('site', 503)).toBe(1000);
+    expect(limiter.record('site', 503)).toBe(2000);
+    limiter.record('site', 200);
+    expect(limiter.record('site', 503)).toBe(1000);
+    expect(limiter.stats()).toMatchObject({ site: { throttled: 3 }, cdn: { throttled: 1 } });
+
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'))).toBe(30000);
+    expect(parseRetryAfter('soon')).toBeNull();
+});
+
+test('the request cap stops the run; card clicks are paced but not counted', async () => {
+    const { limiter } = fakeTime({ maxRequests: 2 });
+
+    await limiter.take('site');
+    await limiter.take('site', { request: false });
+    await limiter.take('cdn');
+    const error = await limiter.take('cdn').catch(e => e);
+    expect(error).toMatchObject({ kind: 'budget', message: 'Request cap of 2 reached' });
+    expect(limiter.exhausted).toBe(true);
+    expect(limiter.stats()).toMatchObject({ requests: 2, max_requests: 2, site: { requests: 1, actions: 1 } });
+
+    let attempts = 0;
+    await expect(withRetry(() => {
+        attempts++;
+        return limiter.take('site');
+    }, { retries: 3, sleep: async () => {} })).rejects.toMatchObject({ kind: 'budget', attempts: 1 });
+    expect(attempts).toBe(1);
+});
+
+test('image downloads go through the CDN bucket and report 503/429', async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-ratelimit-'));
+    const site = await startMockSite({ failures: { '/images/cards/full/1-003C_eg.jpg': [503, 429] } });
+    try {
+        const scraper = new FFTCGScraper({
+            output: { directory: outputDir },
+            scraping: { imageBaseUrl: site.imageBaseUrl, retries: 3, retryDelay: 10 },
+            rateLimit: { backoff: 10, jitter: 0 },
+            logging: { level: 'silent', file: null },
+        });
+
+        expect(await scraper.downloadImage({ code: '1-003C', imageUrl: scraper.cardImageUrl('1-003C') })).toBe(true);
+        expect(scraper.limiter.stats()).toMatchObject({ requests: 3, cdn: { requests: 3, throttled: 2 } });
+    } finally {
+        await site.close();
+        await fs.rm(outputDir, { recursive: true, force: true });
+    }
+});
+
+test('a leftover scraping.delayBetweenCards caps the site rate with a warning', () => {
+    const lines = [];
+    const logger = createLogger({ format: 'json', stream: { write: text => lines.push(JSON.parse(text)) } });
+    const scraper = config => new FFTCGScraper({ ...config, logging: { file: null } }, { logger });
+
+    const slow = scraper({ scraping: { delayBetweenCards: 1000 } });
+    expect(slow.config.rateLimit.site).toEqual({ rate: 1, burst: 5 });
+    expect(slow.config.scraping).not.toHaveProperty('delayBetweenCards');
+    expect(lines).toEqual([expect.objectContaining({ level: 'warn', message: expect.stringMatching(/^scraping\.delayBetweenCards is deprecated - using rateLimit\.site\.rate 1\/s/) })]);
+
+    // The old default of 150 ms would be faster than the budget: the budget stays
+    expect(scraper({ scraping: { delayBetweenCards: 150 } }).config.rateLimit.site).toEqual({ rate: 2, burst: 5 });
+    expect(scraper({ scraping: { delayBetweenCards: 500 }, rateLimit: { site: { rate: 10, burst: 1 } } }).config.rateLimit.site)
+        .toEqual({ rate: 2, burst: 1 });
+
+    lines.length = 0;
+    scraper({});
+    expect(lines).toEqual([]);
+});
+
+test('only 429s from the card browser origin pause the site budget', () => {
+    const scraper = new FFTCGScraper({ scraping: { baseUrl: 'https://fftcg.test' }, logging: { level: 'silent', file: null } });
+    const response = (url, status, resourceType = 'xhr') => ({
+        url: () => url,
+        status: () => status,
+        headers: () => ({ 'retry-after': '30' }),
+        request: () => ({ resourceType: () => resourceType }),
+    });
+
+    scraper.recordSiteResponse(response('https://consent.example.com/config.json', 429));
+    scraper.recordSiteResponse(response('https://fftcg.test.example.com/track', 429, 'fetch'));
+    scraper.recordSiteResponse(response('https://fftcg.test/card.png', 429, 'image'));
+    expect(scraper.limiter.stats().site.throttled).toBe(0);
+
+    scraper.recordSiteResponse(response('https://fftcg.test/en/get-cards', 429));
+    expect(scraper.limiter.stats().site.throttled).toBe(1);
+});
@@ -0,0 +1,119 @@
+// Unit tests for retry/backoff and error classification (lib/retry.js),
+// plus image download retries against the mock site.
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { FFTCGScraper } = require('../se_card_browser');
+const { ScrapeError, classifyStatus, classifyError, withRetry } = require('../lib/retry');
+const { startMockSite } = require('./mock-site/server');
+
+test.describe('classification', () => {
+    test('maps HTTP statuses', () => {
+        expect(classifyStatus(429)).toBe('transient');
+        expect(classifyStatus(503)).toBe('transient');
+        expect(classifyStatus(404)).toBe('permanent');
+    });
+
+    test('treats timeouts and network errors as transient', () => {
+        const timeout = new Error('page.waitForSelector: Timeout 5000ms exceeded.');
+        timeout.name = 'TimeoutError';
+        const reset = Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } });
+
+        expect(classifyError(timeout)).toBe('transient');
+        expect(classifyError(reset)).toBe('transient');
+        expect(classifyError(new ScrapeError('no title', 'missing'))).toBe('missing');
+        expect(classifyError(new SyntaxError('Unexpected token'))).toBe('permanent');
+    });
+});
+
+test.describe('withRetry', () => {
+    test('backs off exponentially until the call succeeds', async () => {
+        const delays = [];
+        let calls = 0;
+
+        const result = await withRetry(async () => {
+            if (++calls < 3) throw new ScrapeError('HTTP 503', 'transient');
+            return 'ok';
+        }, { retries: 3, baseDelay: 100, sleep: async ms => delays.push(ms) });
+
+        expect(result).toBe('ok');
+        expect(delays).toEqual([100, 200]);
+    });
+
+    test('gives up after the configured retries', async () => {
+        const error = await withRetry(async () => {
+            throw new ScrapeError('missing name', 'missing');
+        }, { retries: 2, baseDelay: 1, sleep: async () => {} }).catch(e => e);
+
+        expect(error).toMatchObject({ kind: 'missing', attempts: 3 });
+    });
+
+    test('does not retry permanent failures', async () => {
+        let calls = 0;
+        const error = await withRetry(async () => {
+            calls++;
+            throw new ScrapeError('HTTP 404', 'permanent');
+        }, { retries: 5, baseDelay: 1, sleep: async () => {} }).catch(e => e);
+
+        expect(calls).toBe(1);
+        expect(error.attempts).toBe(1);
+    });
+});
+
+test.describe('image downloads', () => {
+    let site;
+    let outputDir;
+
+    test.beforeEach(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-retry-'));
+        site = await startMockSite({ failures: { '/images/cards/full/1-003C_eg.jpg': [503, 429] } });
+    });
+
+    test.afterEach(async () => {
+        await site.close();
+        await fs.rm(outputDir, { recursive: true, force: true });
+    });
+
+    function createScraper() {
+        const scraper = new FFTCGScraper({
+            output: { directory: outputDir },
+            scraping: { imageBaseUrl: site.imageBaseUrl, retries: 3, retryDelay: 10 },
+            rateLimit: { backoff: 10 },
+        });
+        scraper.log = () => {};
+        return scraper;
+    }
+
+    test('retries 503/429 responses and saves the image', async () => {
+        const scraper = createScraper();
+
+        expect(await scraper.downloadImage({ code: '1-003C', imageUrl: scraper.cardImageUrl('1-003C') })).toBe(true);
+        expect(site.requests.filter(r => r.endsWith('1-003C_eg.jpg'))).toHaveLength(3);
+        expect(scraper.failures).toEqual([]);
+    });
+
+    test('records a permanent failure without retrying', async () => {
+        const scraper = createScraper();
+
+        expect(await scraper.downloadImage({ code: '99-999X', imageUrl: scraper.cardImageUrl('99-999X') })).toBe(false);
+        expect(site.requests).toHaveLength(1);
+        expect(scraper.failures).toEqual([
+            { code: '99-999X', stage: 'image', kind: 'permanent', error: 'HTTP 404', attempts: 1 },
+        ]);
+    });
+
+    test('incomplete details keep the saved set from being marked complete', async () => {
+        const scraper = createScraper();
+        scraper.recordFailure('1-003C', 'details', Object.assign(new ScrapeError('missing element', 'missing'), { attempts: 4 }));
+
+        await scraper.saveJson([{ code: '1-003C', name: 'Red Mage', element: null }]);
+
+        const output = JSON.parse(await fs.readFile(path.join(outputDir, 'cards.json'), 'utf8'));
+        expect(output.complete).toBe(false);
+        expect(output.failures).toEqual([
+            { code: '1-003C', stage: 'details', kind: 'missing', error: 'missing element', attempts: 4 },
+        ]);
+    });
+});
@@ -0,0 +1,492 @@
+// End-to-end tests for FFTCGScraper against the local mock card browser.
+// No network access is needed: the site, search endpoint and images are all
+// served from tests/mock-site and tests/fixtures.
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { FFTCGScraper, verifyImages } = require('../se_card_browser');
+const { startMockSite, loadFixture } = require('./mock-site/server');
+
+let site;
+let outputDir;
+
+function createScraper(filters, overrides = {}, options = {}) {
+    return new FFTCGScraper({
+        output: { directory: outputDir, downloadImages: false, jsonFilename: 'cards.json', ...overrides.output },
+        filters,
+        scraping: {
+            baseUrl: site.url,
+            imageBaseUrl: site.imageBaseUrl,
+            headless: true,
+            delayBetweenPages: 100,
+            timeout: 10000,
+            ...overrides.scraping,
+        },
+        images: overrides.images,
+        rateLimit: { site: { rate: 100, burst: 100 }, cdn: { rate: 100, burst: 100 }, jitter: 0 },
+    }, options);
+}
+
+async function readJson(filename) {
+    return JSON.parse(await fs.readFile(path.join(outputDir, filename), 'utf8'));
+}
+
+test.beforeAll(async () => {
+    site = await startMockSite({ pageSize: 2 });
+});
+
+test.afterAll(async () => {
+    await site.close();
+});
+
+test.beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-test-'));
+});
+
+test.afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+});
+
+test.describe('set discovery', () => {
+    test('discoverSets reads the set and category options from the filter panel', async () => {
+        const scraper = createScraper({});
+
+        const { sets, categories } = await scraper.discoverSets();
+
+        expect(sets).toEqual(['Opus I', 'Opus XII', 'Emissaries of Light', 'Boss Deck Chaos'].map(v => ({ value: v, name: v })));
+        expect(categories.map(c => c.value)).toEqual(['III', 'VII', 'X', 'XII', 'XVI', 'DFF']);
+        expect(scraper.browser.isConnected()).toBe(false);
+    });
+});
+
+test.describe('filters and pagination', () => {
+    test('applyFilters selects the set and loadAllCards follows Load More', async () => {
+        const scraper = createScraper({ sets: ['Opus I'] });
+        try {
+            await scraper.init();
+            await scraper.navigateToCardBrowser();
+
+            expect(await scraper.applyFilters()).toBe(1);
+            expect(await scraper.loadAllCards()).toBe(5);
+            expect(await scraper.scrapeCardCodes()).toEqual(['1-003C', '1-011C', '1-021H', '1-080C', '1-182L']);
+        } finally {
+            await scraper.close();
+        }
+    });
+
+    test('secondary filters narrow the results', async () => {
+        const scraper = createScraper({ sets: ['Opus I'], elements: ['Fire'], types: ['Forward'] });
+        try {
+            await scraper.init();
+            await scraper.navigateToCardBrowser();
+
+            expect(await scraper.applyFilters()).toBe(3);
+            expect(await scraper.loadAllCards()).toBe(1);
+            expect(await scraper.scrapeCardCodes()).toEqual(['1-011C']);
+        } finally {
+            await scraper.close();
+        }
+    });
+
+    test('an unknown set aborts instead of loading every card', async () => {
+        const scraper = createScraper({ sets: ['Opus XCIX'] });
+        try {
+            await scraper.init();
+            await scraper.navigateToCardBrowser();
+
+            await expect(scraper.applyFilters()).rejects.toThrow('Critical filter (Set) failed');
+        } finally {
+            await scraper.close();
+        }
+    });
+
+    test('a set with no cards returns an empty result', async () => {
+        const scraper = createScraper({ sets: ['Boss Deck Chaos'] });
+
+        expect(await scraper.run()).toEqual([]);
+        await expect(fs.access(path.join(outputDir, 'cards.json'))).rejects.toThrow();
+    });
+});
+
+test.describe('card details', () => {
+    async function scrapeDetails(filters, codes) {
+        const scraper = createScraper(filters);
+        try {
+            await scraper.init();
+            await scraper.navigateToCardBrowser();
+            await scraper.applyFilters();
+            await scraper.loadAllCards();
+
+            const cards = [];
+            for (const code of codes) {
+                cards.push(await scraper.scrapeCardDetails(code));
+            }
+            return cards;
+        } finally {
+            await scraper.close();
+        }
+    }
+
+    test('parses attributes and converts ability icons', async () => {
+        const [redMage, ifrit] = await scrapeDetails({ sets: ['Opus I'] }, ['1-003C', '1-021H']);
+
+        expect(redMage).toMatchObject({
+            code: '1-003C',
+            name: 'Red Mage',
+            type: 'Backup',
+            job: 'Standard Unit',
+            element: 'Fire',
+            cost: 2,
+            power: null,
+            rarity: 'Common',
+            category: 'III',
+            set: 'Opus I',
+            abilities: '[F][1][Dull]: Choose 1 Forward. It cannot block this turn.',
+            imageUrl: `${site.imageBaseUrl}/1-003C_eg.jpg`,
+        });
+        expect(ifrit.abilities).toBe('[EX] Choose 1 Forward. Deal it 7000 damage.');
+        expect(ifrit.abilitiesParsed.map(a => a.kind)).toEqual(['exBurst']);
+    });
+
+    test('splits abilities on line breaks into abilitiesParsed', async () => {
+        const [auron] = await scrapeDetails({ sets: ['Opus I'] }, ['1-011C']);
+
+        expect(auron.abilities).toContain('hand. Shooting Star [S][F][F][Dull]: Choose 1 Forward.');
+        expect(auron.abilitiesParsed).toMatchObject([
+            { kind: 'auto' },
+            { kind: 'special', name: 'Shooting Star', cost: { elements: { Fire: 2 }, dull: true } },
+        ]);
+    });
+
+    test('leaves abilities empty when the card has no text block', async () => {
+        const [soldier] = await scrapeDetails({ sets: ['Opus I'] }, ['1-080C']);
+
+        expect(soldier.name).toBe('Soldier');
+        expect(soldier.power).toBe(5000);
+        expect(soldier.abilities).toBe('');
+        expect(soldier.abilitiesParsed).toEqual([]);
+        expect(soldier.multicard).toBe(true);       // from the search response, the overlay doesn't show it
+    });
+
+    test('joins multi-element cards and rewrites Priming costs', async () => {
+        const [clive, joshua] = await scrapeDetails({ sets: ['Emissaries of Light'] }, ['16-001L', '16-104L']);
+
+        expect(clive.abilities).toBe('*Priming "Ifrit (XVI)" [F][F][3]* Clive gains all the special abilities of Ifrit (XVI).');
+        expect(joshua.element).toBe('Fire/Light');
+    });
+
+    test('rewrites Limit Break markers', async () => {
+        const [vaan] = await scrapeDetails({ sets: ['Opus XII'] }, ['12-096L']);
+
+        expect(vaan.abilities).toBe('*Limit Break 2* When Vaan enters the field, if you control 4 or more Wind Characters, draw 2 cards.');
+    });
+});
+
+test.describe('images', () => {
+    test('downloadImage saves the JPG once and skips existing files', async () => {
+        const scraper = createScraper({ sets: ['Opus I'] }, { output: { downloadImages: true } });
+        const card = { code: '1-003C', imageUrl: scraper.cardImageUrl('1-003C') };
+        const filepath = path.join(outputDir, 'images', '1-003C.jpg');
+
+        expect(await scraper.downloadImage(card)).toBe(true);
+        const saved = await fs.readFile(filepath);
+        expect(saved.subarray(0, 2)).toEqual(Buffer.from([0xff, 0xd8]));
+
+        const requestsBefore = site.requests.length;
+        expect(await scraper.downloadImage(card)).toBe(true);
+        expect(site.requests.length).toBe(requestsBefore);
+    });
+
+    test('downloadImage reports a missing image', async () => {
+        const scraper = createScraper({ sets: ['Opus I'] });
+
+        expect(await scraper.downloadImage({ code: '99-999X', imageUrl: scraper.cardImageUrl('99-999X') })).toBe(false);
+    });
+
+    test('images.quality runs the pipeline after the download and hashes the card', async () => {
+        const scraper = createScraper({ sets: ['Opus I'] }, { output: { downloadImages: true }, images: { quality: 'web' } });
+        const card = { code: '1-003C', imageUrl: scraper.cardImageUrl('1-003C') };
+
+        expect(await scraper.downloadImage(card)).toBe(true);
+        expect(card.imageHash).toMatch(/^[0-9a-f]{16}$/);
+        for (const variant of ['1-003C.webp', 'thumb/1-003C.webp', 'medium/1-003C.webp']) {
+            await fs.access(path.join(outputDir, 'images', variant));
+        }
+
+        // Existing images are hashed too, e.g. cards reused by --update
+        const reused = { code: '1-003C', imageUrl: card.imageUrl };
+        expect(await scraper.downloadImage(reused)).toBe(true);
+        expect(reused.imageHash).toBe(card.imageHash);
+    });
+
+    test('downloadImage records size and checksum for --verify-images', async () => {
+        const scraper = createScraper({ sets: ['Opus I'] }, { output: { downloadImages: true } });
+        await scraper.downloadImages([{ code: '1-003C', imageUrl: scraper.cardImageUrl('1-003C') }]);
+        await scraper.saveImageChecksums();
+
+        const { files } = await readJson('images/checksums.json');
+        expect(files['1-003C.jpg']).toEqual({ bytes: 3113, sha256: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    });
+
+    test('verifyImages re-downloads broken files through the download pool', async () => {
+        const imageDir = path.join(outputDir, 'OpusI', 'images');
+        const jpg = await fs.readFile(path.join(__dirname, 'fixtures', 'card.jpg'));
+        await fs.mkdir(imageDir, { recursive: true });
+        await fs.writeFile(path.join(imageDir, '1-003C.jpg'), jpg);
+        await fs.writeFile(path.join(imageDir, '1-011C.jpg'), jpg.subarray(0, 1500));
+        await fs.writeFile(path.join(imageDir, '1-021H_de.jpg'), '<!DOCTYPE html><p>Service Unavailable</p>');
+        await fs.writeFile(path.join(imageDir, '99-999X.jpg'), '');
+
+        const requestsBefore = site.requests.length;
+        const report = await verifyImages(outputDir, { config: { scraping: { imageBaseUrl: site.imageBaseUrl } } });
+
+        expect(report.totals).toEqual({ sets: 1, checked: 4, ok: 1, bad: 3, repaired: 2, failed: 1 });
+        expect(report.sets[0].bad.map(b => [b.file, b.problems[0].check, b.repaired])).toEqual([
+            ['1-011C.jpg', 'decode', true],
+            ['1-021H_de.jpg', 'signature', true],
+            ['99-999X.jpg', 'empty', false],
+        ]);
+        expect(site.requests.slice(requestsBefore).filter(r => r.includes('1-021H_de.jpg'))).toHaveLength(1);
+        expect(await fs.readFile(path.join(imageDir, '1-011C.jpg'))).toEqual(jpg);
+
+        const { files } = await readJson('OpusI/images/checksums.json');
+        expect(Object.keys(files)).toEqual(['1-003C.jpg', '1-011C.jpg', '1-021H_de.jpg']);
+
+        // A file changed after its checksum was recorded
+        await fs.writeFile(path.join(imageDir, '1-003C.jpg'), Buffer.concat([jpg, Buffer.from([0])]));
+        const recheck = await verifyImages(outputDir, { repair: false });
+        expect(recheck.totals).toMatchObject({ checked: 3, bad: 1, failed: 1 });
+        expect(recheck.sets[0].bad[0].problems).toEqual([{ check: 'checksum', message: '3114 bytes, recorded 3113' }]);
+    });
+});
+
+test.describe('run', () => {
+    test('scrapes a set end-to-end and writes JSON, codes and images', async () => {
+        const scraper = createScraper({ sets: ['Emissaries of Light'] }, { output: { downloadImages: true } });
+
+        const cards = await scraper.run();
+
+        expect(cards.map(c => c.code)).toEqual(['16-001L', '16-104L']);
+
+        const output = await readJson('cards.json');
+        expect(output.complete).toBe(true);
+        expect(output.total).toBe(2);
+        expect(output.filters.sets).toEqual(['Emissaries of Light']);
+
+        const codes = await readJson('card_codes.json');
+        expect(codes.codes).toEqual(['16-001L', '16-104L']);
+
+        const images = await fs.readdir(path.join(outputDir, 'images'));
+        expect(images.sort()).toEqual(['16-001L.jpg', '16-104L.jpg']);
+        await expect(fs.access(path.join(outputDir, 'cards_partial.json'))).rejects.toThrow();
+    });
+});
+
+test.describe('codes only', () => {
+    test('hashes images before the set file is written', async () => {
+        const scraper = createScraper({ sets: ['Emissaries of Light'] }, {
+            output: { downloadImages: true },
+            scraping: { includeCardDetails: false },
+            images: { quality: 'web' },
+        });
+
+        await scraper.run();
+
+        const output = await readJson('cards.json');
+        expect(output.cards.map(c => c.code)).toEqual(['16-001L', '16-104L']);
+        for (const card of output.cards) expect(card.imageHash).toMatch(/^[0-9a-f]{16}$/);
+        const { files } = await readJson('images/checksums.json');
+        expect(Object.keys(files).sort()).toEqual(['16-001L.jpg', '16-104L.jpg']);
+    });
+});
+
+test.describe('shared browser', () => {
+    test('scrapes several sets in parallel contexts of one browser', async () => {
+        const browser = await chromium.launch({ headless: true });
+        const outputs = { 'Opus XII': path.join(outputDir, 'opus12'), 'Emissaries of Light': path.join(outputDir, 'opus16') };
+
+        try {
+            const results = await Promise.all(Object.entries(outputs).map(([set, directory]) =>
+                createScraper({ sets: [set] }, { output: { directory } }, { browser, logPrefix: set }).run()
+            ));
+
+            expect(results.map(cards => cards.map(c => c.code))).toEqual([['12-096L'], ['16-001L', '16-104L']]);
+            expect(browser.isConnected()).toBe(true);
+            expect(browser.contexts()).toHaveLength(0);
+        } finally {
+            await browser.close();
+        }
+    });
+});
+
+test.describe('api mode', () => {
+    test('builds the same cards from the search response as the DOM path', async () => {
+        const domCards = await createScraper({ sets: ['Emissaries of Light'] }).run();
+        const apiCards = await createScraper({ sets: ['Emissaries of Light'] }, { scraping: { mode: 'api' } }).run();
+
+        expect(apiCards).toEqual(domCards);
+
+        const raw = await readJson('api_response.json');
+        expect(raw.count).toBe(2);
+    });
+
+    test('without filters no search is sent, so nothing waits for a response', async () => {
+        const scraper = createScraper({}, { scraping: { mode: 'api' } });
+
+        // The mock page shows no results until Search is clicked
+        expect(await scraper.run()).toEqual([]);
+        expect(scraper.searchResponse).toBeNull();
+    });
+
+    test('replays a recorded response without hitting the endpoint', async () => {
+        const replayFile = path.join(__dirname, 'fixtures', 'get-cards-opus-i.json');
+        const scraper = createScraper({ sets: ['Boss Deck Chaos'] }, { scraping: { mode: 'api', apiReplayFile: replayFile } });
+        const requestsBefore = site.requests.length;
+
+        const cards = await scraper.run();
+
+        expect(cards.map(c => c.code)).toEqual(['1-003C', '1-011C', '1-021H', '1-080C', '1-182L']);
+        expect(site.requests.slice(requestsBefore)).not.toContain('POST /en/get-cards');
+    });
+});
+
+test.describe('update mode', () => {
+    async function writePreviousScrape() {
+        const previous = ['1-003C', '1-011C', '1-021H', '1-080C'].map(code => ({ code, name: `Old ${code}`, cost: 9 }));
+        previous.push({ code: '1-999X', name: 'Retired Card', cost: 1 });
+        await fs.writeFile(path.join(outputDir, 'cards.json'), JSON.stringify({
+            scraped_at: '2026-01-01T00:00:00.000Z', complete: true, total: previous.length, cards: previous,
+        }));
+    }
+
+    test('reuses previous cards and only scrapes new codes', async () => {
+        await writePreviousScrape();
+
+        const cards = await createScraper({ sets: ['Opus I'] }, { scraping: { update: true } }).run();
+
+        expect(cards.map(c => c.code)).toEqual(['1-003C', '1-011C', '1-021H', '1-080C', '1-182L']);
+        expect(cards[0]).toEqual({ code: '1-003C', name: 'Old 1-003C', cost: 9 });
+        expect(cards[4].name).toBe('Cloud');
+
+        const { entries } = await readJson('changelog.json');
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({
+            verified: 0,
+            added: [{ code: '1-182L', name: 'Cloud' }],
+            removed: [{ code: '1-999X', name: 'Retired Card' }],
+            changed: [],
+        });
+    });
+
+    test('re-verifies a sample of existing cards and records changes', async () => {
+        await writePreviousScrape();
+
+        const cards = await createScraper({ sets: ['Opus I'] }, { scraping: { update: true, verifySample: 10 } }).run();
+
+        expect(cards[0]).toMatchObject({ code: '1-003C', name: 'Red Mage', cost: 2 });
+
+        const [entry] = (await readJson('changelog.json')).entries;
+        expect(entry.verified).toBe(4);
+        expect(entry.changed.map(c => c.code)).toEqual(['1-003C', '1-011C', '1-021H', '1-080C']);
+        expect(entry.changed[0].changes).toContainEqual({ field: 'cost', old: 9, new: 2 });
+    });
+});
+
+test.describe('resume', () => {
+    async function writePartial(filters) {
+        await fs.writeFile(path.join(outputDir, 'cards_partial.json'), JSON.stringify({
+            scraped_at: '2026-01-01T00:00:00.000Z',
+            filters,
+            total: 2,
+            complete: false,
+            cards: [
+                { code: '1-011C', name: 'Resumed Auron' },
+                { code: '1-999X', name: 'Dropped From List' },
+            ],
+        }));
+    }
+
+    test('continues from a partial file with matching filters', async () => {
+        const scraper = createScraper({ sets: ['Opus I'] });
+        await writePartial(scraper.config.filters);
+
+        const cards = await scraper.run();
+
+        expect(cards.map(c => c.code)).toEqual(['1-003C', '1-011C', '1-021H', '1-080C', '1-182L']);
+        expect(cards[1].name).toBe('Resumed Auron');
+        expect(cards[0].name).toBe('Red Mage');
+        await expect(fs.access(path.join(outputDir, 'cards_partial.json'))).rejects.toThrow();
+    });
+
+    test('ignores a partial file saved with other filters', async () => {
+        const scraper = createScraper({ sets: ['Opus I'] });
+        await writePartial({ ...scraper.config.filters, sets: ['Opus II'] });
+
+        const cards = await scraper.run();
+
+        expect(cards[1].name).toBe('Auron');
+    });
+});
+
+test.describe('failures', () => {
+    test('a card missing core fields after retries is reported and blocks complete', async () => {
+        const data = loadFixture('cards.json');
+        data.cards.find(c => c.code === '12-096L').element = [];
+        const brokenSite = await startMockSite({ data });
+
+        try {
+            const scraper = createScraper({ sets: ['Opus XII'] }, {
+                scraping: { baseUrl: brokenSite.url, imageBaseUrl: brokenSite.imageBaseUrl, retries: 1, retryDelay: 10 },
+            });
+
+            const cards = await scraper.run();
+
+            expect(cards[0]).toMatchObject({ code: '12-096L', name: 'Vaan', element: null });
+
+            const output = await readJson('cards.json');
+            expect(output.complete).toBe(false);
+            expect(output.failures).toEqual([
+                { code: '12-096L', stage: 'details', kind: 'missing', error: 'missing element', attempts: 2 },
+            ]);
+        } finally {
+            await brokenSite.close();
+        }
+    });
+});
+
+test.describe('languages', () => {
+    const germanRedMage = {
+        code: '1-003C',
+        name: 'Rotmagier',
+        type: 'Backup',
+        typeLocalized: 'Unterstützer',
+        job: 'Standardeinheit',
+        element: 'Fire',
+        cost: 2,
+        rarity: 'Common',
+        abilities: '[F][1][Dull]: Wähle 1 Vorwärts. Er kann in diesem Zug nicht blocken.',
+    };
+
+    test('scrapes localized text, labels and images from the locale path', async () => {
+        const scraper = createScraper({ sets: ['Opus I'] }, { output: { downloadImages: true }, scraping: { language: 'de' } });
+
+        const cards = await scraper.run();
+
+        expect(site.requests).toContain('GET /de/card-browser');
+        expect(cards.find(c => c.code === '1-003C')).toMatchObject({
+            ...germanRedMage,
+            imageUrl: `${site.imageBaseUrl}/1-003C_de.jpg`,
+        });
+        // Cards without German text fall back to English
+        expect(cards.find(c => c.code === '1-011C').name).toBe('Auron');
+        await fs.access(path.join(outputDir, 'images', '1-003C_de.jpg'));
+    });
+
+    test('api mode reads the localized fields', async () => {
+        const cards = await createScraper({ sets: ['Opus I'] }, { scraping: { mode: 'api', language: 'de' } }).run();
+        expect(cards.find(c => c.code === '1-003C')).toMatchObject(germanRedMage);
+    });
+});
@@ -0,0 +1,130 @@
+// Tests for the local REST API (lib/server.js), served from a temporary results folder.
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { FILTER_SELECTORS, ALL_SETS } = require('../se_card_browser');
+const { loadCardDatabase, filtersFromQuery, startCardServer } = require('../lib/server');
+
+const opusI = [
+    { code: '1-003C', name: 'Red Mage', type: 'Backup', element: 'Fire', cost: 2, rarity: 'Common', set: 'Opus I', abilities: '' },
+    { code: '1-004C', name: 'Shantotto', type: 'Forward', element: 'Fire', cost: 5, rarity: 'Legend', set: 'Opus I', abilities: '[EX] Deal 5000 damage.' },
+];
+const emissaries = [
+    { code: '16-001L', name: 'Clive', type: 'Forward', element: 'Fire/Light', cost: 5, rarity: 'Legend',
+        set: 'Emissaries of Light, Promo', abilities: 'Haste' },
+];
+
+let rootDir;
+let server;
+
+async function writeSet(folder, cards) {
+    await fs.mkdir(path.join(rootDir, folder, 'images'), { recursive: true });
+    await fs.writeFile(path.join(rootDir, folder, `${folder}_cards.json`), JSON.stringify({ cards }));
+}
+
+async function get(pathname) {
+    const res = await fetch(`${server.url}${pathname}`);
+    const type = res.headers.get('content-type');
+    return { status: res.status, type, body: type.startsWith('application/json') ? await res.json() : await res.arrayBuffer() };
+}
+
+test.beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-serve-'));
+    await writeSet('EmissariesofLight', emissaries);
+    await writeSet('OpusI', opusI);
+    await fs.copyFile(path.join(__dirname, 'fixtures', 'card.jpg'), path.join(rootDir, 'OpusI', 'images', '1-003C.jpg'));
+    server = await startCardServer({ source: rootDir, selectors: FILTER_SELECTORS, setOrder: ALL_SETS, port: 0 });
+});
+
+test.afterEach(async () => {
+    await server?.close();
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+test('filtersFromQuery accepts singular, plural, repeated and comma-separated params', () => {
+    const params = new URLSearchParams('element=Fire,Ice&elements=Light&type=Forward&cost=5&cost=6&q=haste&code=1-');
+    expect(filtersFromQuery(params)).toEqual({
+        elements: ['Fire', 'Ice', 'Light'], types: ['Forward'], costs: ['5', '6'], keyword: 'haste', code: '1-',
+    });
+});
+
+test('loadCardDatabase prefers set files and orders sets like ALL_SETS', async () => {
+    await fs.writeFile(path.join(rootDir, 'all_cards_combined.json'), JSON.stringify({ cards: [{ code: '9-999X' }] }));
+
+    const db = await loadCardDatabase(rootDir, { setOrder: ALL_SETS });
+
+    expect(db.cards.map(c => c.code)).toEqual(['16-001L', '1-003C', '1-004C']);
+    expect(db.sets).toEqual([
+        { set: 'Opus I', count: 2 }, { set: 'Emissaries of Light', count: 1 }, { set: 'Promo', count: 1 },
+    ]);
+});
+
+test('/cards filters like the card browser', async () => {
+    const all = await get('/cards');
+    expect(all.body.total).toBe(3);
+
+    const legends = await get('/cards?element=Fire&rarity=L&type=Forward');
+    expect(legends.body.cards.map(c => c.code)).toEqual(['16-001L', '1-004C']);
+
+    const exBurst = await get('/cards?flag=EX%20Burst');
+    expect(exBurst.body.cards.map(c => c.code)).toEqual(['1-004C']);
+
+    const keyword = await get('/cards?keyword=haste&set=Promo');
+    expect(keyword.body.cards.map(c => c.code)).toEqual(['16-001L']);
+
+    const paged = await get('/cards?limit=1&offset=1');
+    expect(paged.body).toMatchObject({ total: 3, offset: 1, count: 1 });
+    expect(paged.body.cards[0].code).toBe('1-003C');
+});
+
+test('/cards rejects unknown filter values', async () => {
+    const res = await get('/cards?element=Purple');
+    expect(res.status).toBe(400);
+    expect(res.body.problems[0]).toMatch(/unknown value "Purple"/);
+});
+
+test('/cards/:code and /sets', async () => {
+    expect((await get('/cards/16-001l')).body.name).toBe('Clive');
+    expect((await get('/cards/9-999X')).status).toBe(404);
+    expect((await get('/sets')).body.sets[0]).toEqual({ set: 'Opus I', count: 2 });
+});
+
+test('/images/:code serves the downloaded JPG', async () => {
+    const image = await get('/images/1-003C');
+    expect(image.status).toBe(200);
+    expect(image.type).toBe('image/jpeg');
+    expect(Buffer.from(image.body).equals(await fs.readFile(path.join(__dirname, 'fixtures', 'card.jpg')))).toBe(true);
+
+    expect((await get('/images/1-004C')).status).toBe(404);
+});
+
+test('an image that fails to read ends the response without taking the server down', async () => {
+    // A directory passes the existence check but fails on read
+    await fs.mkdir(path.join(rootDir, 'OpusI', 'images', '1-004C.jpg'));
+
+    await expect(fetch(`${server.url}/images/1-004C`).then(res => res.arrayBuffer())).rejects.toThrow();
+    expect((await get('/images/1-003C')).status).toBe(200);
+});
+
+test('reloads when a scrape writes a new set file', async () => {
+    await writeSet('OpusII', [{ code: '2-001H', name: 'Auron', set: 'Opus II' }]);
+
+    await expect.poll(async () => (await get('/cards/2-001H')).status, { timeout: 5000 }).toBe(200);
+    expect((await get('/')).body.total).toBe(4);
+});
+
+test('/cards/:code lists every printing of a reprinted card', async () => {
+    await writeSet('Promo', [{ ...opusI[0], code: 'PR-001', set: 'Promo', rarity: 'Promo' }]);
+    await server.reload();
+
+    const reprint = (await get('/cards/PR-001')).body;
+    expect(reprint).toMatchObject({ code: 'PR-001', canonicalId: '1-003C' });
+    expect(reprint.printings).toEqual([
+        { code: '1-003C', set: 'Opus I', rarity: 'Common', image: null },
+        { code: 'PR-001', set: 'Promo', rarity: 'Promo', image: null },
+    ]);
+    expect((await get('/cards/1-003C')).body.printings).toEqual(reprint.printings);
+    expect((await get('/cards/1-004C')).body.printings).toHaveLength(1);
+});
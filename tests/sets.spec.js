@@ -0,0 +1,77 @@
+// Unit tests for the versioned sets manifest (lib/sets.js).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { updateSetsManifest, manifestSetNames, loadSetsManifest, saveSetsManifest } = require('../lib/sets');
+
+const SEED = ['Opus I', 'Opus II', 'Opus III', 'Promo'];
+const option = value => ({ value, name: value });
+const discovered = (sets, categories = ['VII', 'X']) => ({ sets: sets.map(option), categories: categories.map(option) });
+
+test('the first manifest follows the seed order and reports drift from it', () => {
+    const { manifest, changed, sets } = updateSetsManifest(null,
+        discovered(['Boss Deck Chaos', 'Promo', 'Opus II', 'Opus I']), { seedOrder: SEED, now: 't1' });
+
+    expect(changed).toBe(true);
+    expect(manifest.version).toBe(1);
+    expect(manifestSetNames(manifest)).toEqual(['Opus I', 'Opus II', 'Promo', 'Boss Deck Chaos']);
+    expect(manifest.sets[4]).toEqual({
+        value: 'Boss Deck Chaos', name: 'Boss Deck Chaos', folder: 'BossDeckChaos', order: 5,
+        first_seen: 't1', last_seen: 't1', available: true,
+    });
+    // A seed set the site no longer lists keeps its place, so its scraped data is still combined
+    expect(manifest.sets[2]).toEqual({
+        value: 'Opus III', name: 'Opus III', folder: 'OpusIII', order: 3,
+        first_seen: null, last_seen: null, available: false, removed_at: 't1',
+    });
+    expect(manifestSetNames(manifest, { includeRemoved: true })).toEqual(['Opus I', 'Opus II', 'Opus III', 'Promo', 'Boss Deck Chaos']);
+    expect(sets).toEqual({ added: ['Boss Deck Chaos'], removed: ['Opus III'], returned: [], renamed: [] });
+    expect(manifest.categories.map(c => c.value)).toEqual(['VII', 'X']);
+});
+
+test('an unchanged list keeps the version and only bumps checked_at', () => {
+    const first = updateSetsManifest(null, discovered(['Opus I', 'Opus II']), { seedOrder: SEED, now: 't1' }).manifest;
+    const { manifest, changed } = updateSetsManifest(first, discovered(['Opus II', 'Opus I']), { now: 't2' });
+
+    expect(changed).toBe(false);
+    expect(manifest).toMatchObject({ version: 1, updated_at: 't1', checked_at: 't2' });
+    expect(manifestSetNames(manifest)).toEqual(['Opus I', 'Opus II']);
+    expect(manifest.history).toHaveLength(1);
+});
+
+test('new sets are appended, vanished ones kept as unavailable, returning ones restored', () => {
+    const v1 = updateSetsManifest(null, discovered(['Opus I', 'Opus II']), { seedOrder: SEED, now: 't1' }).manifest;
+
+    const second = updateSetsManifest(v1, discovered(['Dissidia Collection Set', 'Opus I'], ['VII', 'DFF']), { now: 't2' });
+    expect(second.sets).toEqual({ added: ['Dissidia Collection Set'], removed: ['Opus II'], returned: [], renamed: [] });
+    expect(second.categories).toMatchObject({ added: ['DFF'], removed: ['X'] });
+    expect(second.manifest.version).toBe(2);
+    expect(manifestSetNames(second.manifest)).toEqual(['Opus I', 'Dissidia Collection Set']);
+    expect(manifestSetNames(second.manifest, { includeRemoved: true }))
+        .toEqual(['Opus I', 'Opus II', 'Opus III', 'Promo', 'Dissidia Collection Set']);
+    expect(second.manifest.sets[1]).toMatchObject({ value: 'Opus II', available: false, removed_at: 't2' });
+
+    const third = updateSetsManifest(second.manifest, discovered(['Opus I', 'Opus II', 'Dissidia Collection Set'], ['VII', 'DFF']), { now: 't3' });
+    expect(third.sets.returned).toEqual(['Opus II']);
+    expect(updateSetsManifest(third.manifest, discovered(['Opus I', 'Opus III']), { now: 't4' }).manifest.sets[2])
+        .toMatchObject({ value: 'Opus III', first_seen: 't4', last_seen: 't4', available: true });
+    expect(third.manifest.sets[1]).toEqual(expect.not.objectContaining({ removed_at: expect.anything() }));
+    expect(third.manifest.history.map(h => h.version)).toEqual([1, 2, 3]);
+    expect(third.manifest.history[1].sets).toEqual({ added: ['Dissidia Collection Set'], removed: ['Opus II'], returned: [] });
+});
+
+test('manifests round-trip through disk', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-sets-'));
+    const filepath = path.join(dir, 'nested', 'sets_manifest.json');
+    try {
+        expect(await loadSetsManifest(filepath)).toBeNull();
+
+        const { manifest } = updateSetsManifest(null, discovered(['Opus I']), { seedOrder: SEED });
+        await saveSetsManifest(filepath, manifest);
+        expect(await loadSetsManifest(filepath)).toEqual(manifest);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,111 @@
+// Unit tests for the SQLite export (lib/sqlite.js).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { buildDatabase, exportSqlite } = require('../lib/sqlite');
+
+const cards = [
+    {
+        code: '1-003C', name: 'Red Mage', type: 'Backup', job: 'Standard Unit', element: 'Fire',
+        cost: 2, power: null, rarity: 'Common', category: 'I', set: 'Opus I',
+        abilities: '[F][Dull]: Choose 1 Forward. It gains +1000 power until the end of the turn.',
+        abilitiesParsed: [{
+            kind: 'action', name: null,
+            cost: { raw: '[F][Dull]', elements: { Fire: 1 }, generic: 0, crystal: 0, dull: true, special: false },
+            effect: 'Choose 1 Forward. It gains +1000 power until the end of the turn.',
+            text: '[F][Dull]: Choose 1 Forward. It gains +1000 power until the end of the turn.',
+        }],
+        imageUrl: 'https://example.test/1-003C_eg.jpg',
+    },
+    {
+        code: '16-001L', name: 'Clive', type: 'Forward', job: 'Dominant', element: 'Fire/Light',
+        cost: 5, power: 9000, rarity: 'Legend', category: 'XVI · DFF', set: 'Emissaries of Light, Promo',
+        abilities: 'Haste', abilitiesParsed: [{ kind: 'keyword', name: null, cost: null, effect: 'Haste', text: 'Haste' }],
+        imageUrl: 'https://example.test/16-001L_eg.jpg',
+    },
+    // Reprint of Red Mage listed in another set file
+    { code: '1-003C', name: 'Red Mage', type: 'Backup', element: 'Fire', cost: 2, set: 'Legacy Collection', abilities: '', abilitiesParsed: [] },
+];
+
+async function openDatabase(data) {
+    const SQL = await initSqlJs();
+    return new SQL.Database(data);
+}
+
+const rows = (db, sql, params) => {
+    const result = db.exec(sql, params)[0];
+    return result ? result.values : [];
+};
+
+test('cards are stored once with their scalar fields', async () => {
+    const db = await openDatabase(await buildDatabase(cards));
+
+    expect(rows(db, 'SELECT code, name, type, cost, power, rarity FROM cards ORDER BY code')).toEqual([
+        ['1-003C', 'Red Mage', 'Backup', 2, null, 'Common'],
+        ['16-001L', 'Clive', 'Forward', 5, 9000, 'Legend'],
+    ]);
+    db.close();
+});
+
+test('sets, elements and categories are linked many-to-many', async () => {
+    const db = await openDatabase(await buildDatabase(cards, { sets: ['Legacy Collection', 'Opus I'] }));
+
+    expect(rows(db, 'SELECT id, name FROM sets ORDER BY id')).toEqual([
+        [1, 'Legacy Collection'], [2, 'Opus I'], [3, 'Emissaries of Light'], [4, 'Promo'],
+    ]);
+    expect(rows(db, `SELECT s.name FROM card_sets cs JOIN sets s ON s.id = cs.set_id
+        WHERE cs.card_code = '1-003C' ORDER BY s.id`)).toEqual([['Legacy Collection'], ['Opus I']]);
+    expect(rows(db, `SELECT e.name FROM card_elements ce JOIN elements e ON e.id = ce.element_id
+        WHERE ce.card_code = '16-001L' ORDER BY e.name`)).toEqual([['Fire'], ['Light']]);
+    expect(rows(db, `SELECT c.card_code FROM card_categories c JOIN categories cat ON cat.id = c.category_id
+        WHERE cat.name = 'DFF'`)).toEqual([['16-001L']]);
+    db.close();
+});
+
+test('the typed element and category lists win over the display strings', async () => {
+    const joshua = {
+        code: '16-104L', name: 'Joshua', type: 'Forward', element: 'Fire・Light', elements: ['Fire', 'Light'],
+        category: 'XVI・DFF', categories: ['XVI', 'DFF'], set: 'Emissaries of Light', abilities: '',
+    };
+    const db = await openDatabase(await buildDatabase([joshua]));
+
+    expect(rows(db, 'SELECT name FROM elements ORDER BY id')).toEqual([['Fire'], ['Light']]);
+    expect(rows(db, 'SELECT name FROM categories ORDER BY id')).toEqual([['XVI'], ['DFF']]);
+    db.close();
+});
+
+test('parsed abilities get one row each', async () => {
+    const db = await openDatabase(await buildDatabase(cards));
+
+    expect(rows(db, 'SELECT card_code, position, kind, cost, effect FROM abilities ORDER BY card_code')).toEqual([
+        ['1-003C', 0, 'action', '[F][Dull]', 'Choose 1 Forward. It gains +1000 power until the end of the turn.'],
+        ['16-001L', 0, 'keyword', null, 'Haste'],
+    ]);
+    db.close();
+});
+
+test('full-text search covers names and ability text', async () => {
+    const db = await openDatabase(await buildDatabase(cards));
+
+    expect(rows(db, "SELECT code FROM cards_fts WHERE cards_fts MATCH 'clive'")).toEqual([['16-001L']]);
+    expect(rows(db, "SELECT code FROM cards_fts WHERE cards_fts MATCH 'power'")).toEqual([['1-003C']]);
+    expect(rows(db, "SELECT code FROM cards_fts WHERE cards_fts MATCH 'abilities:haste'")).toEqual([['16-001L']]);
+    db.close();
+});
+
+test('exportSqlite writes the database file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-sqlite-'));
+    try {
+        const dbPath = path.join(dir, 'all_cards.sqlite');
+        expect(await exportSqlite(cards, dbPath)).toEqual({ path: dbPath, cards: 2 });
+
+        const db = await openDatabase(await fs.readFile(dbPath));
+        expect(rows(db, 'SELECT COUNT(*) FROM cards')).toEqual([[2]]);
+        db.close();
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
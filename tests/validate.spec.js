@@ -0,0 +1,130 @@
+// Unit tests for card validation (lib/validate.js and schema/card.schema.json).
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { setCodePrefix, validateCards, validateFile, findCardFiles, buildReport, formatReport } = require('../lib/validate');
+
+const redMage = {
+    code: '1-003C',
+    name: 'Red Mage',
+    type: 'Backup',
+    job: 'Standard Unit',
+    element: 'Fire',
+    cost: 2,
+    power: null,
+    rarity: 'Common',
+    category: 'I',
+    set: 'Opus I',
+    abilities: '[F][Dull]: Choose 1 Forward.',
+    abilitiesParsed: [{
+        kind: 'action', name: null,
+        cost: { raw: '[F][Dull]', elements: { Fire: 1 }, generic: 0, crystal: 0, dull: true, special: false },
+        effect: 'Choose 1 Forward.', text: '[F][Dull]: Choose 1 Forward.',
+    }],
+    imageUrl: 'https://fftcg.cdn.sewest.net/images/cards/full/1-003C_eg.jpg',
+};
+
+const cloud = { ...redMage, code: '1-182S', name: 'Cloud', type: 'Forward', power: 9000, rarity: 'Starter', abilities: '', abilitiesParsed: [] };
+
+let rootDir;
+
+test.beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fftcg-validate-'));
+});
+
+test.afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+test('setCodePrefix maps Opus numerals and named sets', () => {
+    expect(setCodePrefix('Opus I')).toBe('1');
+    expect(setCodePrefix('Opus IV')).toBe('4');
+    expect(setCodePrefix('Opus XIV')).toBe('14');
+    expect(setCodePrefix('Emissaries of Light')).toBe('16');
+    expect(setCodePrefix('Legacy Collection')).toBeNull();
+});
+
+test('valid cards produce no issues', () => {
+    expect(validateCards([redMage, cloud], { set: 'Opus I' })).toEqual([]);
+});
+
+test('schema errors name the field', () => {
+    const issues = validateCards([{ ...redMage, cost: 'two', rarity: 'Mythic', name: undefined }]);
+
+    expect(issues.every(i => i.severity === 'error' && i.rule === 'schema')).toBe(true);
+    expect(issues.map(i => i.field).sort()).toEqual(['cost', 'name', 'rarity']);
+});
+
+test('power must match the card type', () => {
+    const issues = validateCards([
+        { ...cloud, power: null },
+        { ...redMage, power: 5000 },
+        { ...cloud, code: '1-184H', type: 'Monster', power: null },
+    ]);
+
+    expect(issues.map(i => [i.code, i.rule])).toEqual([['1-182S', 'power-type'], ['1-003C', 'power-type']]);
+});
+
+test('code prefix is checked against the card and file set', () => {
+    const issues = validateCards([{ ...redMage, code: '2-003C' }, { ...redMage, code: 'PR-001', set: 'Opus I, Promo' }]);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ code: '2-003C', severity: 'warning', rule: 'code-prefix' });
+});
+
+test('duplicate codes are errors', () => {
+    const issues = validateCards([redMage, cloud, redMage]);
+    expect(issues).toEqual([expect.objectContaining({ code: '1-003C', rule: 'duplicate-code' })]);
+});
+
+test('validateFile checks totals and completeness', async () => {
+    const filepath = path.join(rootDir, 'OpusI_cards.json');
+    await fs.writeFile(filepath, JSON.stringify({
+        filters: { sets: ['Opus I'] }, total: 3, complete: false, cards: [redMage, { ...cloud, code: '2-001H' }],
+    }));
+
+    const result = await validateFile(filepath);
+
+    expect(result).toMatchObject({ set: 'Opus I', cards: 2, errors: 0, warnings: 3 });
+    expect(result.issues.map(i => i.field)).toEqual(['total', 'complete', 'code']);
+});
+
+test('validateFile reports unreadable files', async () => {
+    const filepath = path.join(rootDir, 'broken.json');
+    await fs.writeFile(filepath, '{ not json');
+
+    const result = await validateFile(filepath);
+    expect(result.errors).toBe(1);
+    expect(result.issues[0].rule).toBe('file');
+});
+
+test('findCardFiles lists set files and the combined file', async () => {
+    await fs.mkdir(path.join(rootDir, 'OpusI'));
+    await fs.writeFile(path.join(rootDir, 'OpusI', 'OpusI_cards.json'), '{}');
+    await fs.mkdir(path.join(rootDir, 'OpusII'));
+    await fs.writeFile(path.join(rootDir, 'all_cards_combined.json'), '{}');
+
+    expect(await findCardFiles(rootDir)).toEqual([
+        path.join(rootDir, 'OpusI', 'OpusI_cards.json'),
+        path.join(rootDir, 'all_cards_combined.json'),
+    ]);
+});
+
+test('report totals issues by rule', () => {
+    const report = buildReport([
+        { file: 'a.json', set: 'Opus I', cards: 2, errors: 1, warnings: 1, issues: [
+            { code: '1-003C', severity: 'error', rule: 'power-type', field: 'power', message: 'Backup should not have power (5000)' },
+            { code: '2-001H', severity: 'warning', rule: 'code-prefix', field: 'code', message: 'mismatch' },
+        ] },
+        { file: 'b.json', set: null, cards: 5, errors: 0, warnings: 0, issues: [] },
+    ]);
+
+    expect(report.totals).toEqual({ files: 2, cards: 7, errors: 1, warnings: 1, byRule: { 'power-type': 1, 'code-prefix': 1 } });
+
+    const text = formatReport(report);
+    expect(text).toContain('a.json (Opus I): 2 cards, 1 error(s), 1 warning(s)');
+    expect(text).toContain('1-003C power: Backup should not have power (5000) [power-type]');
+    expect(text).toContain('Errors: 1  Warnings: 1');
+});